@@ -0,0 +1,67 @@
+/**
+ * Redis connection factory
+ * Every Redis connection (queues, workers, live call tracking) is built here so the
+ * web server and the standalone worker share one configuration.
+ *
+ * Configure with REDIS_URL (redis:// or rediss:// for TLS), or with
+ * REDIS_HOST / REDIS_PORT / REDIS_USERNAME / REDIS_PASSWORD / REDIS_DB.
+ * Set REDIS_TLS=true to force TLS (e.g. managed Redis on a host/port pair).
+ */
+
+const Redis = require('ioredis');
+
+/**
+ * Build ioredis options from the environment
+ * BullMQ requires maxRetriesPerRequest: null on its connections.
+ * @returns {Object} ioredis options
+ */
+function getRedisOptions() {
+  const options = {
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false
+  };
+
+  if (!process.env.REDIS_URL) {
+    Object.assign(options, {
+      host: process.env.REDIS_HOST || 'localhost',
+      port: parseInt(process.env.REDIS_PORT || 6379),
+      username: process.env.REDIS_USERNAME || undefined,
+      password: process.env.REDIS_PASSWORD || undefined,
+      db: parseInt(process.env.REDIS_DB || 0)
+    });
+  }
+
+  const useTls = process.env.REDIS_TLS === 'true' ||
+    (process.env.REDIS_URL || '').startsWith('rediss://');
+  if (useTls) {
+    options.tls = {
+      // Some managed Redis providers use self-signed certificates
+      rejectUnauthorized: process.env.REDIS_TLS_REJECT_UNAUTHORIZED !== 'false'
+    };
+  }
+
+  return options;
+}
+
+/**
+ * Create a Redis connection
+ * @param {string} name - Connection name shown in CLIENT LIST and logs
+ * @returns {Redis} ioredis client
+ */
+function createRedisConnection(name) {
+  const options = { ...getRedisOptions(), connectionName: name };
+  const connection = process.env.REDIS_URL
+    ? new Redis(process.env.REDIS_URL, options)
+    : new Redis(options);
+
+  connection.on('error', (error) => {
+    console.error(`🔴 Redis connection "${name}" error:`, error.message);
+  });
+
+  return connection;
+}
+
+module.exports = {
+  getRedisOptions,
+  createRedisConnection
+};
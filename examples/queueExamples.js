@@ -57,7 +57,7 @@ async function runExamples() {
 
     // Example 4: Schedule bulk calls
     console.log('4️⃣  Scheduling bulk calls...');
-    const bulkJobs = await scheduleBulkCalls([
+    const { jobs: bulkJobs } = await scheduleBulkCalls([
       {
         to: '+1111111111',
         message: 'Bulk call 1',
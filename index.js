@@ -8,16 +8,40 @@ const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
 const { validatePhoneNumber } = require('./utils/phoneValidator');
 const OpenAIRealtimeSession = require('./utils/openAIRealtime');
+const { createDefaultToolRegistry } = require('./utils/realtimeTools');
+const { TRANSFER_MODES, resolveTransferNumber, buildConversationSummary, transferCall } = require('./utils/callTransfer');
+const { buildLeadContext } = require('./utils/leadContext');
+const { validateCallingWindow } = require('./utils/leadTimezone');
+const { DEFAULT_IVR_FLOW, DEFAULT_AFTER_HOURS_FLOW, DEFAULT_OVERFLOW_FLOW, renderMenu, handleMenuInput } = require('./utils/ivrFlow');
+const { registerLiveCall, releaseLiveCall, getLiveCallCount, getMaxLiveCalls, hasLiveCallCapacity } = require('./utils/liveCallLimiter');
+const { getBusinessHoursStatus, isValidTimezone } = require('./utils/businessHours');
+const { findDoNotCallEntry, filterDoNotCall, buildDoNotCallError } = require('./utils/doNotCall');
+const { processCallOutcome, TERMINAL_STATUSES } = require('./utils/callRetry');
+const { buildCallTimeline } = require('./utils/callTimeline');
+const { buildCallDetail } = require('./utils/callDetail');
+const { summarizeTurnMetrics } = require('./utils/latencyStats');
+const { computeCallCost } = require('./utils/callCost');
+const { validateLeadFilter } = require('./utils/leadFilter');
 const RecordingManager = require('./utils/recordingManager');
 const { initializeModels } = require('./models');
+const { validateTwilioSignature, createMediaStreamToken, verifyMediaStreamParameters } = require('./middleware/twilioAuth');
 const {
   scheduleImmediateCall,
   scheduleDelayedCall,
   scheduleRecurringCall,
   scheduleBulkCalls,
+  scheduleCallSummary,
+  scheduleCallCost,
+  scheduleRetryCall,
+  publishCallOutcome,
   scheduleLeadAutomation,
   getAutomationSchedules,
+  getAutomationSchedule,
+  updateAutomationSchedule,
+  pauseAutomation,
+  resumeAutomation,
   stopAutomation,
+  importLegacyAutomations,
   fetchAndScheduleNewLeads,
   getJobStatus,
   cancelCall,
@@ -29,16 +53,16 @@ const {
   cleanOldJobs,
   pauseQueue,
   resumeQueue,
-  closeQueue
+  closeQueue,
+  redisConnection
 } = require('./queues/callQueue');
-const { createCallWorker, closeWorker } = require('./queues/callWorker');
+const { createCallWorker, createPostCallWorker, closeWorker } = require('./queues/callWorker');
+const { selectCallerId, releaseCallerId } = require('./utils/callerIdPool');
 const { parseFile, validateLeads } = require('./utils/fileParser');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ 
-  server
-});
+const wss = new WebSocket.Server({ server });
 const PORT = process.env.PORT || 3000;
 
 // CORS configuration
@@ -84,6 +108,39 @@ const publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000';
 // Initialize Twilio client
 const client = twilio(accountSid, authToken);
 
+/**
+ * Connect the call to the /media-stream WebSocket
+ * Per-call settings (speakFirst, agent profile, ...) reach the session as <Parameter>s of the
+ * <Stream>, together with a short-lived token that authenticates the stream
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {Object} params - Stream parameters (undefined/null values are skipped)
+ * @param {Object} streamOptions - Extra <Stream> attributes (e.g. track)
+ * @returns {Object} The <Stream> element
+ */
+function connectMediaStream(twiml, params = {}, streamOptions = {}) {
+  const publicHost = publicUrl.replace('https://', '').replace('http://', '');
+  const streamParams = {};
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      streamParams[key] = String(value);
+    }
+  });
+
+  const token = createMediaStreamToken(streamParams);
+  if (token) {
+    streamParams.token = token;
+  }
+
+  const stream = twiml.connect().stream({
+    url: `wss://${publicHost}/media-stream`,
+    ...streamOptions
+  });
+  Object.entries(streamParams).forEach(([name, value]) => {
+    stream.parameter({ name, value });
+  });
+  return stream;
+}
+
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
@@ -102,16 +159,37 @@ if (supabase && models && client) {
   console.log('🎙️  Recording Manager initialized');
 }
 
+// Tools the realtime agent can call during a live call
+const toolRegistry = createDefaultToolRegistry(models, {
+  twilioClient: client,
+  publicUrl,
+  callerId: twilioPhoneNumber
+});
+
 // Initialize call queue worker
+// Set RUN_CALL_WORKER=false when jobs are processed by the standalone worker (npm run worker)
 let callWorker = null;
-try {
-  callWorker = createCallWorker(models, supabase);
-  console.log('📞 Call queue worker initialized');
-} catch (error) {
-  console.warn('⚠️  Call queue worker not initialized:', error.message);
-  console.warn('⚠️  Make sure Redis is running for queue functionality');
+let postCallWorker = null;
+if (process.env.RUN_CALL_WORKER !== 'false') {
+  try {
+    callWorker = createCallWorker(models, supabase);
+    console.log('📞 Call queue worker initialized');
+    if (models) {
+      postCallWorker = createPostCallWorker(models);
+    }
+  } catch (error) {
+    console.warn('⚠️  Call queue worker not initialized:', error.message);
+    console.warn('⚠️  Make sure Redis is running for queue functionality');
+  }
+} else {
+  console.log('📞 Call queue worker disabled in the web process (RUN_CALL_WORKER=false)');
 }
 
+// Move automations created by the old repeatable-job API onto job schedulers
+importLegacyAutomations().catch(error => {
+  console.warn('⚠️  Legacy automations not imported:', error.message);
+});
+
 // Root endpoint
 app.get('/', (req, res) => {
   res.send('VoMindAI Programmable Voice AI Assistant running!');
@@ -127,6 +205,13 @@ app.get('/health', (req, res) => {
 
 // Import and setup auth routes
 const createAuthRoutes = require('./routes/auth');
+const createAgentProfileRoutes = require('./routes/agentProfiles');
+const createIvrFlowRoutes = require('./routes/ivrFlows');
+const createBusinessCalendarRoutes = require('./routes/businessCalendars');
+const createDoNotCallRoutes = require('./routes/doNotCall');
+const createCampaignRoutes = require('./routes/campaigns');
+const createCallerIdRoutes = require('./routes/callerIds');
+const createCostRoutes = require('./routes/costs');
 const { verifyToken, requireRole, optionalAuth } = require('./middleware/auth');
 
 /*
@@ -138,15 +223,19 @@ const { verifyToken, requireRole, optionalAuth } = require('./middleware/auth');
  * - GET /
  * - GET /health
  * - POST /shopify/webhook (webhook signature verification)
- * - POST /incoming-call (Twilio webhook)
- * - POST /handle-key (Twilio webhook)
- * - POST /voice-response (Twilio webhook)
- * - POST /call-status (Twilio webhook)
- * - POST /call-events (Twilio webhook)
- * - POST /recording-status (Twilio webhook)
- * - POST /start-media-stream (Twilio webhook)
- * - POST /media-stream-twiml (Twilio webhook)
- * - GET /media-stream-twiml (Twilio webhook)
+ * 
+ * TWILIO ENDPOINTS (X-Twilio-Signature verification, see middleware/twilioAuth.js):
+ * - POST /incoming-call
+ * - POST /handle-key
+ * - POST /voice-response
+ * - POST /call-status
+ * - POST /call-events
+ * - POST /recording-status
+ * - POST /media-stream-twiml
+ * - GET /media-stream-twiml
+ * - POST /transfer-whisper
+ * - POST /ivr/voicemail-complete
+ * - WebSocket /media-stream (signed, short-lived token sent as a <Stream> <Parameter>, checked on the start message)
  * 
  * PROTECTED ENDPOINTS (Require valid JWT token):
  * - All /api/auth/* routes (login, verify, profile, etc.)
@@ -158,19 +247,43 @@ const { verifyToken, requireRole, optionalAuth } = require('./middleware/auth');
  * - All /api/transcripts/* routes
  * - All /api/recordings/* routes (except delete)
  * - All /conversation/* routes
+ * - All /api/agent-profiles/* routes (create/update: admin or manager, delete: admin)
+ * - GET /api/ivr-flows, GET /api/ivr-flows/:id
+ * - GET /api/business-calendars, GET /api/business-calendars/:id, GET /api/business-calendars/:id/status
+ * - GET /api/dnc, GET /api/dnc/check/:phone, POST /api/dnc
+ * - GET /api/campaigns, GET /api/campaigns/:id
+ * - GET /api/caller-ids
+ * - GET /api/costs, GET /api/costs/calls/:callSid, GET /api/costs/rate-cards
+ * - GET /api/calls/:callSid (timeline, lead, transcript, recording, summary and queue job)
+ * - GET /api/calls/:callSid/summary
+ * - GET /api/calls/:callSid/timeline
+ * - GET /api/calls/:callSid/latency
+ * - GET /api/latency-stats
  * - /active-streams
  * - /make-call
+ * - /start-media-stream
  * 
  * ADMIN-ONLY ENDPOINTS (Require admin role):
  * - POST /api/queue/clean
  * - POST /api/queue/pause
  * - POST /api/queue/resume
  * - DELETE /api/recordings/:callSid
+ * - DELETE /api/campaigns/:id
+ * - POST/PUT/DELETE /api/ivr-flows
+ * - POST/PUT/DELETE /api/business-calendars
+ * - POST/PUT/DELETE /api/caller-ids
+ * - POST/PUT/DELETE /api/costs/rate-cards
  * 
  * ADMIN/MANAGER ENDPOINTS (Require admin or manager role):
+ * - POST /api/dnc/import
+ * - DELETE /api/dnc/:phone
+ * - POST/PUT /api/campaigns, POST /api/campaigns/:id/start|pause|resume|cancel
  * - POST /api/automation/schedule
+ * - PUT/DELETE /api/automation/schedules/:id, POST /api/automation/schedules/:id/pause|resume
  * - POST /api/automation/stop/:jobId
  * - POST /api/automation/run-now
+ * - POST /api/costs/calls/:callSid/recalculate
+ * - POST /api/calls/:callSid/transfer (configured transfer numbers only)
  */
 
 // Add auth routes if models are available
@@ -178,6 +291,27 @@ if (models) {
   const authRoutes = createAuthRoutes(models);
   app.use('/api/auth', authRoutes);
   console.log('🔐 Authentication routes initialized at /api/auth');
+
+  app.use('/api/agent-profiles', createAgentProfileRoutes(models));
+  console.log('🧑‍💼 Agent profile routes initialized at /api/agent-profiles');
+
+  app.use('/api/ivr-flows', createIvrFlowRoutes(models));
+  console.log('☎️  IVR flow routes initialized at /api/ivr-flows');
+
+  app.use('/api/business-calendars', createBusinessCalendarRoutes(models));
+  console.log('🗓️  Business calendar routes initialized at /api/business-calendars');
+
+  app.use('/api/dnc', createDoNotCallRoutes(models));
+  console.log('🚫 Do-Not-Call routes initialized at /api/dnc');
+
+  app.use('/api/campaigns', createCampaignRoutes(models));
+  console.log('📣 Campaign routes initialized at /api/campaigns');
+
+  app.use('/api/caller-ids', createCallerIdRoutes(models, redisConnection));
+  console.log('📇 Caller ID routes initialized at /api/caller-ids');
+
+  app.use('/api/costs', createCostRoutes(models, (callSid) => computeCallCost(models, client, callSid)));
+  console.log('💲 Cost routes initialized at /api/costs');
 } else {
   console.warn('⚠️  Authentication routes not initialized - Supabase models not available');
 }
@@ -405,6 +539,21 @@ async function processShopifyCustomer(payload) {
   }
 }
 
+/**
+ * Validate lead tags and score
+ * @param {Object} fields - { tags, lead_score } (either may be undefined)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateLeadTargeting({ tags, lead_score }) {
+  if (tags !== undefined && tags !== null && !(Array.isArray(tags) && tags.every(tag => typeof tag === 'string'))) {
+    return 'tags must be an array of strings';
+  }
+  if (lead_score !== undefined && lead_score !== null && !Number.isInteger(lead_score)) {
+    return 'lead_score must be an integer';
+  }
+  return null;
+}
+
 // POST endpoint to accept new lead information
 app.post('/api/new-lead', verifyToken, async (req, res) => {
   const {
@@ -417,7 +566,10 @@ app.post('/api/new-lead', verifyToken, async (req, res) => {
     lead_priority = 'medium',
     message,
     notes,
-    metadata
+    metadata,
+    timezone,
+    tags,
+    lead_score
   } = req.body;
 
   // Validation
@@ -436,6 +588,23 @@ app.post('/api/new-lead', verifyToken, async (req, res) => {
     });
   }
 
+  // Timezone validation (used for local calling windows)
+  if (timezone && !isValidTimezone(timezone)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid timezone. Use an IANA timezone such as America/New_York'
+    });
+  }
+
+  // Targeting fields used by automation and campaign lead filters
+  const targetingError = validateLeadTargeting({ tags, lead_score });
+  if (targetingError) {
+    return res.status(400).json({
+      success: false,
+      error: targetingError
+    });
+  }
+
   // Phone validation (if provided)
   let validatedPhone = phone;
   if (phone) {
@@ -470,6 +639,9 @@ app.post('/api/new-lead', verifyToken, async (req, res) => {
       message: message || null,
       notes: notes || null,
       metadata: metadata || null,
+      timezone: timezone || null,
+      tags: tags || [],
+      lead_score: lead_score !== undefined ? lead_score : null,
       ip_address: ip_address,
       user_agent: user_agent,
       referrer: referrer,
@@ -594,6 +766,9 @@ app.put('/api/leads/:id', verifyToken, async (req, res) => {
     message,
     notes,
     metadata,
+    timezone,
+    tags,
+    lead_score,
     last_contacted_at
   } = req.body;
 
@@ -617,6 +792,26 @@ app.put('/api/leads/:id', verifyToken, async (req, res) => {
     if (message !== undefined) updateData.message = message;
     if (notes !== undefined) updateData.notes = notes;
     if (metadata !== undefined) updateData.metadata = metadata;
+    if (timezone !== undefined) {
+      if (timezone && !isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone. Use an IANA timezone such as America/New_York'
+        });
+      }
+      updateData.timezone = timezone || null;
+    }
+    if (tags !== undefined || lead_score !== undefined) {
+      const targetingError = validateLeadTargeting({ tags, lead_score });
+      if (targetingError) {
+        return res.status(400).json({
+          success: false,
+          error: targetingError
+        });
+      }
+      if (tags !== undefined) updateData.tags = tags || [];
+      if (lead_score !== undefined) updateData.lead_score = lead_score;
+    }
     if (last_contacted_at !== undefined) updateData.last_contacted_at = last_contacted_at;
 
     if (Object.keys(updateData).length === 0) {
@@ -750,6 +945,33 @@ app.post('/api/leads/import', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Place a direct (non-queued) call
+ * Dials from a local number in the caller ID pool, falling back to TWILIO_PHONE_NUMBER;
+ * the pooled number's daily usage is refunded if Twilio rejects the call.
+ * @param {Object} callOptions - Twilio calls.create options (without from)
+ * @returns {Promise<Object>} Twilio call
+ */
+async function createDirectCall(callOptions) {
+  let pooled = null;
+  try {
+    pooled = await selectCallerId(models, redisConnection, { to: callOptions.to });
+  } catch (error) {
+    console.warn('⚠️  Caller ID pool unavailable, using TWILIO_PHONE_NUMBER:', error.message);
+  }
+
+  try {
+    return await client.calls.create({ ...callOptions, from: pooled || twilioPhoneNumber });
+  } catch (error) {
+    if (pooled) {
+      await releaseCallerId(redisConnection, pooled).catch(releaseError => {
+        console.warn(`⚠️  Could not refund caller ID ${pooled}:`, releaseError.message);
+      });
+    }
+    throw error;
+  }
+}
+
 // Endpoint to make an outbound call
 app.post('/make-call', verifyToken, async (req, res) => {
   const { to, message } = req.body;
@@ -768,10 +990,15 @@ app.post('/make-call', verifyToken, async (req, res) => {
   }
 
   try {
-    const call = await client.calls.create({
+    const dncEntry = await findDoNotCallEntry(models, validation.formatted);
+    if (dncEntry) {
+      console.warn(`🚫 Refusing to call ${validation.formatted}: number is on the Do-Not-Call list`);
+      return res.status(403).json(buildDoNotCallError(validation.formatted, dncEntry));
+    }
+
+    const call = await createDirectCall({
       url: `${publicUrl}/voice-response?message=${encodeURIComponent(message || 'Hello from Twilio!')}`,
       to: validation?.formatted, // Use validated and formatted number
-      from: twilioPhoneNumber,
       statusCallback: `${publicUrl}/call-events`,
       statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
       record: true,
@@ -786,6 +1013,7 @@ app.post('/make-call', verifyToken, async (req, res) => {
       callSid: call.sid,
       message: 'Call initiated successfully',
       to: validation?.formatted,
+      from: call.from,
       country: validation?.country
     });
   } catch (error) {
@@ -797,52 +1025,163 @@ app.post('/make-call', verifyToken, async (req, res) => {
   }
 });
 
+/**
+ * Resolve the IVR flow and agent profile for an inbound call
+ * Outside the dialled number's business hours the calendar's after-hours flow is used.
+ * Falls back to the built-in flows when nothing is configured (or the database is unavailable)
+ * @param {Object} req - Express request (Twilio webhook)
+ * @returns {Promise<Object>} { flow, agentProfileId, afterHours }
+ */
+async function resolveInboundRouting(req) {
+  const dialledNumber = req.body.To;
+  let flow = null;
+  let agentProfileId = null;
+  let afterHours = false;
+
+  if (models) {
+    let calendar = null;
+    try {
+      calendar = await models.BusinessCalendar.resolve({ phoneNumber: dialledNumber });
+    } catch (error) {
+      console.warn(`⚠️  Could not load business calendar for ${dialledNumber}:`, error.message);
+    }
+
+    // No calendar configured means always open
+    afterHours = calendar ? !getBusinessHoursStatus(calendar).open : false;
+
+    try {
+      if (req.query.flowId) {
+        flow = await models.IvrFlow.findById(req.query.flowId);
+      } else if (req.query.flow === 'overflow') {
+        // Key presses on the built-in overflow menu must not fall through to the number's own flow
+        flow = DEFAULT_OVERFLOW_FLOW;
+      } else if (afterHours) {
+        flow = calendar.after_hours_flow_id ? await models.IvrFlow.findById(calendar.after_hours_flow_id) : null;
+      } else {
+        flow = await models.IvrFlow.resolveForNumber(dialledNumber);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not load IVR flow for ${dialledNumber}:`, error.message);
+    }
+
+    // Use the agent profile assigned to the dialled number, if any
+    if (dialledNumber) {
+      try {
+        const profile = await models.AgentProfile.findByInboundNumber(dialledNumber);
+        agentProfileId = profile ? profile.id : null;
+      } catch (error) {
+        console.warn(`⚠️  Could not look up agent profile for ${dialledNumber}:`, error.message);
+      }
+    }
+  }
+
+  let fallbackFlow = afterHours ? DEFAULT_AFTER_HOURS_FLOW : DEFAULT_IVR_FLOW;
+  if (req.query.flow === 'overflow') {
+    fallbackFlow = DEFAULT_OVERFLOW_FLOW;
+  }
+
+  return {
+    flow: flow || fallbackFlow,
+    agentProfileId,
+    afterHours
+  };
+}
+
+/**
+ * Resolve the flow for inbound calls arriving while every live AI call slot is taken
+ * Uses OVERFLOW_IVR_FLOW_ID when set, else the built-in overflow message
+ * @returns {Promise<Object>} IVR flow
+ */
+async function resolveOverflowFlow() {
+  if (models && process.env.OVERFLOW_IVR_FLOW_ID) {
+    try {
+      const flow = await models.IvrFlow.findById(process.env.OVERFLOW_IVR_FLOW_ID);
+      if (flow) {
+        return flow;
+      }
+    } catch (error) {
+      console.warn('⚠️  Could not load overflow IVR flow:', error.message);
+    }
+  }
+  return DEFAULT_OVERFLOW_FLOW;
+}
+
+/**
+ * Check whether an inbound call can reach the AI agent
+ * Fails open when Redis is unavailable so inbound calls are never dropped
+ * @returns {Promise<boolean>} True if a live call slot is free
+ */
+async function hasInboundCapacity() {
+  try {
+    return await hasLiveCallCapacity(redisConnection);
+  } catch (error) {
+    console.warn('⚠️  Could not check live call capacity:', error.message);
+    return true;
+  }
+}
+
+/**
+ * Update the shared live call count, logging instead of failing the call
+ * @param {Function} update - registerLiveCall or releaseLiveCall
+ * @param {string} callSid - Twilio call SID
+ */
+function trackLiveCall(update, callSid) {
+  update(redisConnection, callSid).catch(error => {
+    console.warn(`[${callSid}] ⚠️  Could not update live call count:`, error.message);
+  });
+}
+
 // Endpoint to handle incoming calls
-app.post('/incoming-call', (req, res) => {
+app.post('/incoming-call', validateTwilioSignature, async (req, res) => {
   const twiml = new twilio.twiml.VoiceResponse();
-  
-  twiml.say({ voice: 'alice' }, 'Hello! Thank you for calling. This is a Twilio powered voice application.');
-  twiml.pause({ length: 1 });
-  twiml.say({ voice: 'alice' }, 'Press 1 to continue or hang up to end the call.');
-  
-  twiml.gather({
-    numDigits: 1,
-    action: '/handle-key',
-    method: 'POST'
-  });
+  let { flow, afterHours } = await resolveInboundRouting(req);
+
+  // Every live AI call slot is taken: play the overflow flow instead
+  const overflow = !(await hasInboundCapacity());
+  if (overflow) {
+    flow = await resolveOverflowFlow();
+  }
+
+  console.log(`📲 Incoming call to ${req.body.To || 'unknown number'} - IVR flow: ${flow.name}${afterHours ? ' (after hours)' : ''}${overflow ? ' (overflow)' : ''}`);
+  renderMenu(twiml, flow);
 
   res.type('text/xml');
   res.send(twiml.toString());
 });
 
 // Handle key press from incoming call
-app.post('/handle-key', (req, res) => {
-  const digit = req.body.Digits;
+app.post('/handle-key', validateTwilioSignature, async (req, res) => {
   const twiml = new twilio.twiml.VoiceResponse();
+  const { flow, agentProfileId } = await resolveInboundRouting(req);
+
+  handleMenuInput(twiml, flow, {
+    menuId: req.query.menu,
+    digits: req.body.Digits,
+    attempt: parseInt(req.query.attempt || 0),
+    noInput: req.query.noInput === 'true'
+  }, {
+    connectMediaStream,
+    publicUrl,
+    agentProfileId
+  });
 
-  if (digit === '1') {
-    // Connect to media stream instead of hanging up
-    twiml.say({ voice: 'alice' }, 'Connecting you to the AI assistant now.');
-    
-    const connect = twiml.connect();
-    const publicHost = publicUrl.replace('https://', '').replace('http://', '');
-    const wsUrl = `wss://${publicHost}/media-stream`;
-    
-    connect.stream({
-      url: wsUrl,
-      track: 'both_tracks'
-    });
-  } else {
-    twiml.say({ voice: 'alice' }, 'Invalid input. Goodbye!');
-    twiml.hangup();
-  }
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Voicemail recorded from an IVR menu
+app.post('/ivr/voicemail-complete', validateTwilioSignature, (req, res) => {
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  twiml.say({ voice: 'alice' }, 'Thank you for your message. Goodbye!');
+  twiml.hangup();
 
   res.type('text/xml');
   res.send(twiml.toString());
 });
 
 // Voice response endpoint (TwiML)
-app.post('/voice-response', (req, res) => {
+app.post('/voice-response', validateTwilioSignature, (req, res) => {
   const message = req.query.message || 'Hello from Twilio!';
   const twiml = new twilio.twiml.VoiceResponse();
   
@@ -853,7 +1192,7 @@ app.post('/voice-response', (req, res) => {
 });
 
 // Call status callback endpoint
-app.post('/call-status', (req, res) => {
+app.post('/call-status', validateTwilioSignature, (req, res) => {
   const callSid = req.body.CallSid;
   const callStatus = req.body.CallStatus;
   
@@ -866,9 +1205,25 @@ app.post('/call-status', (req, res) => {
 // QUEUE MANAGEMENT ENDPOINTS
 // ============================================
 
+/**
+ * Validate the per-call options in a call request's metadata
+ * Checked when the call is queued so bad input is rejected instead of failing the job later
+ * @param {Object} metadata - Call metadata
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCallMetadata(metadata) {
+  if (metadata && metadata.callingWindow !== undefined) {
+    const errors = validateCallingWindow(metadata.callingWindow);
+    if (errors.length > 0) {
+      return errors.join('; ');
+    }
+  }
+  return null;
+}
+
 // Schedule an immediate outbound call
 app.post('/api/queue/schedule-call', verifyToken, async (req, res) => {
-  const { to, message, lead_id, priority, metadata, speakFirst, initialMessage } = req.body;
+  const { to, message, lead_id, priority, metadata, speakFirst, initialMessage, agentProfileId } = req.body;
   console.log('Scheduling immediate call with data:', req.body);
   if (!to) {
     return res.status(400).json({
@@ -877,13 +1232,30 @@ app.post('/api/queue/schedule-call', verifyToken, async (req, res) => {
     });
   }
 
+  const metadataError = validateCallMetadata(metadata);
+  if (metadataError) {
+    return res.status(400).json({
+      success: false,
+      error: metadataError
+    });
+  }
+
   try {
     const callMetadata = metadata || {};
     if (speakFirst === true) {
       callMetadata.speakFirst = true;
       callMetadata.initialMessage = initialMessage || 'Hello! How can I help you today?';
     }
+    if (agentProfileId) {
+      callMetadata.agentProfileId = agentProfileId;
+    }
     
+    // Never schedule numbers on the Do-Not-Call list
+    const dncEntry = await findDoNotCallEntry(models, to);
+    if (dncEntry) {
+      return res.status(403).json(buildDoNotCallError(to, dncEntry));
+    }
+
     const result = await scheduleImmediateCall({
       to,
       message: message || 'Hello from VoMindAI',
@@ -892,6 +1264,14 @@ app.post('/api/queue/schedule-call', verifyToken, async (req, res) => {
       metadata: callMetadata
     });
 
+    if (result.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: result.message,
+        existingJobId: result.jobId
+      });
+    }
+
     res.json({
       success: true,
       message: 'Call scheduled successfully',
@@ -908,7 +1288,7 @@ app.post('/api/queue/schedule-call', verifyToken, async (req, res) => {
 
 // Schedule a delayed outbound call
 app.post('/api/queue/schedule-delayed-call', verifyToken, async (req, res) => {
-  const { to, message, lead_id, priority, metadata, scheduleAt, delayMs, speakFirst, initialMessage } = req.body;
+  const { to, message, lead_id, priority, metadata, scheduleAt, delayMs, speakFirst, initialMessage, agentProfileId } = req.body;
 
   if (!to) {
     return res.status(400).json({
@@ -924,6 +1304,14 @@ app.post('/api/queue/schedule-delayed-call', verifyToken, async (req, res) => {
     });
   }
 
+  const metadataError = validateCallMetadata(metadata);
+  if (metadataError) {
+    return res.status(400).json({
+      success: false,
+      error: metadataError
+    });
+  }
+
   try {
     const delay = scheduleAt ? new Date(scheduleAt) : parseInt(delayMs);
     const callMetadata = metadata || {};
@@ -931,7 +1319,16 @@ app.post('/api/queue/schedule-delayed-call', verifyToken, async (req, res) => {
       callMetadata.speakFirst = true;
       callMetadata.initialMessage = initialMessage || 'Hello! How can I help you today?';
     }
+    if (agentProfileId) {
+      callMetadata.agentProfileId = agentProfileId;
+    }
     
+    // Never schedule numbers on the Do-Not-Call list
+    const dncEntry = await findDoNotCallEntry(models, to);
+    if (dncEntry) {
+      return res.status(403).json(buildDoNotCallError(to, dncEntry));
+    }
+
     const result = await scheduleDelayedCall({
       to,
       message: message || 'Hello from VoMindAI',
@@ -940,6 +1337,14 @@ app.post('/api/queue/schedule-delayed-call', verifyToken, async (req, res) => {
       metadata: callMetadata
     }, delay);
 
+    if (result.status === 'duplicate') {
+      return res.status(409).json({
+        success: false,
+        error: result.message,
+        existingJobId: result.jobId
+      });
+    }
+
     res.json({
       success: true,
       message: 'Delayed call scheduled successfully',
@@ -956,7 +1361,7 @@ app.post('/api/queue/schedule-delayed-call', verifyToken, async (req, res) => {
 
 // Schedule a recurring call
 app.post('/api/queue/schedule-recurring-call', verifyToken, async (req, res) => {
-  const { to, message, lead_id, priority, metadata, cronExpression, speakFirst, initialMessage } = req.body;
+  const { to, message, lead_id, priority, metadata, cronExpression, speakFirst, initialMessage, agentProfileId } = req.body;
 
   if (!to || !cronExpression) {
     return res.status(400).json({
@@ -965,13 +1370,30 @@ app.post('/api/queue/schedule-recurring-call', verifyToken, async (req, res) =>
     });
   }
 
+  const metadataError = validateCallMetadata(metadata);
+  if (metadataError) {
+    return res.status(400).json({
+      success: false,
+      error: metadataError
+    });
+  }
+
   try {
     const callMetadata = metadata || {};
     if (speakFirst === true) {
       callMetadata.speakFirst = true;
       callMetadata.initialMessage = initialMessage || 'Hello! How can I help you today?';
     }
+    if (agentProfileId) {
+      callMetadata.agentProfileId = agentProfileId;
+    }
     
+    // Never schedule numbers on the Do-Not-Call list
+    const dncEntry = await findDoNotCallEntry(models, to);
+    if (dncEntry) {
+      return res.status(403).json(buildDoNotCallError(to, dncEntry));
+    }
+
     const result = await scheduleRecurringCall({
       to,
       message: message || 'Hello from VoMindAI',
@@ -1005,13 +1427,33 @@ app.post('/api/queue/schedule-bulk-calls', verifyToken, async (req, res) => {
     });
   }
 
+  const invalidIndex = calls.findIndex(call => validateCallMetadata(call.metadata));
+  if (invalidIndex !== -1) {
+    return res.status(400).json({
+      success: false,
+      error: `calls[${invalidIndex}]: ${validateCallMetadata(calls[invalidIndex].metadata)}`
+    });
+  }
+
   try {
-    const results = await scheduleBulkCalls(calls);
+    // Skip numbers on the Do-Not-Call list
+    const { allowed, blocked } = await filterDoNotCall(models, calls, call => call.to);
+    const { jobs, skipped: duplicates } = allowed.length > 0
+      ? await scheduleBulkCalls(allowed)
+      : { jobs: [], skipped: [] };
 
     res.json({
       success: true,
-      message: `${results.length} calls scheduled successfully`,
-      jobs: results
+      message: `${jobs.length} calls scheduled successfully`,
+      jobs,
+      skipped: [
+        ...blocked.map(call => ({
+          to: call.to,
+          lead_id: call.lead_id,
+          reason: 'Number is on the Do-Not-Call list'
+        })),
+        ...duplicates
+      ]
     });
   } catch (error) {
     res.status(500).json({
@@ -1215,6 +1657,42 @@ app.get('/api/lead-stats', verifyToken, async (req, res) => {
   }
 });
 
+// Fleet-wide assistant turn latency percentiles (p50/p95) and token usage
+// Query: dateFrom, dateTo (default: the last 24 hours), limit (most recent turns to include)
+app.get('/api/latency-stats', verifyToken, async (req, res) => {
+  if (!models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  const dateFrom = req.query.dateFrom || new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+  const dateTo = req.query.dateTo || null;
+  const limit = Math.min(parseInt(req.query.limit) || 5000, 20000);
+
+  try {
+    const turns = await models.ConversationTranscript.findTurnMetrics({ dateFrom, dateTo, limit });
+
+    res.json({
+      success: true,
+      dateFrom,
+      dateTo,
+      calls: new Set(turns.map(turn => turn.call_sid)).size,
+      // The summary covers only the most recent turns when the window holds more than the limit
+      truncated: turns.length >= limit,
+      stats: summarizeTurnMetrics(turns)
+    });
+  } catch (error) {
+    console.error('Error fetching latency stats:', error.message || error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch latency statistics',
+      message: error.message || String(error)
+    });
+  }
+});
+
 // Get waiting jobs
 app.get('/api/queue/waiting', verifyToken, async (req, res) => {
   const { start = 0, end = 10 } = req.query;
@@ -1343,26 +1821,75 @@ app.post('/api/queue/resume', verifyToken, requireRole('admin'), async (req, res
 // LEAD AUTOMATION ENDPOINTS
 // ============================================
 
+/**
+ * Validate automation settings
+ * @param {Object} settings - cronExpression, timezone, priority, leadLimit, leadFilter (any subset)
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateAutomationSettings(settings) {
+  const { cronExpression, timezone, priority, leadLimit, leadFilter } = settings;
+
+  if (cronExpression !== undefined) {
+    const fields = typeof cronExpression === 'string' ? cronExpression.trim().split(/\s+/) : [];
+    if (fields.length < 5 || fields.length > 6) {
+      return 'cronExpression must be a cron pattern with 5 or 6 fields (e.g. "0 9 * * 1-5")';
+    }
+  }
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return `Invalid timezone: ${timezone}`;
+  }
+  if (priority !== undefined && !['high', 'normal', 'low'].includes(priority)) {
+    return 'priority must be high, normal or low';
+  }
+  if (leadLimit !== undefined && (!Number.isInteger(leadLimit) || leadLimit < 1)) {
+    return 'leadLimit must be a positive integer';
+  }
+  if (leadFilter !== undefined) {
+    const filterErrors = validateLeadFilter(leadFilter);
+    if (filterErrors.length > 0) {
+      return `Invalid leadFilter: ${filterErrors.join('; ')}`;
+    }
+  }
+  return null;
+}
+
 // Schedule automation to fetch new leads and call them
 app.post('/api/automation/schedule', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
   const { 
+    name,
     cronExpression = '0 9 * * *',
+    timezone = 'UTC',
     message = 'Hello from VoMindAI. We have an opportunity for you.',
     priority = 'normal',
-    leadLimit = 10
+    leadLimit = 10,
+    leadFilter
   } = req.body;
 
+  const validationError = validateAutomationSettings({ cronExpression, timezone, priority, leadLimit, leadFilter });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
   try {
-    const result = await scheduleLeadAutomation(supabase, {
+    const automation = await scheduleLeadAutomation({
+      name,
       cronExpression,
+      timezone,
       message,
       priority,
-      leadLimit
+      leadLimit,
+      leadFilter
     });
 
     res.json({
       success: true,
-      ...result
+      message: `Automation scheduled to run: ${cronExpression} (${timezone})`,
+      // Kept for callers of the older API, which stop automations by jobId
+      jobId: automation.id,
+      automation
     });
   } catch (error) {
     res.status(500).json({
@@ -1373,7 +1900,7 @@ app.post('/api/automation/schedule', verifyToken, requireRole(['admin', 'manager
   }
 });
 
-// Get all active automation schedules
+// Get all automation schedules with their next run time and last run result
 app.get('/api/automation/schedules', verifyToken, async (req, res) => {
   try {
     const schedules = await getAutomationSchedules();
@@ -1392,68 +1919,196 @@ app.get('/api/automation/schedules', verifyToken, async (req, res) => {
   }
 });
 
-// Stop an automation schedule
-app.post('/api/automation/stop/:jobId', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
-  const { jobId } = req.params;
-
+// Get one automation schedule
+app.get('/api/automation/schedules/:id', verifyToken, async (req, res) => {
   try {
-    const result = await stopAutomation(jobId);
+    const automation = await getAutomationSchedule(req.params.id);
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Automation not found'
+      });
+    }
 
     res.json({
       success: true,
-      ...result
+      automation
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to stop automation',
+      error: 'Failed to fetch automation schedule',
       message: error.message
     });
   }
 });
 
-// Manually trigger automation (fetch new leads and schedule calls once)
-app.post('/api/automation/run-now', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
-  const { 
-    message = 'Hello from VoMindAI. We have an opportunity for you.',
-    priority = 'normal',
-    leadLimit = 10
-  } = req.body;
+// Update an automation's schedule or settings
+app.put('/api/automation/schedules/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  const changes = {};
+  ['name', 'cronExpression', 'timezone', 'message', 'priority', 'leadLimit', 'leadFilter'].forEach(field => {
+    if (req.body[field] !== undefined) changes[field] = req.body[field];
+  });
 
-  if (!supabase || !models) {
-    return res.status(503).json({
+  if (Object.keys(changes).length === 0) {
+    return res.status(400).json({
       success: false,
-      error: 'Database not configured'
+      error: 'No fields to update'
     });
   }
 
-  try {
-    const result = await fetchAndScheduleNewLeads(supabase, models, {
-      message,
-      priority,
-      leadLimit
+  const validationError = validateAutomationSettings(changes);
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
     });
+  }
+
+  try {
+    const automation = await updateAutomationSchedule(req.params.id, changes);
+    if (!automation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Automation not found'
+      });
+    }
 
     res.json({
       success: true,
-      ...result
+      message: 'Automation updated successfully',
+      automation
     });
   } catch (error) {
     res.status(500).json({
       success: false,
-      error: 'Failed to run automation',
+      error: 'Failed to update automation',
       message: error.message
     });
   }
 });
 
-// ============================================
-// END LEAD AUTOMATION ENDPOINTS
-// ============================================
+/**
+ * Pause or resume an automation
+ * @param {string} action - 'pause' or 'resume'
+ * @returns {Function} Express handler
+ */
+function handleAutomationState(action) {
+  return async (req, res) => {
+    try {
+      const automation = action === 'pause'
+        ? await pauseAutomation(req.params.id)
+        : await resumeAutomation(req.params.id);
+      if (!automation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Automation not found'
+        });
+      }
 
-// Call events tracking endpoint for outgoing calls
-app.post('/call-events', async (req, res) => {
-  const {
+      res.json({
+        success: true,
+        message: `Automation ${action === 'pause' ? 'paused' : 'resumed'}`,
+        automation
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: `Failed to ${action} automation`,
+        message: error.message
+      });
+    }
+  };
+}
+
+app.post('/api/automation/schedules/:id/pause', verifyToken, requireRole(['admin', 'manager']), handleAutomationState('pause'));
+app.post('/api/automation/schedules/:id/resume', verifyToken, requireRole(['admin', 'manager']), handleAutomationState('resume'));
+
+/**
+ * Delete an automation schedule
+ * Shared by DELETE /api/automation/schedules/:id and the older POST /api/automation/stop/:jobId,
+ * which also accepts the job IDs of automations created before job schedulers
+ */
+async function handleStopAutomation(req, res) {
+  const id = req.params.id || req.params.jobId;
+
+  try {
+    const removed = await stopAutomation(id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Automation not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Automation ${id} stopped`
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to stop automation',
+      message: error.message
+    });
+  }
+}
+
+app.delete('/api/automation/schedules/:id', verifyToken, requireRole(['admin', 'manager']), handleStopAutomation);
+app.post('/api/automation/stop/:jobId', verifyToken, requireRole(['admin', 'manager']), handleStopAutomation);
+
+// Manually trigger automation (fetch new leads and schedule calls once)
+app.post('/api/automation/run-now', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  const { 
+    message = 'Hello from VoMindAI. We have an opportunity for you.',
+    priority = 'normal',
+    leadLimit = 10,
+    leadFilter
+  } = req.body;
+
+  if (!supabase || !models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  const validationError = validateAutomationSettings({ priority, leadLimit, leadFilter });
+  if (validationError) {
+    return res.status(400).json({
+      success: false,
+      error: validationError
+    });
+  }
+
+  try {
+    const result = await fetchAndScheduleNewLeads(supabase, models, {
+      message,
+      priority,
+      leadLimit,
+      leadFilter
+    });
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run automation',
+      message: error.message
+    });
+  }
+});
+
+// ============================================
+// END LEAD AUTOMATION ENDPOINTS
+// ============================================
+
+// Call events tracking endpoint for outgoing calls
+app.post('/call-events', validateTwilioSignature, async (req, res) => {
+  const {
     CallSid,
     CallStatus,
     Direction,
@@ -1463,11 +2118,62 @@ app.post('/call-events', async (req, res) => {
     Timestamp,
     CallDuration,
     RecordingUrl,
-    RecordingSid
+    RecordingSid,
+    AnsweredBy,
+    SequenceNumber
   } = req.body;
+  const eventTimestamp = Timestamp ? new Date(Timestamp).toISOString() : new Date().toISOString();
+  
+  const isTerminal = TERMINAL_STATUSES.includes(CallStatus);
+
+  // Release the queue job waiting for this call to end
+  // Done once the event is saved and any retry is scheduled, so the job (and its
+  // campaign's completion check) sees the retry
+  const releaseCallJob = async () => {
+    if (!isTerminal) {
+      return;
+    }
+    try {
+      await publishCallOutcome(CallSid, {
+        status: CallStatus,
+        duration: parseInt(CallDuration || Duration) || 0,
+        answeredBy: AnsweredBy || null
+      });
+    } catch (error) {
+      console.error(`📞 ❌ Could not publish outcome of call ${CallSid}:`, error.message);
+    }
+  };
+
+  if (isTerminal) {
+    trackLiveCall(releaseLiveCall, CallSid);
+
+    // Price the call once Twilio has rated it
+    if (models) {
+      scheduleCallCost(CallSid).catch(error => {
+        console.error(`💲 ❌ Could not schedule cost of call ${CallSid}:`, error.message);
+      });
+    }
+  }
   
   // Save call event to database using ORM
   try {
+    // Keep every callback so the call's timeline survives later status updates
+    try {
+      await models.CallEventHistory.record({
+        call_sid: CallSid,
+        call_status: CallStatus,
+        sequence_number: SequenceNumber,
+        direction: Direction,
+        duration: Duration,
+        call_duration: CallDuration,
+        answered_by: AnsweredBy,
+        payload: req.body,
+        event_timestamp: eventTimestamp
+      });
+    } catch (historyError) {
+      console.error(`📞 ❌ Could not record ${CallStatus} event for call ${CallSid}:`, historyError.message);
+    }
+
     const callEvent = await models.CallEvent.upsert({
       call_sid: CallSid,
       call_status: CallStatus,
@@ -1478,19 +2184,32 @@ app.post('/call-events', async (req, res) => {
       call_duration: CallDuration,
       recording_url: RecordingUrl,
       recording_sid: RecordingSid,
-      timestamp: Timestamp ? new Date(Timestamp).toISOString() : new Date().toISOString()
+      timestamp: eventTimestamp
     });
 
+    // Record the attempt on the lead and retry unanswered queued calls
+    let retry = null;
+    try {
+      retry = await processCallOutcome(models, callEvent, scheduleRetryCall);
+    } catch (retryError) {
+      console.error(`🔁 ❌ Could not process outcome of call ${CallSid}:`, retryError.message);
+    }
+
+    await releaseCallJob();
+
     // Respond to acknowledge receipt
     res.status(200).json({
       success: true,
       message: 'Call event received and saved',
       callSid: CallSid,
       status: CallStatus,
-      data: callEvent
+      data: callEvent,
+      retry
     });
     
   } catch (error) {
+    await releaseCallJob();
+
     // Still respond 200 to Twilio to prevent retries
     res.status(200).json({
       success: false,
@@ -1503,7 +2222,7 @@ app.post('/call-events', async (req, res) => {
 });
 
 // Recording Status Callback - Triggered when recording completes
-app.post('/recording-status', async (req, res) => {
+app.post('/recording-status', validateTwilioSignature, async (req, res) => {
   const {
     AccountSid,
     CallSid,
@@ -1577,9 +2296,74 @@ app.post('/recording-status', async (req, res) => {
   }
 });
 
+/**
+ * Build the TwiML for a call answered by a machine
+ * A voicemail box gets the voicemail drop; a fax is hung up on.
+ * @param {string} answeredBy - Twilio AnsweredBy value (machine_end_* or fax)
+ * @param {Object} params - { voicemailUrl, voicemailMessage } from the TwiML URL
+ * @returns {string} TwiML
+ */
+function buildVoicemailDropTwiml(answeredBy, { voicemailUrl, voicemailMessage }) {
+  const twiml = new twilio.twiml.VoiceResponse();
+  if (answeredBy !== 'fax') {
+    if (voicemailUrl) {
+      twiml.play(voicemailUrl);
+    } else {
+      twiml.say(
+        { voice: 'alice' },
+        voicemailMessage || process.env.VOICEMAIL_MESSAGE || 'Hello, this is VoMindAI calling. Sorry we missed you. We will try again soon.'
+      );
+    }
+  }
+  twiml.hangup();
+  return twiml.toString();
+}
+
+/**
+ * Store an answering machine detection result on the call and, for machines, on the lead
+ * @param {Object} detection - Detection result
+ * @param {string} detection.callSid - Twilio call SID
+ * @param {string} detection.answeredBy - Twilio AnsweredBy value
+ * @param {string} detection.duration - MachineDetectionDuration (ms)
+ * @param {string} detection.leadId - Lead ID from the TwiML URL (optional)
+ * @returns {Promise<void>}
+ */
+async function recordMachineDetectionResult({ callSid, answeredBy, duration, leadId }) {
+  if (!models) {
+    return;
+  }
+
+  try {
+    await models.CallEvent.recordMachineDetection(callSid, {
+      answered_by: answeredBy,
+      machine_detection_duration: duration
+    });
+
+    const isMachine = answeredBy.startsWith('machine_end');
+    if (!isMachine && answeredBy !== 'fax') {
+      return;
+    }
+
+    const lead = leadId
+      ? await models.Lead.findById(leadId)
+      : await models.Lead.findByCallSid(callSid);
+
+    if (lead) {
+      const note = isMachine ? `Voicemail left on call ${callSid}` : `Fax machine answered call ${callSid}`;
+      await models.Lead.update(lead.id, {
+        lead_status: isMachine ? 'voicemail' : 'wrong_number',
+        last_contacted_at: new Date().toISOString(),
+        notes: lead.notes ? `${lead.notes}\n${note}` : note
+      });
+    }
+  } catch (error) {
+    console.error(`❌ Error recording AMD result for ${callSid}:`, error.message);
+  }
+}
+
 // Endpoint to start media stream
-app.post('/start-media-stream', async (req, res) => {
-  const { to, message, speakFirst, initialMessage } = req.body;
+app.post('/start-media-stream', verifyToken, async (req, res) => {
+  const { to, message, speakFirst, initialMessage, agentProfileId, lead_id } = req.body;
   console.log('Received /start-media-stream request:', req.body);
   if (!to) {
     return res.status(400).json({ error: 'Phone number is required' });
@@ -1595,21 +2379,33 @@ app.post('/start-media-stream', async (req, res) => {
     });
   }
   
-  // Build TwiML URL with speakFirst parameters
+  // Build TwiML URL with speakFirst and agent profile parameters
   let twimlUrl = `${publicUrl}/media-stream-twiml`;
+  const params = new URLSearchParams();
   if (speakFirst === true) {
-    const params = new URLSearchParams({
-      speakFirst: 'true',
-      initialMessage: initialMessage || 'Hello! How can I help you today?'
-    });
+    params.append('speakFirst', 'true');
+    params.append('initialMessage', initialMessage || 'Hello! How can I help you today?');
+  }
+  if (agentProfileId) {
+    params.append('agentProfileId', agentProfileId);
+  }
+  if (lead_id) {
+    params.append('leadId', lead_id);
+  }
+  if (params.toString()) {
     twimlUrl += `?${params.toString()}`;
   }
   
   try {
-    const call = await client.calls.create({
+    const dncEntry = await findDoNotCallEntry(models, validation.formatted);
+    if (dncEntry) {
+      console.warn(`🚫 Refusing to call ${validation.formatted}: number is on the Do-Not-Call list`);
+      return res.status(403).json(buildDoNotCallError(validation.formatted, dncEntry));
+    }
+
+    const call = await createDirectCall({
       url: twimlUrl,
       to: validation.formatted,
-      from: twilioPhoneNumber,
       statusCallback: `${publicUrl}/call-events`,
       statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
       record: true,
@@ -1623,9 +2419,11 @@ app.post('/start-media-stream', async (req, res) => {
       callSid: call.sid,
       message: 'Media stream call initiated successfully',
       to: validation.formatted,
+      from: call.from,
       country: validation.country,
       twimlUrl: twimlUrl,
-      speakFirst: speakFirst === true
+      speakFirst: speakFirst === true,
+      agentProfileId: agentProfileId || null
     });
   } catch (error) {
     res.status(500).json({
@@ -1770,29 +2568,32 @@ const handleMediaStreamTwiml = (req, res) => {
     const params = req.query || req.body || {};
     const speakFirst = params.speakFirst === 'true' || params.speakFirst === true;
     const initialMessage = params.initialMessage || 'Hello! How can I help you today?';
+    const agentProfileId = params.agentProfileId || null;
+    const leadId = params.leadId || null;
     
-    console.log(`📺 TwiML endpoint received - speakFirst: ${speakFirst}, initialMessage: "${initialMessage}"`);
-    
-    // Use Connect + Stream for BIDIRECTIONAL audio (user can hear AI responses)
-    const publicHost = publicUrl.replace('https://', '').replace('http://', '');
-    let wsUrl = `wss://${publicHost}/media-stream`;
-    
-    // If speakFirst is enabled, add as query parameters to WebSocket URL
-    if (speakFirst) {
-      const wsParams = new URLSearchParams({
-        speakFirst: 'true',
-        initialMessage: initialMessage
-      });
-      wsUrl += `?${wsParams.toString()}`;
-      console.log(`📺 Built WebSocket URL with speakFirst: ${wsUrl}`);
+    // Calls placed with AMD only fetch their TwiML once Twilio knows who answered
+    const { CallSid, AnsweredBy, MachineDetectionDuration } = { ...req.query, ...req.body };
+    if (AnsweredBy) {
+      console.log(`🤖 AMD result for ${CallSid}: ${AnsweredBy} (${MachineDetectionDuration || 0}ms)`);
+      recordMachineDetectionResult({ callSid: CallSid, answeredBy: AnsweredBy, duration: MachineDetectionDuration, leadId });
+    }
+    if (AnsweredBy && (AnsweredBy.startsWith('machine_end') || AnsweredBy === 'fax')) {
+      console.log(`📭 ${AnsweredBy === 'fax' ? 'Fax detected, hanging up' : 'Leaving voicemail'} on ${CallSid}`);
+      res.type('text/xml');
+      return res.send(buildVoicemailDropTwiml(AnsweredBy, params));
     }
     
+    console.log(`📺 TwiML endpoint received - speakFirst: ${speakFirst}, initialMessage: "${initialMessage}", agentProfileId: ${agentProfileId || 'default'}`);
+    
+    // Use Connect + Stream for BIDIRECTIONAL audio (user can hear AI responses)
+    // Per-call settings reach the session as stream parameters
     const twiml = new twilio.twiml.VoiceResponse();
-    const connect = twiml.connect();
-    connect.stream({
-      url: wsUrl
+    connectMediaStream(twiml, {
+      speakFirst: speakFirst ? 'true' : null,
+      initialMessage: speakFirst ? initialMessage : null,
+      agentProfileId,
+      leadId
     });
-  
     
     const twimlResponse = twiml.toString();
     
@@ -1804,47 +2605,112 @@ const handleMediaStreamTwiml = (req, res) => {
   }
 };
 
-app.post('/media-stream-twiml', handleMediaStreamTwiml);
-app.get('/media-stream-twiml', handleMediaStreamTwiml);
+app.post('/media-stream-twiml', validateTwilioSignature, handleMediaStreamTwiml);
+app.get('/media-stream-twiml', validateTwilioSignature, handleMediaStreamTwiml);
 
 // WebSocket handler for media streams with OpenAI Realtime API
+// Twilio sends the start message right after connecting
+const MEDIA_STREAM_START_TIMEOUT_MS = 10000;
 const activeSessions = new Map();
 const openAISessions = new Map();
 
 
 wss.on('connection', async (ws, req) => {
   
-  // Parse query parameters from WebSocket URL (for speakFirst feature)
-  const url = new URL(req.url, `wss://${req.headers.host}`);
-  const queryParams = url.searchParams;
-  const wsQuerySpeakFirst = queryParams.get('speakFirst') === 'true';
-  const wsQueryInitialMessage = queryParams.get('initialMessage') || null;
-  
+  // Per-call settings arrive as stream parameters on the start message
   let sessionData = {
     callSid: null,
     streamSid: null,
+    authenticated: false,
     audioBuffer: [],
     openAISession: null,
-    speakFirst: wsQuerySpeakFirst,
-    initialMessage: wsQueryInitialMessage || 'Hello! How can I help you today?'
+    speakFirst: false,
+    initialMessage: 'Hello! How can I help you today?',
+    agentProfileId: null,
+    agentProfile: null,
+    leadId: null,
+    leadContext: null
   };
+  let streamInitialMessage = null;
+
+  // Streams that never authenticate are dropped
+  const startTimeout = setTimeout(() => {
+    if (!sessionData.authenticated) {
+      console.warn('🚨 Closing media stream: no start message received');
+      ws.close(1008, 'Unauthorized');
+    }
+  }, MEDIA_STREAM_START_TIMEOUT_MS);
 
   ws.on('message', async (message) => {
     try {
       const msg = JSON.parse(message);
       
+      // Nothing but the start message is handled until the stream is authenticated
+      if (!sessionData.authenticated && msg.event !== 'connected' && msg.event !== 'start') {
+        return;
+      }
+      
       switch (msg.event) {
         case 'connected':
           console.log('Media stream connected:', msg);
           break;
           
-        case 'start':
+        case 'start': {
+          const streamParams = msg.start.customParameters || {};
+          if (!verifyMediaStreamParameters(streamParams)) {
+            ws.close(1008, 'Unauthorized');
+            return;
+          }
+          sessionData.authenticated = true;
+          clearTimeout(startTimeout);
+          
           sessionData.callSid = msg.start.callSid;
           sessionData.streamSid = msg.start.streamSid;
+          sessionData.speakFirst = streamParams.speakFirst === 'true';
+          streamInitialMessage = streamParams.initialMessage || null;
+          if (streamInitialMessage) {
+            sessionData.initialMessage = streamInitialMessage;
+          }
+          sessionData.agentProfileId = streamParams.agentProfileId || null;
+          sessionData.leadId = streamParams.leadId || null;
           
           console.log(`[${sessionData.callSid}] 🎯 Media stream started - speakFirst: ${sessionData.speakFirst}, initialMessage: "${sessionData.initialMessage}"`);
           
           activeSessions.set(sessionData.callSid, sessionData);
+          trackLiveCall(registerLiveCall, sessionData.callSid);
+          
+          // Load the agent profile (explicit profile, else the default profile)
+          if (models) {
+            try {
+              sessionData.agentProfile = await models.AgentProfile.resolve(sessionData.agentProfileId);
+            } catch (error) {
+              console.warn(`[${sessionData.callSid}] ⚠️  Could not load agent profile:`, error.message);
+            }
+          }
+          
+          // Profile greeting applies unless the call passed its own initial message
+          if (sessionData.agentProfile) {
+            const profile = sessionData.agentProfile;
+            console.log(`[${sessionData.callSid}] 🧑‍💼 Using agent profile "${profile.name}"`);
+            if (profile.speak_first) {
+              sessionData.speakFirst = true;
+            }
+            if (profile.greeting && !streamInitialMessage) {
+              sessionData.initialMessage = profile.greeting;
+            }
+          }
+          
+          // Load what we know about the lead so the agent can personalize the call
+          if (models && sessionData.leadId) {
+            try {
+              sessionData.leadContext = await buildLeadContext(models, sessionData.leadId, { callSid: sessionData.callSid });
+              if (sessionData.leadContext) {
+                console.log(`[${sessionData.callSid}] 👤 Loaded context for lead ${sessionData.leadId}`);
+              }
+            } catch (error) {
+              console.warn(`[${sessionData.callSid}] ⚠️  Could not load lead context:`, error.message);
+            }
+          }
           
           // Initialize OpenAI Realtime session with retry logic
           let retryCount = 0;
@@ -1859,7 +2725,11 @@ wss.on('connection', async (ws, req) => {
                 models,
                 {
                   speakFirst: sessionData.speakFirst,
-                  initialMessage: sessionData.initialMessage
+                  initialMessage: sessionData.initialMessage,
+                  profile: sessionData.agentProfile,
+                  leadId: sessionData.leadId,
+                  leadContext: sessionData.leadContext,
+                  toolRegistry
                 }
               );
               await openAISession.connect();
@@ -1895,12 +2765,13 @@ wss.on('connection', async (ws, req) => {
             }
           }
           break;
+        }
           
         case 'media':
           // Handle incoming audio data from caller
           if (msg.media.track === 'inbound' && sessionData.openAISession) {
             // Send audio to OpenAI for processing
-            sessionData.openAISession.handleIncomingAudio(msg.media.payload);
+            sessionData.openAISession.handleIncomingAudio(msg.media.payload, msg.media.timestamp);
           }
           
           // Store audio for debugging/logging
@@ -1917,6 +2788,13 @@ wss.on('connection', async (ws, req) => {
           }
           break;
           
+        case 'mark':
+          // Twilio finished playing the audio chunk tagged with this mark
+          if (sessionData.openAISession) {
+            sessionData.openAISession.handleTwilioMark(msg.mark && msg.mark.name);
+          }
+          break;
+          
         case 'stop':
           console.log(`Media stream stopped for call: ${sessionData.callSid}`);
           
@@ -1925,12 +2803,24 @@ wss.on('connection', async (ws, req) => {
             const history = sessionData.openAISession.getConversationHistory();
             console.log(`[${sessionData.callSid}] Conversation history:`, JSON.stringify(history, null, 2));
             
+            // Summarize the call and update the lead's disposition in the background
+            if (models) {
+              scheduleCallSummary({
+                callSid: sessionData.callSid,
+                leadId: sessionData.leadId,
+                transcript: history.filter(entry => entry.role === 'user' || entry.role === 'assistant')
+              }).catch(error => {
+                console.error(`[${sessionData.callSid}] ❌ Failed to schedule call summary:`, error.message);
+              });
+            }
+            
             // Close OpenAI session
             sessionData.openAISession.close();
             openAISessions.delete(sessionData.callSid);
           }
           
           activeSessions.delete(sessionData.callSid);
+          trackLiveCall(releaseLiveCall, sessionData.callSid);
           break;
           
         default:
@@ -1943,6 +2833,7 @@ wss.on('connection', async (ws, req) => {
 
   ws.on('close', () => {
     console.log('WebSocket connection closed');
+    clearTimeout(startTimeout);
     if (sessionData.callSid) {
       // Cleanup
       if (sessionData.openAISession) {
@@ -1950,6 +2841,7 @@ wss.on('connection', async (ws, req) => {
         openAISessions.delete(sessionData.callSid);
       }
       activeSessions.delete(sessionData.callSid);
+      trackLiveCall(releaseLiveCall, sessionData.callSid);
     }
   });
 
@@ -1959,7 +2851,7 @@ wss.on('connection', async (ws, req) => {
 });
 
 // Endpoint to get active media stream sessions
-app.get('/active-streams', verifyToken, (req, res) => {
+app.get('/active-streams', verifyToken, async (req, res) => {
   const sessions = Array.from(activeSessions.entries()).map(([callSid, data]) => ({
     callSid,
     streamSid: data.streamSid,
@@ -1967,9 +2859,18 @@ app.get('/active-streams', verifyToken, (req, res) => {
     openAIConnected: data.openAISession ? data.openAISession.isConnected : false
   }));
   
+  // Live calls across every server and worker process
+  let liveCalls = null;
+  try {
+    liveCalls = { count: await getLiveCallCount(redisConnection), max: getMaxLiveCalls() };
+  } catch (error) {
+    console.warn('⚠️  Could not count live calls:', error.message);
+  }
+
   res.json({
     count: sessions.length,
-    sessions
+    sessions,
+    liveCalls
   });
 });
 
@@ -1993,6 +2894,89 @@ app.get('/conversation/:callSid', verifyToken, (req, res) => {
   });
 });
 
+// Whisper played to the human agent before a transferred call is bridged
+app.post('/transfer-whisper', validateTwilioSignature, (req, res) => {
+  const summary = req.query.summary;
+  const twiml = new twilio.twiml.VoiceResponse();
+
+  twiml.say({ voice: 'alice' }, 'Incoming transfer from the AI assistant.');
+  if (summary) {
+    twiml.say({ voice: 'alice' }, summary);
+  }
+
+  res.type('text/xml');
+  res.send(twiml.toString());
+});
+
+// Transfer a live AI call to a human agent or queue
+// Only configured transfer numbers can be dialled (see getTransferTargets)
+app.post('/api/calls/:callSid/transfer', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+  const { callSid } = req.params;
+  const { to, target = 'agent', mode = 'dial', reason, summary } = req.body;
+
+  if (!TRANSFER_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      error: `mode must be one of: ${TRANSFER_MODES.join(', ')}`
+    });
+  }
+
+  if (to && !/^\+[1-9]\d{6,14}$/.test(to)) {
+    return res.status(400).json({
+      success: false,
+      error: 'to must be in E.164 format'
+    });
+  }
+
+  const transferNumber = resolveTransferNumber(to || target);
+  if (!transferNumber) {
+    return res.status(to ? 403 : 400).json({
+      success: false,
+      error: to
+        ? 'to is not a configured transfer number (TRANSFER_AGENT_NUMBER, TRANSFER_QUEUE_NUMBER or TRANSFER_ALLOWED_NUMBERS)'
+        : 'No transfer number configured (set TRANSFER_AGENT_NUMBER)'
+    });
+  }
+
+  try {
+    const openAISession = openAISessions.get(callSid);
+    const transferSummary = summary || buildConversationSummary(
+      openAISession ? openAISession.getConversationHistory() : [],
+      { reason }
+    );
+
+    const result = await transferCall(client, {
+      callSid,
+      to: transferNumber,
+      summary: transferSummary,
+      mode,
+      callerId: twilioPhoneNumber,
+      publicUrl
+    });
+
+    if (models) {
+      try {
+        await models.CallEvent.recordTransfer(callSid, result);
+      } catch (recordError) {
+        console.warn(`[${callSid}] ⚠️  Could not record transfer:`, recordError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Call transferred successfully',
+      ...result
+    });
+  } catch (error) {
+    console.error(`[${callSid}] Error transferring call:`, error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transfer call',
+      message: error.message
+    });
+  }
+});
+
 // Endpoint to get conversation transcripts from database
 app.get('/api/transcripts/:callSid', verifyToken, async (req, res) => {
   const { callSid } = req.params;
@@ -2023,6 +3007,143 @@ app.get('/api/transcripts/:callSid', verifyToken, async (req, res) => {
   }
 });
 
+// Endpoint to get the post-call summary and disposition for a call
+app.get('/api/calls/:callSid/summary', verifyToken, async (req, res) => {
+  const { callSid } = req.params;
+
+  if (!models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  try {
+    const summary = await models.CallSummary.findByCallSid(callSid);
+
+    if (!summary) {
+      return res.status(404).json({
+        success: false,
+        error: 'Summary not found',
+        callSid
+      });
+    }
+
+    res.json({
+      success: true,
+      summary
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call summary',
+      message: error.message
+    });
+  }
+});
+
+// Endpoint to get everything about one call: timeline, lead, transcript, recording, summary and queue job
+app.get('/api/calls/:callSid', verifyToken, async (req, res) => {
+  const { callSid } = req.params;
+
+  if (!models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  try {
+    const detail = await buildCallDetail(callSid, { models, recordingManager, getJobStatus });
+
+    if (!detail) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found',
+        callSid
+      });
+    }
+
+    res.json({
+      success: true,
+      ...detail
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call detail',
+      message: error.message
+    });
+  }
+});
+
+// Endpoint to get a call's assistant turn latencies, percentiles (p50/p95) and token usage
+app.get('/api/calls/:callSid/latency', verifyToken, async (req, res) => {
+  const { callSid } = req.params;
+
+  if (!models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  try {
+    const turns = await models.ConversationTranscript.findTurnMetrics({ callSid });
+
+    res.json({
+      success: true,
+      callSid,
+      stats: summarizeTurnMetrics(turns),
+      turns: turns.reverse()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call latency',
+      message: error.message
+    });
+  }
+});
+
+// Endpoint to get the status timeline of a call (every Twilio status callback, ring and talk time)
+app.get('/api/calls/:callSid/timeline', verifyToken, async (req, res) => {
+  const { callSid } = req.params;
+
+  if (!models) {
+    return res.status(503).json({
+      success: false,
+      error: 'Database not configured'
+    });
+  }
+
+  try {
+    const [callEvent, history] = await Promise.all([
+      models.CallEvent.findByCallSid(callSid),
+      models.CallEventHistory.findByCallSid(callSid)
+    ]);
+
+    if (!callEvent && history.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Call not found',
+        callSid
+      });
+    }
+
+    res.json({
+      success: true,
+      timeline: buildCallTimeline(callEvent, history)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch call timeline',
+      message: error.message
+    });
+  }
+});
+
 // Endpoint to get all transcripts with pagination
 app.get('/transcripts', verifyToken, async (req, res) => {
   const { limit = 100, offset = 0 } = req.query;
@@ -2325,26 +3446,40 @@ server.listen(PORT, () => {
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
+let shuttingDown = false;
+
 async function gracefulShutdown() {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
   console.log('\n📞 Shutting down gracefully...');
+
+  // Never hang on shutdown (e.g. when Redis is unreachable)
+  setTimeout(() => {
+    console.error('❌ Shutdown timed out, forcing exit');
+    process.exit(1);
+  }, parseInt(process.env.SHUTDOWN_TIMEOUT_MS || 30000)).unref();
   
   try {
-    // Close WebSocket server
-    wss.close(() => {
-      console.log('✅ WebSocket server closed');
-    });
+    // Stop accepting connections and end live media streams
+    const serversClosed = Promise.all([
+      new Promise(resolve => wss.close(resolve)),
+      new Promise(resolve => server.close(resolve))
+    ]);
+    openAISessions.forEach(session => session.close());
+    openAISessions.clear();
+    wss.clients.forEach(ws => ws.close(1001, 'Server shutting down'));
     
-    // Close HTTP server
-    server.close(() => {
-      console.log('✅ HTTP server closed');
-    });
-    
-    // Close call worker
+    // Drain active queue jobs while in-flight HTTP requests finish
     if (callWorker) {
-      await closeWorker(callWorker);
-      console.log('✅ Call worker closed');
+      await closeWorker(callWorker, postCallWorker);
+      console.log('✅ Call workers closed');
     }
     
+    await serversClosed;
+    console.log('✅ HTTP and WebSocket servers closed');
+    
     // Close queue connections
     await closeQueue();
     console.log('✅ Queue connections closed');
@@ -0,0 +1,145 @@
+const twilio = require('twilio');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Authentication for requests made by Twilio
+ * - Webhooks are checked against the X-Twilio-Signature header
+ * - Media streams carry a signed, short-lived token as a <Parameter> of the <Stream>, checked
+ *   when Twilio sends the stream's start message (Twilio does not support query strings on
+ *   stream URLs)
+ *
+ * Set TWILIO_WEBHOOK_VALIDATION=false to skip both checks, e.g. when exercising webhooks
+ * locally with curl.
+ */
+
+/**
+ * Check whether Twilio request validation is switched off
+ * @returns {boolean} True only when TWILIO_WEBHOOK_VALIDATION=false
+ */
+const isTwilioValidationDisabled = () => {
+  return process.env.TWILIO_WEBHOOK_VALIDATION === 'false';
+};
+
+/**
+ * Validate Twilio webhook signature middleware
+ * Twilio signs the full URL it requested (PUBLIC_URL + path and query) and the POSTed form
+ * parameters with the account auth token. GET requests are signed without parameters.
+ */
+const validateTwilioSignature = (req, res, next) => {
+  if (isTwilioValidationDisabled()) {
+    return next();
+  }
+
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  if (!authToken) {
+    console.error('TWILIO_AUTH_TOKEN not configured');
+    return res.status(500).json({
+      success: false,
+      message: 'Server configuration error'
+    });
+  }
+
+  const signature = req.headers['x-twilio-signature'];
+  if (!signature) {
+    console.warn(`🚨 Missing X-Twilio-Signature on ${req.method} ${req.path}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Missing Twilio signature'
+    });
+  }
+
+  const baseUrl = (process.env.PUBLIC_URL || 'http://localhost:3000').replace(/\/+$/, '');
+  const url = `${baseUrl}${req.originalUrl}`;
+  const params = req.method === 'POST' ? (req.body || {}) : {};
+
+  if (!twilio.validateRequest(authToken, signature, url, params)) {
+    console.warn(`🚨 Twilio signature verification failed for ${req.method} ${url}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'Invalid Twilio signature'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Secret used to sign media stream tokens
+ * @returns {string|undefined} MEDIA_STREAM_TOKEN_SECRET, falling back to JWT_SECRET
+ */
+const getStreamTokenSecret = () => {
+  return process.env.MEDIA_STREAM_TOKEN_SECRET || process.env.JWT_SECRET;
+};
+
+/**
+ * Serialize stream parameters in a stable order (the token itself is excluded)
+ * @param {Object} params - Stream parameters (name => string value)
+ * @returns {string} Canonical query string
+ */
+const canonicalizeStreamParams = (params) => {
+  const sorted = Object.entries(params || {})
+    .filter(([key]) => key !== 'token')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return new URLSearchParams(sorted).toString();
+};
+
+/**
+ * Create a token for a media stream
+ * The token is bound to the stream's other parameters so they cannot be changed, and expires
+ * after MEDIA_STREAM_TOKEN_TTL_SECONDS (default 120) - Twilio connects right after fetching TwiML.
+ * @param {Object} params - Stream parameters (name => string value)
+ * @returns {string|null} Signed token, or null if no secret is configured
+ */
+const createMediaStreamToken = (params) => {
+  const secret = getStreamTokenSecret();
+  if (!secret) {
+    console.error('MEDIA_STREAM_TOKEN_SECRET / JWT_SECRET not configured - media streams are unsigned');
+    return null;
+  }
+
+  return jwt.sign(
+    { purpose: 'media-stream', params: canonicalizeStreamParams(params) },
+    secret,
+    { expiresIn: parseInt(process.env.MEDIA_STREAM_TOKEN_TTL_SECONDS || 120) }
+  );
+};
+
+/**
+ * Authenticate a media stream from its start message
+ * @param {Object} customParameters - start.customParameters (the <Stream>'s <Parameter>s)
+ * @returns {boolean} True if the stream may proceed
+ */
+const verifyMediaStreamParameters = (customParameters) => {
+  if (isTwilioValidationDisabled()) {
+    return true;
+  }
+
+  const params = customParameters || {};
+  const secret = getStreamTokenSecret();
+
+  if (!params.token || !secret) {
+    console.warn('🚨 Rejected media stream: no stream token');
+    return false;
+  }
+
+  try {
+    const decoded = jwt.verify(params.token, secret);
+    if (decoded.purpose !== 'media-stream' || decoded.params !== canonicalizeStreamParams(params)) {
+      console.warn('🚨 Rejected media stream: token does not match stream parameters');
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.warn(`🚨 Rejected media stream: ${error.message}`);
+    return false;
+  }
+};
+
+module.exports = {
+  isTwilioValidationDisabled,
+  validateTwilioSignature,
+  createMediaStreamToken,
+  verifyMediaStreamParameters
+};
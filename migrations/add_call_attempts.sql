@@ -0,0 +1,27 @@
+-- Migration: Link outbound calls to their lead, campaign and queue job, and track attempts
+-- Purpose: Outcome-based retries of unanswered calls, with the attempt history on the lead
+
+ALTER TABLE call_events
+ADD COLUMN IF NOT EXISTS lead_id BIGINT REFERENCES leads(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS campaign_id BIGINT REFERENCES campaigns(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS job_id VARCHAR(100),
+ADD COLUMN IF NOT EXISTS attempt_number INTEGER,
+ADD COLUMN IF NOT EXISTS call_request JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_call_events_lead_id ON call_events(lead_id);
+CREATE INDEX IF NOT EXISTS idx_call_events_campaign_id ON call_events(campaign_id);
+
+COMMENT ON COLUMN call_events.attempt_number IS 'Which attempt to reach the lead this call was (1 = first call)';
+COMMENT ON COLUMN call_events.call_request IS 'Queue job payload used to place the call; re-queued when the call is retried';
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS call_attempts JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN leads.call_attempts IS 'Attempt history: [{"attempt", "call_sid", "status", "campaign_id", "at", "retry_at"}]';
+COMMENT ON COLUMN leads.next_retry_at IS 'When the next retry call is scheduled (NULL when none is pending)';
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS outcome_retry JSONB;
+
+COMMENT ON COLUMN campaigns.outcome_retry IS 'Retries of unanswered calls, e.g. {"max_call_attempts": 3, "retry_delays_minutes": [30, 120, 1440], "retry_on": ["no-answer", "busy", "failed"]}; NULL uses the CALL_RETRY_* defaults';
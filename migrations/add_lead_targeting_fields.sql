@@ -0,0 +1,23 @@
+-- Migration: Add targeting fields to leads table
+-- Purpose: Tags, score and a sortable priority so automations and campaigns can select
+-- and order leads (e.g. abandoned-cart recovery separately from cold imports)
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}',
+ADD COLUMN IF NOT EXISTS lead_score INTEGER,
+ADD COLUMN IF NOT EXISTS priority_rank SMALLINT GENERATED ALWAYS AS (
+  CASE lead_priority
+    WHEN 'high' THEN 3
+    WHEN 'medium' THEN 2
+    WHEN 'low' THEN 1
+    ELSE 0
+  END
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_leads_tags ON leads USING GIN(tags);
+CREATE INDEX IF NOT EXISTS idx_leads_lead_score ON leads(lead_score);
+CREATE INDEX IF NOT EXISTS idx_leads_priority_rank ON leads(priority_rank DESC, created_at);
+
+COMMENT ON COLUMN leads.tags IS 'Free-form labels used by lead filters, e.g. {vip,returning}';
+COMMENT ON COLUMN leads.lead_score IS 'Lead quality score (higher is better); NULL when not scored';
+COMMENT ON COLUMN leads.priority_rank IS 'lead_priority as a number (high = 3) so leads can be ordered high priority first';
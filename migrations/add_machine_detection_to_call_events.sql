@@ -0,0 +1,9 @@
+-- Migration: Add answering machine detection fields to call_events table
+-- Purpose: Record who (or what) answered a queued outbound call
+
+ALTER TABLE call_events
+ADD COLUMN IF NOT EXISTS answered_by VARCHAR(30),
+ADD COLUMN IF NOT EXISTS machine_detection_duration INTEGER;
+
+COMMENT ON COLUMN call_events.answered_by IS 'Twilio AnsweredBy result: human, machine_end_beep, machine_end_silence, machine_end_other, fax or unknown';
+COMMENT ON COLUMN call_events.machine_detection_duration IS 'Time Twilio took to detect the answering party, in milliseconds';
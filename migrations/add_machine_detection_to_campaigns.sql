@@ -0,0 +1,11 @@
+-- Migration: Add answering machine detection settings to campaigns table
+-- Purpose: Turn AMD and the voicemail drop on or off per campaign
+
+ALTER TABLE campaigns
+ADD COLUMN IF NOT EXISTS machine_detection BOOLEAN,
+ADD COLUMN IF NOT EXISTS voicemail_message TEXT,
+ADD COLUMN IF NOT EXISTS voicemail_url TEXT;
+
+COMMENT ON COLUMN campaigns.machine_detection IS 'Detect answering machines and leave a voicemail; NULL uses ENABLE_MACHINE_DETECTION';
+COMMENT ON COLUMN campaigns.voicemail_message IS 'Text read to voicemail boxes (defaults to VOICEMAIL_MESSAGE)';
+COMMENT ON COLUMN campaigns.voicemail_url IS 'Recording played to voicemail boxes instead of voicemail_message';
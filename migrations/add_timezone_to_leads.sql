@@ -0,0 +1,7 @@
+-- Migration: Add timezone column to leads table
+-- Purpose: Explicit lead timezone for local calling windows (overrides the timezone derived from the phone number)
+
+ALTER TABLE leads
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+COMMENT ON COLUMN leads.timezone IS 'IANA timezone of the lead, e.g. America/Chicago; NULL derives it from the phone number';
@@ -0,0 +1,13 @@
+-- Migration: Add warm transfer fields to call_events table
+-- Purpose: Record when an AI call was handed over to a human and the summary passed along
+
+ALTER TABLE call_events
+ADD COLUMN IF NOT EXISTS transferred_to VARCHAR(20),
+ADD COLUMN IF NOT EXISTS transfer_summary TEXT,
+ADD COLUMN IF NOT EXISTS transfer_mode VARCHAR(20),
+ADD COLUMN IF NOT EXISTS transfer_call_sid VARCHAR(50),
+ADD COLUMN IF NOT EXISTS transferred_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN call_events.transferred_to IS 'Phone number of the agent or queue the call was transferred to';
+COMMENT ON COLUMN call_events.transfer_summary IS 'Conversation summary handed to the human agent';
+COMMENT ON COLUMN call_events.transfer_call_sid IS 'Call SID of the agent leg (conference transfers only)';
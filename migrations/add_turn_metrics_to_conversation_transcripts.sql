@@ -0,0 +1,20 @@
+-- Migration: Add turn metrics to conversation_transcripts and call_events
+-- Purpose: Persist each assistant turn's latency breakdown and token usage, and the
+-- running token total for each call
+
+ALTER TABLE conversation_transcripts
+ADD COLUMN IF NOT EXISTS latency_metrics JSONB,
+ADD COLUMN IF NOT EXISTS token_usage JSONB,
+ADD COLUMN IF NOT EXISTS response_id VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_transcripts_turn_metrics
+  ON conversation_transcripts(timestamp)
+  WHERE latency_metrics IS NOT NULL;
+
+ALTER TABLE call_events
+ADD COLUMN IF NOT EXISTS token_usage JSONB;
+
+COMMENT ON COLUMN conversation_transcripts.latency_metrics IS 'Assistant turns: latency breakdown in ms (see utils/latencyStats.js)';
+COMMENT ON COLUMN conversation_transcripts.token_usage IS 'Assistant turns: OpenAI realtime token usage for the response';
+COMMENT ON COLUMN conversation_transcripts.response_id IS 'OpenAI realtime response the turn was generated by';
+COMMENT ON COLUMN call_events.token_usage IS 'OpenAI realtime token usage summed over every response in the call';
@@ -0,0 +1,26 @@
+-- Migration: Create agent_profiles table
+-- Purpose: Named AI agent configurations selectable per call, queue job or inbound number
+
+CREATE TABLE IF NOT EXISTS agent_profiles (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  system_prompt TEXT,
+  voice VARCHAR(30) NOT NULL DEFAULT 'alloy',
+  temperature NUMERIC(3, 2) NOT NULL DEFAULT 0.8,
+  turn_detection JSONB,
+  greeting TEXT,
+  speak_first BOOLEAN NOT NULL DEFAULT FALSE,
+  inbound_numbers TEXT[] NOT NULL DEFAULT '{}',
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only one profile can be the default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_profiles_default ON agent_profiles(is_default) WHERE is_default;
+
+CREATE INDEX IF NOT EXISTS idx_agent_profiles_inbound_numbers ON agent_profiles USING GIN(inbound_numbers);
+
+COMMENT ON COLUMN agent_profiles.turn_detection IS 'Realtime API turn_detection overrides, e.g. {"threshold": 0.6, "silence_duration_ms": 700}';
+COMMENT ON COLUMN agent_profiles.inbound_numbers IS 'Twilio numbers whose inbound calls use this profile';
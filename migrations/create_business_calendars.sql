@@ -0,0 +1,34 @@
+-- Migration: Create business_calendars table
+-- Purpose: Business hours and holidays used to route inbound calls after hours
+-- and to hold outbound calls until the next allowed window
+
+CREATE TABLE IF NOT EXISTS business_calendars (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  weekly_hours JSONB NOT NULL DEFAULT '{
+    "sunday": [],
+    "monday": [{"start": "09:00", "end": "17:00"}],
+    "tuesday": [{"start": "09:00", "end": "17:00"}],
+    "wednesday": [{"start": "09:00", "end": "17:00"}],
+    "thursday": [{"start": "09:00", "end": "17:00"}],
+    "friday": [{"start": "09:00", "end": "17:00"}],
+    "saturday": []
+  }',
+  holidays JSONB NOT NULL DEFAULT '[]',
+  phone_numbers TEXT[] NOT NULL DEFAULT '{}',
+  after_hours_flow_id BIGINT REFERENCES ivr_flows(id) ON DELETE SET NULL,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only one calendar can be the default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_calendars_default ON business_calendars(is_default) WHERE is_default;
+CREATE INDEX IF NOT EXISTS idx_business_calendars_phone_numbers ON business_calendars USING GIN(phone_numbers);
+
+COMMENT ON COLUMN business_calendars.timezone IS 'IANA timezone the weekly hours and holidays are expressed in';
+COMMENT ON COLUMN business_calendars.weekly_hours IS 'Open windows per weekday, e.g. {"monday": [{"start": "09:00", "end": "17:00"}]}';
+COMMENT ON COLUMN business_calendars.holidays IS 'Closed dates, e.g. [{"date": "2026-12-25", "name": "Christmas Day"}]';
+COMMENT ON COLUMN business_calendars.phone_numbers IS 'Twilio numbers whose inbound calls follow this calendar';
+COMMENT ON COLUMN business_calendars.after_hours_flow_id IS 'IVR flow played when closed; NULL uses the built-in after-hours message';
@@ -0,0 +1,46 @@
+-- Migration: Create call_cost_rollup function
+-- Purpose: Add up call costs per campaign, lead source, day and currency in the database,
+-- so cost reports never load every call of the date range
+
+CREATE OR REPLACE FUNCTION call_cost_rollup(
+  date_from DATE DEFAULT NULL,
+  date_to DATE DEFAULT NULL,
+  filter_campaign_id BIGINT DEFAULT NULL,
+  filter_lead_source TEXT DEFAULT NULL
+)
+RETURNS TABLE (
+  campaign_id BIGINT,
+  lead_source VARCHAR(50),
+  call_date DATE,
+  currency VARCHAR(3),
+  calls BIGINT,
+  billable_minutes BIGINT,
+  twilio_cost NUMERIC,
+  openai_cost NUMERIC,
+  recording_cost NUMERIC,
+  total_cost NUMERIC
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    c.campaign_id,
+    c.lead_source,
+    c.call_date,
+    c.currency,
+    COUNT(*),
+    SUM(c.billable_minutes),
+    SUM(c.twilio_cost),
+    SUM(c.openai_cost),
+    SUM(c.recording_cost),
+    SUM(c.total_cost)
+  FROM call_costs c
+  WHERE (date_from IS NULL OR c.call_date >= date_from)
+    AND (date_to IS NULL OR c.call_date <= date_to)
+    AND (filter_campaign_id IS NULL OR c.campaign_id = filter_campaign_id)
+    AND (filter_lead_source IS NULL OR c.lead_source = filter_lead_source)
+  GROUP BY c.campaign_id, c.lead_source, c.call_date, c.currency
+  ORDER BY c.call_date, c.campaign_id, c.lead_source, c.currency
+$$;
+
+COMMENT ON FUNCTION call_cost_rollup(DATE, DATE, BIGINT, TEXT) IS 'Call cost sums per campaign, lead source, day and currency (used by GET /api/costs)';
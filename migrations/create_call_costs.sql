@@ -0,0 +1,64 @@
+-- Migration: Create rate_cards and call_costs tables
+-- Purpose: Price each call (Twilio minutes, OpenAI realtime tokens, recording) and
+-- keep the result for cost reports by campaign, lead source and day
+
+CREATE TABLE IF NOT EXISTS rate_cards (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  campaign_id BIGINT REFERENCES campaigns(id) ON DELETE CASCADE,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  twilio_outbound_per_minute NUMERIC(10, 5) NOT NULL DEFAULT 0.014,
+  twilio_inbound_per_minute NUMERIC(10, 5) NOT NULL DEFAULT 0.0085,
+  openai_text_input_per_million NUMERIC(10, 4) NOT NULL DEFAULT 5,
+  openai_text_output_per_million NUMERIC(10, 4) NOT NULL DEFAULT 20,
+  openai_audio_input_per_million NUMERIC(10, 4) NOT NULL DEFAULT 40,
+  openai_audio_output_per_million NUMERIC(10, 4) NOT NULL DEFAULT 80,
+  openai_cached_input_per_million NUMERIC(10, 4) NOT NULL DEFAULT 2.5,
+  recording_per_minute NUMERIC(10, 5) NOT NULL DEFAULT 0.0025,
+  recording_storage_per_minute_month NUMERIC(10, 5) NOT NULL DEFAULT 0.0005,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- At most one default card, and one card per campaign
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_cards_default ON rate_cards(is_default) WHERE is_default;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rate_cards_campaign_id ON rate_cards(campaign_id) WHERE campaign_id IS NOT NULL;
+
+COMMENT ON COLUMN rate_cards.campaign_id IS 'Campaign the card prices; NULL cards apply to every call when marked default';
+COMMENT ON COLUMN rate_cards.twilio_outbound_per_minute IS 'Used only when Twilio has not reported the call price';
+COMMENT ON COLUMN rate_cards.recording_storage_per_minute_month IS 'Recording storage is charged for one month per call';
+
+INSERT INTO rate_cards (name, is_default)
+SELECT 'Default', TRUE
+WHERE NOT EXISTS (SELECT 1 FROM rate_cards WHERE is_default);
+
+CREATE TABLE IF NOT EXISTS call_costs (
+  id BIGSERIAL PRIMARY KEY,
+  call_sid VARCHAR(50) NOT NULL UNIQUE,
+  call_event_id BIGINT REFERENCES call_events(id) ON DELETE SET NULL,
+  lead_id BIGINT REFERENCES leads(id) ON DELETE SET NULL,
+  campaign_id BIGINT REFERENCES campaigns(id) ON DELETE SET NULL,
+  lead_source VARCHAR(50),
+  rate_card_id BIGINT REFERENCES rate_cards(id) ON DELETE SET NULL,
+  direction VARCHAR(20),
+  call_date DATE NOT NULL,
+  duration_seconds INTEGER NOT NULL DEFAULT 0,
+  billable_minutes INTEGER NOT NULL DEFAULT 0,
+  twilio_cost NUMERIC(12, 5) NOT NULL DEFAULT 0,
+  twilio_cost_source VARCHAR(20) NOT NULL DEFAULT 'rate_card',
+  openai_cost NUMERIC(12, 5) NOT NULL DEFAULT 0,
+  recording_cost NUMERIC(12, 5) NOT NULL DEFAULT 0,
+  total_cost NUMERIC(12, 5) NOT NULL DEFAULT 0,
+  currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+  token_usage JSONB,
+  breakdown JSONB NOT NULL DEFAULT '{}',
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_costs_call_date ON call_costs(call_date);
+CREATE INDEX IF NOT EXISTS idx_call_costs_campaign_id ON call_costs(campaign_id);
+CREATE INDEX IF NOT EXISTS idx_call_costs_lead_source ON call_costs(lead_source);
+
+COMMENT ON COLUMN call_costs.twilio_cost_source IS 'twilio (price reported on the call resource) or rate_card (estimated from billable minutes)';
+COMMENT ON COLUMN call_costs.breakdown IS 'Rates and quantities each cost was calculated from';
@@ -0,0 +1,41 @@
+-- Migration: Create call_event_history table
+-- Purpose: Keep every Twilio status callback for a call instead of only the latest one,
+-- and record on call_events when each stage of the call was reached
+
+CREATE TABLE IF NOT EXISTS call_event_history (
+  id BIGSERIAL PRIMARY KEY,
+  call_sid VARCHAR(50) NOT NULL,
+  call_status VARCHAR(20) NOT NULL,
+  sequence_number INTEGER,
+  direction VARCHAR(20),
+  duration INTEGER,
+  call_duration INTEGER,
+  answered_by VARCHAR(30),
+  payload JSONB NOT NULL DEFAULT '{}',
+  event_timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Twilio retries callbacks it did not get a response to
+  UNIQUE (call_sid, call_status, sequence_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_event_history_call_sid ON call_event_history(call_sid, event_timestamp);
+
+COMMENT ON COLUMN call_event_history.sequence_number IS 'Twilio SequenceNumber: order of the callback within the call';
+COMMENT ON COLUMN call_event_history.payload IS 'Raw status callback parameters';
+COMMENT ON COLUMN call_event_history.event_timestamp IS 'When Twilio reports the status change happened (Timestamp parameter)';
+
+ALTER TABLE call_events
+ADD COLUMN IF NOT EXISTS initiated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS ringing_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS answered_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS ended_at TIMESTAMPTZ;
+
+COMMENT ON COLUMN call_events.answered_at IS 'First in-progress callback: the call was answered';
+COMMENT ON COLUMN call_events.ended_at IS 'First terminal callback (completed, busy, no-answer, failed or canceled)';
+
+-- Existing calls keep their last known status as a single history event
+INSERT INTO call_event_history (call_sid, call_status, direction, duration, call_duration, answered_by, event_timestamp)
+SELECT call_sid, call_status, direction, duration, call_duration, answered_by, COALESCE(timestamp, created_at)
+FROM call_events
+WHERE call_status IS NOT NULL
+ON CONFLICT DO NOTHING;
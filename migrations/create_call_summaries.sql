@@ -0,0 +1,20 @@
+-- Migration: Create call_summaries table
+-- Purpose: Store the post-call summary, outcome and extracted fields for each call
+
+CREATE TABLE IF NOT EXISTS call_summaries (
+  id BIGSERIAL PRIMARY KEY,
+  call_sid VARCHAR(50) NOT NULL UNIQUE,
+  call_event_id BIGINT REFERENCES call_events(id) ON DELETE SET NULL,
+  lead_id BIGINT REFERENCES leads(id) ON DELETE SET NULL,
+  summary TEXT NOT NULL,
+  outcome VARCHAR(30) NOT NULL,
+  next_action TEXT,
+  extracted_fields JSONB NOT NULL DEFAULT '{}',
+  model VARCHAR(50),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_call_summaries_lead_id ON call_summaries(lead_id);
+CREATE INDEX IF NOT EXISTS idx_call_summaries_outcome ON call_summaries(outcome);
+
+COMMENT ON COLUMN call_summaries.outcome IS 'interested, not_interested, callback, wrong_number or no_conversation';
@@ -0,0 +1,20 @@
+-- Migration: Create caller_ids table
+-- Purpose: Pool of outbound Twilio numbers with local-presence selection,
+-- per-campaign assignment and daily usage caps
+
+CREATE TABLE IF NOT EXISTS caller_ids (
+  id BIGSERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) NOT NULL UNIQUE,
+  label VARCHAR(100),
+  campaign_id BIGINT REFERENCES campaigns(id) ON DELETE SET NULL,
+  daily_cap INTEGER NOT NULL DEFAULT 100,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_caller_ids_campaign_id ON caller_ids(campaign_id);
+
+COMMENT ON COLUMN caller_ids.phone_number IS 'Twilio number in E.164 format';
+COMMENT ON COLUMN caller_ids.campaign_id IS 'Campaign the number is reserved for; NULL numbers form the shared pool';
+COMMENT ON COLUMN caller_ids.daily_cap IS 'Maximum outbound calls per UTC day from this number';
@@ -0,0 +1,32 @@
+-- Migration: Create campaigns table
+-- Purpose: Group outbound calls into campaigns with their own lead selection,
+-- agent profile, schedule, retry policy, caller ID and lifecycle status
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'running', 'paused', 'completed', 'cancelled')),
+  lead_filter JSONB NOT NULL DEFAULT '{"status": "new", "uncalled_only": true}',
+  agent_profile_id BIGINT REFERENCES agent_profiles(id) ON DELETE SET NULL,
+  business_calendar_id BIGINT REFERENCES business_calendars(id) ON DELETE SET NULL,
+  message TEXT,
+  priority VARCHAR(10) NOT NULL DEFAULT 'normal',
+  schedule JSONB NOT NULL DEFAULT '{}',
+  retry_policy JSONB NOT NULL DEFAULT '{"max_attempts": 3, "backoff_ms": 60000}',
+  caller_id VARCHAR(20),
+  created_by BIGINT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+
+COMMENT ON COLUMN campaigns.lead_filter IS 'Lead selection, e.g. {"status": ["new"], "source": "shopify", "priority": "high", "uncalled_only": true}';
+COMMENT ON COLUMN campaigns.schedule IS '{"start_at": ISO date, "end_at": ISO date, "cron": "0 10 * * 1-5", "batch_size": 50}; no cron runs once';
+COMMENT ON COLUMN campaigns.retry_policy IS '{"max_attempts": 3, "backoff_ms": 60000}';
+COMMENT ON COLUMN campaigns.caller_id IS 'Twilio number calls are placed from (defaults to TWILIO_PHONE_NUMBER)';
@@ -0,0 +1,19 @@
+-- Migration: Create do_not_call table
+-- Purpose: Do-Not-Call registry checked before any outbound call is placed
+
+CREATE TABLE IF NOT EXISTS do_not_call (
+  id BIGSERIAL PRIMARY KEY,
+  phone_number VARCHAR(20) NOT NULL UNIQUE,
+  reason TEXT,
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  lead_id BIGINT REFERENCES leads(id) ON DELETE SET NULL,
+  call_sid VARCHAR(50),
+  added_by BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_do_not_call_created_at ON do_not_call(created_at DESC);
+
+COMMENT ON COLUMN do_not_call.phone_number IS 'Blocked number in E.164 format';
+COMMENT ON COLUMN do_not_call.source IS 'manual, import or call (caller asked not to be called again)';
+COMMENT ON COLUMN do_not_call.added_by IS 'ID of the user who added the number (NULL for automatic entries)';
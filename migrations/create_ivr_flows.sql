@@ -0,0 +1,20 @@
+-- Migration: Create ivr_flows table
+-- Purpose: Store inbound IVR menus as data, with a flow per dialled Twilio number
+
+CREATE TABLE IF NOT EXISTS ivr_flows (
+  id BIGSERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  phone_number VARCHAR(20) UNIQUE,
+  definition JSONB NOT NULL,
+  is_default BOOLEAN NOT NULL DEFAULT FALSE,
+  is_active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Only one flow can be the default
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ivr_flows_default ON ivr_flows(is_default) WHERE is_default;
+
+COMMENT ON COLUMN ivr_flows.phone_number IS 'Twilio number this flow answers; NULL for flows only reachable as the default';
+COMMENT ON COLUMN ivr_flows.definition IS 'Menus, prompts and digit-to-action mapping (see utils/ivrFlow.js)';
@@ -0,0 +1,36 @@
+-- Migration: Create set_default_record function
+-- Purpose: Switch the default agent profile, IVR flow, business calendar or rate card in one
+-- transaction, so the old default is only cleared once the new one can be set
+
+CREATE OR REPLACE FUNCTION set_default_record(target_table TEXT, record_id BIGINT)
+RETURNS JSONB
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  result JSONB;
+BEGIN
+  IF target_table NOT IN ('agent_profiles', 'ivr_flows', 'business_calendars', 'rate_cards') THEN
+    RAISE EXCEPTION 'Table % has no default record', target_table;
+  END IF;
+
+  -- Serialize default changes per table
+  PERFORM pg_advisory_xact_lock(hashtext('set_default_record:' || target_table));
+
+  EXECUTE format('SELECT to_jsonb(t) FROM %I t WHERE id = $1', target_table)
+    INTO result
+    USING record_id;
+  IF result IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  EXECUTE format('UPDATE %I SET is_default = FALSE, updated_at = NOW() WHERE is_default AND id <> $1', target_table)
+    USING record_id;
+  EXECUTE format('UPDATE %I t SET is_default = TRUE, updated_at = NOW() WHERE id = $1 RETURNING to_jsonb(t)', target_table)
+    INTO result
+    USING record_id;
+
+  RETURN result;
+END;
+$$;
+
+COMMENT ON FUNCTION set_default_record(TEXT, BIGINT) IS 'Make a row the default of its table (clears the previous default); returns the row, or NULL if it does not exist';
@@ -0,0 +1,171 @@
+/**
+ * AgentProfile Model - ORM for agent_profiles table
+ * Named AI agent configurations: system prompt, voice, temperature,
+ * turn detection settings and greeting
+ */
+
+const { insertWithDefault, updateWithDefault } = require('../utils/defaultRecord');
+
+class AgentProfile {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'agent_profiles';
+  }
+
+  /**
+   * Create a new agent profile
+   * @param {Object} profileData - Profile data
+   * @returns {Promise<Object>} Created profile
+   */
+  async create(profileData) {
+    const {
+      name,
+      description,
+      system_prompt,
+      voice = 'alloy',
+      temperature = 0.8,
+      turn_detection,
+      greeting,
+      speak_first = false,
+      inbound_numbers = [],
+      is_default = false
+    } = profileData;
+
+    return insertWithDefault(this.supabase, this.tableName, {
+      name,
+      description: description || null,
+      system_prompt: system_prompt || null,
+      voice,
+      temperature,
+      turn_detection: turn_detection || null,
+      greeting: greeting || null,
+      speak_first,
+      inbound_numbers,
+      is_default,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find profile by ID
+   * @param {number} id - Profile ID
+   * @returns {Promise<Object|null>} Profile data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find profile by name
+   * @param {string} name - Profile name
+   * @returns {Promise<Object|null>} Profile data
+   */
+  async findByName(name) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('name', name)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the profile assigned to an inbound Twilio number
+   * @param {string} phoneNumber - Dialled number in E.164 format
+   * @returns {Promise<Object|null>} Profile data
+   */
+  async findByInboundNumber(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .contains('inbound_numbers', [phoneNumber])
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the default profile
+   * @returns {Promise<Object|null>} Profile data
+   */
+  async findDefault() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_default', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Resolve a profile reference (ID or name), falling back to the default profile
+   * @param {string} idOrName - Profile ID or name (optional)
+   * @returns {Promise<Object|null>} Profile data
+   */
+  async resolve(idOrName) {
+    if (idOrName) {
+      const isId = /^\d+$/.test(String(idOrName));
+      const profile = isId ? await this.findById(idOrName) : await this.findByName(idOrName);
+      if (profile) {
+        return profile;
+      }
+    }
+    return this.findDefault();
+  }
+
+  /**
+   * Get all profiles
+   * @returns {Promise<Array>} Profiles ordered by name
+   */
+  async findAll() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update profile by ID
+   * @param {number} id - Profile ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated profile
+   */
+  async update(id, updateData) {
+    return updateWithDefault(this.supabase, this.tableName, id, updateData);
+  }
+
+  /**
+   * Delete profile by ID
+   * @param {number} id - Profile ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = AgentProfile;
@@ -0,0 +1,156 @@
+/**
+ * BusinessCalendar Model - ORM for business_calendars table
+ * Business hours, holidays and timezone used for inbound routing and outbound call windows
+ */
+
+const { DEFAULT_WEEKLY_HOURS } = require('../utils/businessHours');
+const { insertWithDefault, updateWithDefault } = require('../utils/defaultRecord');
+
+class BusinessCalendar {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'business_calendars';
+  }
+
+  /**
+   * Create a new calendar
+   * @param {Object} calendarData - Calendar data
+   * @returns {Promise<Object>} Created calendar
+   */
+  async create(calendarData) {
+    const {
+      name,
+      timezone = 'UTC',
+      weekly_hours = DEFAULT_WEEKLY_HOURS,
+      holidays = [],
+      phone_numbers = [],
+      after_hours_flow_id = null,
+      is_default = false
+    } = calendarData;
+
+    return insertWithDefault(this.supabase, this.tableName, {
+      name,
+      timezone,
+      weekly_hours,
+      holidays,
+      phone_numbers,
+      after_hours_flow_id,
+      is_default,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find calendar by ID
+   * @param {number} id - Calendar ID
+   * @returns {Promise<Object|null>} Calendar data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the calendar assigned to a Twilio number
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Promise<Object|null>} Calendar data
+   */
+  async findByPhoneNumber(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .contains('phone_numbers', [phoneNumber])
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the default calendar
+   * @returns {Promise<Object|null>} Calendar data
+   */
+  async findDefault() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_default', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Resolve a calendar: by ID, then by phone number, then the default calendar
+   * @param {Object} options - Lookup options
+   * @param {number} options.id - Calendar ID
+   * @param {string} options.phoneNumber - Twilio number
+   * @returns {Promise<Object|null>} Calendar data (null when no calendar is configured)
+   */
+  async resolve({ id, phoneNumber } = {}) {
+    if (id) {
+      const calendar = await this.findById(id);
+      if (calendar) {
+        return calendar;
+      }
+    }
+    if (phoneNumber) {
+      const calendar = await this.findByPhoneNumber(phoneNumber);
+      if (calendar) {
+        return calendar;
+      }
+    }
+    return this.findDefault();
+  }
+
+  /**
+   * Get all calendars
+   * @returns {Promise<Array>} Calendars ordered by name
+   */
+  async findAll() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update calendar by ID
+   * @param {number} id - Calendar ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated calendar
+   */
+  async update(id, updateData) {
+    return updateWithDefault(this.supabase, this.tableName, id, updateData);
+  }
+
+  /**
+   * Delete calendar by ID
+   * @param {number} id - Calendar ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = BusinessCalendar;
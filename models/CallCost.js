@@ -0,0 +1,84 @@
+/**
+ * CallCost Model - ORM for call_costs table
+ * What each call cost: Twilio minutes, OpenAI realtime tokens and recording
+ */
+
+// Supabase returns at most this many rows per request
+const PAGE_SIZE = 1000;
+
+class CallCost {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'call_costs';
+  }
+
+  /**
+   * Create or replace the cost of a call
+   * @param {Object} costData - Cost record (see utils/callCost.js)
+   * @returns {Promise<Object>} Saved cost
+   */
+  async upsert(costData) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .upsert([{
+        ...costData,
+        computed_at: new Date().toISOString()
+      }], { onConflict: 'call_sid' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find cost by call SID
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object|null>} Cost data
+   */
+  async findByCallSid(callSid) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Add up call costs in a date range per campaign, lead source, day and currency (for reports)
+   * The sums are made in the database (call_cost_rollup), so only the rolled-up rows are loaded.
+   * @param {Object} options - Query options
+   * @param {string} options.dateFrom - First call date (YYYY-MM-DD)
+   * @param {string} options.dateTo - Last call date (YYYY-MM-DD)
+   * @param {number} options.campaignId - Only this campaign
+   * @param {string} options.leadSource - Only this lead source
+   * @returns {Promise<Array>} Rows of { campaign_id, lead_source, call_date, currency, calls, billable_minutes, *_cost }
+   */
+  async rollupForReport(options = {}) {
+    const { dateFrom, dateTo, campaignId, leadSource } = options;
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data, error } = await this.supabase
+        .rpc('call_cost_rollup', {
+          date_from: dateFrom || null,
+          date_to: dateTo || null,
+          filter_campaign_id: campaignId || null,
+          filter_lead_source: leadSource || null
+        })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (error) throw error;
+      rows.push(...data);
+
+      if (data.length < PAGE_SIZE) {
+        return rows;
+      }
+    }
+  }
+}
+
+module.exports = CallCost;
@@ -1,8 +1,11 @@
 /**
  * CallEvent Model - ORM for call_events table
  * Handles all database operations for call events
+ * Holds the current state of each call; every status callback is kept in call_event_history
  */
 
+const { getStatusStage, getStageColumn } = require('../utils/callTimeline');
+
 class CallEvent {
   constructor(supabase) {
     this.supabase = supabase;
@@ -11,6 +14,7 @@ class CallEvent {
 
   /**
    * Create or update a call event
+   * Late, out-of-order callbacks never move the call back to an earlier status
    * @param {Object} eventData - Call event data
    * @returns {Promise<Object>} Created/updated event data
    */
@@ -30,14 +34,22 @@ class CallEvent {
 
     // Check if exists
     const existing = await this.findByCallSid(call_sid);
+    const stageColumn = getStageColumn(call_status);
+    const reachedAt = timestamp || new Date().toISOString();
 
     if (existing) {
       // Update existing record
       const updateData = {
-        call_status,
         updated_at: new Date().toISOString()
       };
 
+      if (getStatusStage(call_status) >= getStatusStage(existing.call_status)) {
+        updateData.call_status = call_status;
+      }
+      if (stageColumn && !existing[stageColumn]) {
+        updateData[stageColumn] = reachedAt;
+      }
+
       if (direction) updateData.direction = direction;
       if (duration) updateData.duration = parseInt(duration);
       if (call_duration) updateData.call_duration = parseInt(call_duration);
@@ -48,6 +60,7 @@ class CallEvent {
       return this.update(call_sid, updateData);
     } else {
       // Insert new record
+      const stageData = stageColumn ? { [stageColumn]: reachedAt } : {};
       return this.create({
         call_sid,
         call_status,
@@ -59,6 +72,7 @@ class CallEvent {
         recording_url: recording_url || null,
         recording_sid: recording_sid || null,
         timestamp: timestamp || new Date().toISOString(),
+        ...stageData,
         created_at: new Date().toISOString()
       });
     }
@@ -96,6 +110,36 @@ class CallEvent {
     return data;
   }
 
+  /**
+   * Find call events for a lead, most recent first
+   * Matches calls linked to the lead and calls to the lead's phone number
+   * (calls placed outside the queue are not linked to a lead).
+   * @param {Object} lead - Lead ({ id, phone })
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of calls (default: 10)
+   * @param {string} options.excludeCallSid - Call to leave out (e.g. the call in progress)
+   * @returns {Promise<Array>} Call events
+   */
+  async findByLead(lead, options = {}) {
+    const { limit = 10, excludeCallSid } = options;
+
+    let query = this.supabase
+      .from(this.tableName)
+      .select('*');
+
+    query = lead.phone
+      ? query.or(`lead_id.eq.${lead.id},to_number.eq."${lead.phone}"`)
+      : query.eq('lead_id', lead.id);
+    if (excludeCallSid) query = query.neq('call_sid', excludeCallSid);
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Find all call events with filters and pagination
    * @param {Object} options - Query options
@@ -178,6 +222,115 @@ class CallEvent {
     return data;
   }
 
+  /**
+   * Record a warm transfer on the call event
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} transfer - Transfer result ({ transferredTo, summary, mode, agentCallSid })
+   * @returns {Promise<Object>} Updated event data
+   */
+  async recordTransfer(callSid, transfer) {
+    return this.update(callSid, {
+      transferred_to: transfer.transferredTo,
+      transfer_summary: transfer.summary || null,
+      transfer_mode: transfer.mode || 'dial',
+      transfer_call_sid: transfer.agentCallSid || null,
+      transferred_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Record the answering machine detection result for a call
+   * Creates the call event if the status callback has not arrived yet
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} detection - Detection result
+   * @param {string} detection.answered_by - Twilio AnsweredBy value
+   * @param {number} detection.machine_detection_duration - Detection time in ms
+   * @returns {Promise<Object>} Updated event data
+   */
+  async recordMachineDetection(callSid, { answered_by, machine_detection_duration }) {
+    const detectionData = {
+      answered_by,
+      machine_detection_duration: machine_detection_duration ? parseInt(machine_detection_duration) : null
+    };
+
+    const existing = await this.findByCallSid(callSid);
+    if (existing) {
+      return this.update(callSid, {
+        ...detectionData,
+        updated_at: new Date().toISOString()
+      });
+    }
+
+    return this.create({
+      call_sid: callSid,
+      call_status: 'in-progress',
+      direction: 'outbound-api',
+      ...detectionData,
+      timestamp: new Date().toISOString(),
+      created_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Link an outbound call to the lead, campaign and queue job that placed it
+   * A single upsert on call_sid that only writes the link columns, so it neither races
+   * with nor overwrites the status callbacks /call-events records for the same call.
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} link - { lead_id, campaign_id, job_id, attempt_number, call_request, from_number, to_number }
+   * @returns {Promise<Object>} Updated event data
+   */
+  async recordOutboundCall(callSid, link) {
+    const linkData = {
+      call_sid: callSid,
+      direction: 'outbound-api',
+      lead_id: link.lead_id || null,
+      campaign_id: link.campaign_id || null,
+      job_id: link.job_id || null,
+      attempt_number: link.attempt_number || 1,
+      call_request: link.call_request || null,
+      updated_at: new Date().toISOString()
+    };
+
+    // The caller ID the call was placed from (may come from the caller ID pool)
+    if (link.from_number) {
+      linkData.from_number = link.from_number;
+    }
+    if (link.to_number) {
+      linkData.to_number = link.to_number;
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .upsert([linkData], { onConflict: 'call_sid' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Store the OpenAI token usage of a call so far
+   * @param {string} callSid - Twilio call SID
+   * @param {Object} tokenUsage - Token totals over every response in the call
+   * @returns {Promise<Object|null>} Updated event data, or null if the call has no event yet
+   */
+  async recordTokenUsage(callSid, tokenUsage) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        token_usage: tokenUsage,
+        updated_at: new Date().toISOString()
+      })
+      .eq('call_sid', callSid)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Get call statistics
    * @returns {Promise<Object>} Call statistics
@@ -0,0 +1,71 @@
+/**
+ * CallEventHistory Model - ORM for call_event_history table
+ * Append-only log of every Twilio status callback received for a call
+ */
+
+class CallEventHistory {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'call_event_history';
+  }
+
+  /**
+   * Append a status callback to the history
+   * Callbacks Twilio re-sends (same call, status and sequence number) are stored once
+   * @param {Object} eventData - Status callback data
+   * @returns {Promise<Object|null>} Stored event, or null if it was a duplicate
+   */
+  async record(eventData) {
+    const {
+      call_sid,
+      call_status,
+      sequence_number,
+      direction,
+      duration,
+      call_duration,
+      answered_by,
+      payload = {},
+      event_timestamp
+    } = eventData;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .upsert([{
+        call_sid,
+        call_status,
+        sequence_number: sequence_number !== undefined && sequence_number !== null ? parseInt(sequence_number) : null,
+        direction: direction || null,
+        duration: duration ? parseInt(duration) : null,
+        call_duration: call_duration ? parseInt(call_duration) : null,
+        answered_by: answered_by || null,
+        payload,
+        event_timestamp: event_timestamp || new Date().toISOString(),
+        created_at: new Date().toISOString()
+      }], { onConflict: 'call_sid,call_status,sequence_number', ignoreDuplicates: true })
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the history of a call in the order things happened
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Array>} Events, oldest first
+   */
+  async findByCallSid(callSid) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('call_sid', callSid)
+      .order('event_timestamp', { ascending: true })
+      .order('sequence_number', { ascending: true, nullsFirst: false })
+      .order('id', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = CallEventHistory;
@@ -0,0 +1,103 @@
+/**
+ * CallSummary Model - ORM for call_summaries table
+ * Post-call summary, outcome and extracted fields for each call
+ */
+
+class CallSummary {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'call_summaries';
+  }
+
+  /**
+   * Create or replace the summary for a call
+   * @param {Object} summaryData - Summary data
+   * @returns {Promise<Object>} Saved summary
+   */
+  async upsert(summaryData) {
+    const {
+      call_sid,
+      call_event_id = null,
+      lead_id = null,
+      summary,
+      outcome,
+      next_action = null,
+      extracted_fields = {},
+      model = null
+    } = summaryData;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .upsert([{
+        call_sid,
+        call_event_id,
+        lead_id,
+        summary,
+        outcome,
+        next_action,
+        extracted_fields,
+        model,
+        created_at: new Date().toISOString()
+      }], { onConflict: 'call_sid' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find summary by call SID
+   * @param {string} callSid - Twilio call SID
+   * @returns {Promise<Object|null>} Summary data
+   */
+  async findByCallSid(callSid) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('call_sid', callSid)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find summaries for a lead, most recent first
+   * @param {number} leadId - Lead ID
+   * @param {Object} options - Query options
+   * @returns {Promise<Array>} Summaries
+   */
+  async findByLeadId(leadId, options = {}) {
+    const { limit = 10 } = options;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('lead_id', leadId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get summary counts by outcome
+   * @returns {Promise<Object>} Outcome counts
+   */
+  async getOutcomeCounts() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('outcome');
+
+    if (error) throw error;
+
+    return data.reduce((acc, item) => {
+      acc[item.outcome] = (acc[item.outcome] || 0) + 1;
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = CallSummary;
@@ -0,0 +1,141 @@
+/**
+ * CallerId Model - ORM for caller_ids table
+ * Pool of outbound Twilio numbers used as caller ID
+ */
+
+class CallerId {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'caller_ids';
+  }
+
+  /**
+   * Add a number to the pool
+   * @param {Object} callerIdData - { phone_number, label, campaign_id, daily_cap, is_active }
+   * @returns {Promise<Object>} Created caller ID
+   */
+  async create(callerIdData) {
+    const {
+      phone_number,
+      label,
+      campaign_id = null,
+      daily_cap = 100,
+      is_active = true
+    } = callerIdData;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .insert([{
+        phone_number,
+        label: label || null,
+        campaign_id,
+        daily_cap,
+        is_active,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find caller ID by ID
+   * @param {number} id - Caller ID record ID
+   * @returns {Promise<Object|null>} Caller ID data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the active numbers a call may use
+   * Numbers reserved for the campaign are used when it has any; otherwise the shared pool
+   * @param {number} campaignId - Campaign ID (optional)
+   * @returns {Promise<Array>} Active caller IDs
+   */
+  async findAvailable(campaignId = null) {
+    if (campaignId) {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('is_active', true)
+        .eq('campaign_id', campaignId);
+
+      if (error) throw error;
+      if (data.length > 0) {
+        return data;
+      }
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_active', true)
+      .is('campaign_id', null);
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get all numbers in the pool
+   * @returns {Promise<Array>} Caller IDs ordered by number
+   */
+  async findAll() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('phone_number', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update caller ID by ID
+   * @param {number} id - Caller ID record ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated caller ID
+   */
+  async update(id, updateData) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Remove a number from the pool
+   * @param {number} id - Caller ID record ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = CallerId;
@@ -0,0 +1,155 @@
+/**
+ * Campaign Model - ORM for campaigns table
+ * Outbound calling campaigns: lead selection, agent profile, schedule, retry policy and status
+ */
+
+class Campaign {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'campaigns';
+  }
+
+  /**
+   * Create a new campaign (in draft)
+   * @param {Object} campaignData - Campaign data
+   * @returns {Promise<Object>} Created campaign
+   */
+  async create(campaignData) {
+    const {
+      name,
+      description,
+      lead_filter = { status: 'new', uncalled_only: true },
+      agent_profile_id = null,
+      business_calendar_id = null,
+      message,
+      priority = 'normal',
+      schedule = {},
+      retry_policy = { max_attempts: 3, backoff_ms: 60000 },
+      outcome_retry = null,
+      caller_id,
+      machine_detection = null,
+      voicemail_message,
+      voicemail_url,
+      created_by = null
+    } = campaignData;
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .insert([{
+        name,
+        description: description || null,
+        status: 'draft',
+        lead_filter,
+        agent_profile_id,
+        business_calendar_id,
+        message: message || null,
+        priority,
+        schedule,
+        retry_policy,
+        outcome_retry,
+        caller_id: caller_id || null,
+        machine_detection,
+        voicemail_message: voicemail_message || null,
+        voicemail_url: voicemail_url || null,
+        created_by,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find campaign by ID
+   * @param {number} id - Campaign ID
+   * @returns {Promise<Object|null>} Campaign data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get campaigns, most recent first
+   * @param {Object} options - Query options
+   * @param {string} options.status - Filter by status
+   * @returns {Promise<Array>} Campaigns
+   */
+  async findAll(options = {}) {
+    const { status } = options;
+
+    let query = this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update campaign by ID
+   * @param {number} id - Campaign ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async update(id, updateData) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Change a campaign's status
+   * @param {number} id - Campaign ID
+   * @param {string} status - New status (draft, running, paused, completed or cancelled)
+   * @returns {Promise<Object>} Updated campaign
+   */
+  async updateStatus(id, status) {
+    const updateData = { status };
+    if (status === 'completed' || status === 'cancelled') {
+      updateData.completed_at = new Date().toISOString();
+    }
+
+    return this.update(id, updateData);
+  }
+
+  /**
+   * Delete campaign by ID
+   * @param {number} id - Campaign ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = Campaign;
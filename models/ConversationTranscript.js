@@ -220,6 +220,59 @@ class ConversationTranscript {
     return metrics;
   }
 
+  /**
+   * Attach an assistant turn's latency breakdown and token usage to its transcript entry
+   * @param {string} callSid - Twilio call SID
+   * @param {string} messageId - Realtime item ID the transcript was saved with
+   * @param {Object} metrics - { response_id, latency_metrics, token_usage }
+   * @returns {Promise<Object|null>} Updated transcript entry, or null if none matched
+   */
+  async recordTurnMetrics(callSid, messageId, metrics) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .update({
+        response_id: metrics.response_id || null,
+        latency_metrics: metrics.latency_metrics || null,
+        token_usage: metrics.token_usage || null
+      })
+      .eq('call_sid', callSid)
+      .eq('message_id', messageId)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find assistant turns with recorded metrics
+   * @param {Object} options - Query options
+   * @param {string} options.callSid - Only this call
+   * @param {string} options.dateFrom - Turns on or after this time
+   * @param {string} options.dateTo - Turns on or before this time
+   * @param {number} options.limit - Most recent turns to return (default 5000)
+   * @returns {Promise<Array>} Turns ({ call_sid, timestamp, latency_metrics, token_usage })
+   */
+  async findTurnMetrics(options = {}) {
+    const { callSid, dateFrom, dateTo, limit = 5000 } = options;
+
+    let query = this.supabase
+      .from(this.tableName)
+      .select('call_sid, timestamp, response_id, latency_metrics, token_usage')
+      .not('latency_metrics', 'is', null);
+
+    if (callSid) query = query.eq('call_sid', callSid);
+    if (dateFrom) query = query.gte('timestamp', dateFrom);
+    if (dateTo) query = query.lte('timestamp', dateTo);
+
+    const { data, error } = await query
+      .order('timestamp', { ascending: false })
+      .limit(parseInt(limit));
+
+    if (error) throw error;
+    return data;
+  }
+
   /**
    * Delete all transcripts for a call
    * @param {string} callSid - Twilio call SID
@@ -0,0 +1,128 @@
+/**
+ * DoNotCall Model - ORM for do_not_call table
+ * Registry of numbers that must never be dialled
+ */
+
+class DoNotCall {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'do_not_call';
+  }
+
+  /**
+   * Add a number (existing entries are kept as they are)
+   * @param {Object} entryData - { phone_number, reason, source, lead_id, call_sid, added_by }
+   * @returns {Promise<Object>} DNC entry
+   */
+  async add(entryData) {
+    const [entry] = await this.addMany([entryData]);
+    return entry || this.findByPhoneNumber(entryData.phone_number);
+  }
+
+  /**
+   * Add many numbers, skipping ones already on the list
+   * @param {Array<Object>} entries - Entries to add
+   * @returns {Promise<Array>} Newly added entries
+   */
+  async addMany(entries) {
+    if (entries.length === 0) {
+      return [];
+    }
+
+    const rows = entries.map(entry => ({
+      phone_number: entry.phone_number,
+      reason: entry.reason || null,
+      source: entry.source || 'manual',
+      lead_id: entry.lead_id || null,
+      call_sid: entry.call_sid || null,
+      added_by: entry.added_by || null,
+      created_at: new Date().toISOString()
+    }));
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .upsert(rows, { onConflict: 'phone_number', ignoreDuplicates: true })
+      .select();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the entry for a number
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object|null>} DNC entry
+   */
+  async findByPhoneNumber(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find which of a set of numbers are blocked
+   * @param {Array<string>} phoneNumbers - Normalized phone numbers
+   * @returns {Promise<Set<string>>} Blocked numbers
+   */
+  async findBlocked(phoneNumbers) {
+    if (phoneNumbers.length === 0) {
+      return new Set();
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('phone_number')
+      .in('phone_number', phoneNumbers);
+
+    if (error) throw error;
+    return new Set(data.map(entry => entry.phone_number));
+  }
+
+  /**
+   * List entries, most recent first
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} { data, count }
+   */
+  async findAll(options = {}) {
+    const { limit = 100, offset = 0, search } = options;
+
+    let query = this.supabase
+      .from(this.tableName)
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (search) {
+      query = query.ilike('phone_number', `%${search}%`);
+    }
+
+    const { data, error, count } = await query;
+
+    if (error) throw error;
+    return { data, count };
+  }
+
+  /**
+   * Remove a number from the list
+   * @param {string} phoneNumber - Normalized phone number
+   * @returns {Promise<Object|null>} Removed entry (null if it was not listed)
+   */
+  async remove(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('phone_number', phoneNumber)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+}
+
+module.exports = DoNotCall;
@@ -0,0 +1,147 @@
+/**
+ * IvrFlow Model - ORM for ivr_flows table
+ * Inbound IVR menus stored as data, assigned per dialled Twilio number
+ */
+
+const { insertWithDefault, updateWithDefault } = require('../utils/defaultRecord');
+
+class IvrFlow {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'ivr_flows';
+  }
+
+  /**
+   * Create a new IVR flow
+   * @param {Object} flowData - Flow data
+   * @returns {Promise<Object>} Created flow
+   */
+  async create(flowData) {
+    const {
+      name,
+      description,
+      phone_number,
+      definition,
+      is_default = false,
+      is_active = true
+    } = flowData;
+
+    return insertWithDefault(this.supabase, this.tableName, {
+      name,
+      description: description || null,
+      phone_number: phone_number || null,
+      definition,
+      is_default,
+      is_active,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find flow by ID
+   * @param {number} id - Flow ID
+   * @returns {Promise<Object|null>} Flow data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the active flow for a dialled Twilio number
+   * @param {string} phoneNumber - Dialled number in E.164 format
+   * @returns {Promise<Object|null>} Flow data
+   */
+  async findByPhoneNumber(phoneNumber) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('phone_number', phoneNumber)
+      .eq('is_active', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the active default flow (used for numbers without their own flow)
+   * @returns {Promise<Object|null>} Flow data
+   */
+  async findDefault() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_default', true)
+      .eq('is_active', true)
+      .limit(1)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Resolve the flow for an inbound call: number-specific flow, then the default flow
+   * @param {string} phoneNumber - Dialled number
+   * @returns {Promise<Object|null>} Flow data
+   */
+  async resolveForNumber(phoneNumber) {
+    if (phoneNumber) {
+      const flow = await this.findByPhoneNumber(phoneNumber);
+      if (flow) {
+        return flow;
+      }
+    }
+    return this.findDefault();
+  }
+
+  /**
+   * Get all flows
+   * @returns {Promise<Array>} Flows ordered by name
+   */
+  async findAll() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update flow by ID
+   * @param {number} id - Flow ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object>} Updated flow
+   */
+  async update(id, updateData) {
+    return updateWithDefault(this.supabase, this.tableName, id, updateData);
+  }
+
+  /**
+   * Delete flow by ID
+   * @param {number} id - Flow ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = IvrFlow;
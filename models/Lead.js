@@ -3,6 +3,13 @@
  * Handles all database operations for leads
  */
 
+const {
+  LEAD_ORDERS,
+  metadataColumn,
+  isQueryMetadataPredicate,
+  matchesMetadataPredicates
+} = require('../utils/leadFilter');
+
 class Lead {
   constructor(supabase) {
     this.supabase = supabase;
@@ -26,6 +33,9 @@ class Lead {
       message,
       notes,
       metadata,
+      timezone,
+      tags,
+      lead_score,
       ip_address,
       user_agent,
       referrer
@@ -42,6 +52,9 @@ class Lead {
       message: message || null,
       notes: notes || null,
       metadata: metadata || null,
+      timezone: timezone || null,
+      tags: tags || [],
+      lead_score: lead_score !== undefined ? lead_score : null,
       ip_address: ip_address || null,
       user_agent: user_agent || null,
       referrer: referrer || null,
@@ -170,6 +183,78 @@ class Lead {
     };
   }
 
+  /**
+   * Find leads that can be called for a campaign or automation
+   * See utils/leadFilter.js for the filter format. Metadata eq, in and exists predicates are
+   * part of the query; the other metadata predicates are checked on the loaded leads, which
+   * are scanned page by page up to a limit. truncated is set when that limit stopped the
+   * scan before enough leads were found.
+   * @param {Object} filter - Lead filter
+   * @param {number} limit - Maximum number of leads
+   * @returns {Promise<Object>} { data, truncated } - leads with a phone number, in the filter's order (default: oldest first)
+   */
+  async findCallable(filter = {}, limit = 50) {
+    const toList = value => (Array.isArray(value) ? value : [value]);
+    const metadata = filter.metadata || [];
+    const queryPredicates = metadata.filter(isQueryMetadataPredicate);
+    const predicates = metadata.filter(predicate => !isQueryMetadataPredicate(predicate));
+    const pageSize = predicates.length > 0 ? Math.max(limit * 4, 200) : limit;
+    const maxPages = predicates.length > 0 ? 10 : 1;
+    const leads = [];
+    let truncated = false;
+
+    for (let page = 0; page < maxPages && leads.length < limit; page++) {
+      let query = this.supabase
+        .from(this.tableName)
+        .select('*')
+        .not('phone', 'is', null);
+
+      if (filter.status) query = query.in('lead_status', toList(filter.status));
+      if (filter.source) query = query.in('lead_source', toList(filter.source));
+      if (filter.priority) query = query.in('lead_priority', toList(filter.priority));
+      if (filter.tags) query = query.overlaps('tags', filter.tags);
+      if (filter.tags_all) query = query.contains('tags', filter.tags_all);
+      if (filter.uncalled_only) query = query.is('call_sid', null);
+      if (filter.exclude_status && toList(filter.exclude_status).length > 0) {
+        query = query.or(`lead_status.is.null,lead_status.not.in.(${toList(filter.exclude_status).join(',')})`);
+      }
+      if (filter.not_called_in_campaign) {
+        query = query.not('call_attempts', 'cs', JSON.stringify([{ campaign_id: Number(filter.not_called_in_campaign) }]));
+      }
+      if (filter.created_after) query = query.gte('created_at', filter.created_after);
+      if (filter.created_before) query = query.lte('created_at', filter.created_before);
+      if (filter.created_within_hours) {
+        const since = new Date(Date.now() - Number(filter.created_within_hours) * 3600000);
+        query = query.gte('created_at', since.toISOString());
+      }
+      if (filter.min_score !== undefined) query = query.gte('lead_score', filter.min_score);
+
+      queryPredicates.forEach(predicate => {
+        const column = metadataColumn(predicate.key);
+        if (predicate.op === 'exists') {
+          query = predicate.value === false ? query.is(column, null) : query.not(column, 'is', null);
+        } else if (predicate.op === 'in') {
+          query = query.in(column, predicate.value.map(String));
+        } else {
+          query = query.eq(column, String(predicate.value));
+        }
+      });
+
+      (LEAD_ORDERS[filter.order] || LEAD_ORDERS.oldest_first).forEach(({ column, ascending, nullsFirst }) => {
+        query = query.order(column, { ascending, nullsFirst });
+      });
+
+      const { data, error } = await query.range(page * pageSize, (page + 1) * pageSize - 1);
+
+      if (error) throw error;
+      leads.push(...data.filter(lead => matchesMetadataPredicates(lead, predicates)));
+      if (data.length < pageSize) break;
+      truncated = predicates.length > 0 && page === maxPages - 1 && leads.length < limit;
+    }
+
+    return { data: leads.slice(0, limit), truncated };
+  }
+
   /**
    * Update lead by ID
    * @param {number} id - Lead ID
@@ -240,6 +325,22 @@ class Lead {
     return data;
   }
 
+  /**
+   * Count a campaign's leads that still have a retry call scheduled
+   * @param {number} campaignId - Campaign ID
+   * @returns {Promise<number>} Leads with a pending retry from this campaign
+   */
+  async countPendingRetries(campaignId) {
+    const { count, error } = await this.supabase
+      .from(this.tableName)
+      .select('id', { count: 'exact', head: true })
+      .not('next_retry_at', 'is', null)
+      .contains('call_attempts', [{ campaign_id: Number(campaignId) }]);
+
+    if (error) throw error;
+    return count || 0;
+  }
+
   /**
    * Delete lead by ID
    * @param {number} id - Lead ID
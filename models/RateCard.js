@@ -0,0 +1,114 @@
+/**
+ * RateCard Model - ORM for rate_cards table
+ * Prices used to work out what a call cost
+ */
+
+const { insertWithDefault, updateWithDefault } = require('../utils/defaultRecord');
+
+class RateCard {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.tableName = 'rate_cards';
+  }
+
+  /**
+   * Create a rate card
+   * @param {Object} rateCardData - Rate card fields (unset prices use the column defaults)
+   * @returns {Promise<Object>} Created rate card
+   */
+  async create(rateCardData) {
+    return insertWithDefault(this.supabase, this.tableName, {
+      ...rateCardData,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Find rate card by ID
+   * @param {number} id - Rate card ID
+   * @returns {Promise<Object|null>} Rate card data
+   */
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Get all rate cards
+   * @returns {Promise<Array>} Rate cards, default first
+   */
+  async findAll() {
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .order('is_default', { ascending: false })
+      .order('name', { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Find the rate card that prices a call
+   * The campaign's own card is used when it has one; otherwise the default card
+   * @param {number} campaignId - Campaign ID (optional)
+   * @returns {Promise<Object|null>} Rate card, or null if none is configured
+   */
+  async findForCall(campaignId = null) {
+    if (campaignId) {
+      const { data, error } = await this.supabase
+        .from(this.tableName)
+        .select('*')
+        .eq('campaign_id', campaignId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (data) {
+        return data;
+      }
+    }
+
+    const { data, error } = await this.supabase
+      .from(this.tableName)
+      .select('*')
+      .eq('is_default', true)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Update rate card by ID
+   * @param {number} id - Rate card ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Promise<Object|null>} Updated rate card
+   */
+  async update(id, updateData) {
+    return updateWithDefault(this.supabase, this.tableName, id, updateData);
+  }
+
+  /**
+   * Delete rate card by ID
+   * @param {number} id - Rate card ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async delete(id) {
+    const { error } = await this.supabase
+      .from(this.tableName)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  }
+}
+
+module.exports = RateCard;
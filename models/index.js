@@ -5,9 +5,19 @@
 
 const Lead = require('./Lead');
 const CallEvent = require('./CallEvent');
+const CallEventHistory = require('./CallEventHistory');
 const ConversationTranscript = require('./ConversationTranscript');
 const CallRecording = require('./CallRecording');
 const User = require('./User');
+const AgentProfile = require('./AgentProfile');
+const CallSummary = require('./CallSummary');
+const IvrFlow = require('./IvrFlow');
+const BusinessCalendar = require('./BusinessCalendar');
+const DoNotCall = require('./DoNotCall');
+const Campaign = require('./Campaign');
+const CallerId = require('./CallerId');
+const RateCard = require('./RateCard');
+const CallCost = require('./CallCost');
 
 /**
  * Initialize all models with a Supabase client
@@ -18,17 +28,37 @@ function initializeModels(supabase) {
   return {
     Lead: new Lead(supabase),
     CallEvent: new CallEvent(supabase),
+    CallEventHistory: new CallEventHistory(supabase),
     ConversationTranscript: new ConversationTranscript(supabase),
     CallRecording: new CallRecording(supabase),
-    User: new User(supabase)
+    User: new User(supabase),
+    AgentProfile: new AgentProfile(supabase),
+    CallSummary: new CallSummary(supabase),
+    IvrFlow: new IvrFlow(supabase),
+    BusinessCalendar: new BusinessCalendar(supabase),
+    DoNotCall: new DoNotCall(supabase),
+    Campaign: new Campaign(supabase),
+    CallerId: new CallerId(supabase),
+    RateCard: new RateCard(supabase),
+    CallCost: new CallCost(supabase)
   };
 }
 
 module.exports = {
   Lead,
   CallEvent,
+  CallEventHistory,
   ConversationTranscript,
   CallRecording,
   User,
+  AgentProfile,
+  CallSummary,
+  IvrFlow,
+  BusinessCalendar,
+  DoNotCall,
+  Campaign,
+  CallerId,
+  RateCard,
+  CallCost,
   initializeModels
 };
@@ -3,17 +3,14 @@
  * Handles scheduling and processing of outbound calls
  */
 
+const crypto = require('crypto');
 const { Queue, Worker, QueueEvents } = require('bullmq');
-const Redis = require('ioredis');
-
-// Redis connection configuration
-const redisConnection = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  maxRetriesPerRequest: null,
-  enableReadyCheck: false
-});
+const { createRedisConnection } = require('../config/redis');
+const { filterDoNotCall } = require('../utils/doNotCall');
+const { DEFAULT_LEAD_FILTER, TRUNCATED_SCAN_MESSAGE } = require('../utils/leadFilter');
+
+// Redis connection shared by the queues
+const redisConnection = createRedisConnection('call-queue');
 
 // Create the call queue
 const callQueue = new Queue('outbound-calls', {
@@ -34,6 +31,26 @@ const callQueue = new Queue('outbound-calls', {
   }
 });
 
+// Post-call processing queue (summaries, dispositions)
+// Kept separate so post-call work does not count against the dialling rate limit
+const postCallQueue = new Queue('post-call', {
+  connection: redisConnection,
+  defaultJobOptions: {
+    attempts: 3,
+    backoff: {
+      type: 'exponential',
+      delay: 5000
+    },
+    removeOnComplete: {
+      age: 3600 * 24 * 7,
+      count: 1000
+    },
+    removeOnFail: {
+      age: 3600 * 24 * 30
+    }
+  }
+});
+
 // Queue events for monitoring
 const queueEvents = new QueueEvents('outbound-calls', {
   connection: redisConnection
@@ -56,6 +73,180 @@ queueEvents.on('delayed', ({ jobId, delay }) => {
   console.log(`📞 ⏰ Call job ${jobId} delayed by ${delay}ms`);
 });
 
+// One pending or active call job per lead and campaign.
+// The lock holds "<jobId>|<claimedAt>"; a lock whose job has finished or disappeared is stale
+// and may be taken over, so a missed release never blocks a lead for long.
+const LEAD_LOCK_TTL_SECONDS = 3600 * 24 * 30;
+const LEAD_LOCK_CLAIM_GRACE_MS = 60000; // Time allowed between claiming a lock and adding its job
+const PENDING_JOB_STATES = ['waiting', 'prioritized', 'delayed', 'active', 'waiting-children'];
+
+// How long a call's outcome and its job link are kept (longer than any call)
+const CALL_OUTCOME_TTL_SECONDS = 6 * 3600;
+
+// Replace the lock value only if it has not changed since it was read
+const SWAP_LOCK_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[2], 'EX', ARGV[3])
+  return 1
+end
+return 0
+`;
+
+// Delete the lock only if the given job still holds it
+const RELEASE_LOCK_SCRIPT = `
+local value = redis.call('GET', KEYS[1])
+if value and string.sub(value, 1, string.len(ARGV[1]) + 1) == ARGV[1] .. '|' then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * Redis key of a lead's call lock
+ * @param {number} leadId - Lead ID
+ * @param {number} campaignId - Campaign ID (calls outside a campaign share one lock)
+ * @returns {string} Redis key
+ */
+function leadLockKey(leadId, campaignId) {
+  return `lead-call-lock:${leadId}:${campaignId || 'none'}`;
+}
+
+/**
+ * Check whether the job holding a lead's lock is still pending or active
+ * @param {string} lockValue - "<jobId>|<claimedAt>"
+ * @returns {Promise<boolean>} True if the lock is still in use
+ */
+async function isLockHeld(lockValue) {
+  const [jobId, claimedAt] = lockValue.split('|');
+  const job = await callQueue.getJob(jobId);
+
+  // The job may not have been added yet
+  if (!job) {
+    return Date.now() - parseInt(claimedAt) < LEAD_LOCK_CLAIM_GRACE_MS;
+  }
+  return PENDING_JOB_STATES.includes(await job.getState());
+}
+
+/**
+ * Claim a lead's call lock for a new job
+ * @param {number} leadId - Lead ID
+ * @param {number} campaignId - Campaign ID
+ * @param {string} jobId - ID of the job about to be added
+ * @param {string} replacesJobId - Job allowed to hand over its lock (the call being retried)
+ * @returns {Promise<string|null>} null if claimed, else the ID of the job holding the lock
+ */
+async function claimLeadLock(leadId, campaignId, jobId, replacesJobId = null) {
+  const key = leadLockKey(leadId, campaignId);
+  const value = `${jobId}|${Date.now()}`;
+
+  if (await redisConnection.set(key, value, 'EX', LEAD_LOCK_TTL_SECONDS, 'NX')) {
+    return null;
+  }
+
+  const current = await redisConnection.get(key);
+  if (!current) {
+    // Released in the meantime
+    const claimed = await redisConnection.set(key, value, 'EX', LEAD_LOCK_TTL_SECONDS, 'NX');
+    return claimed ? null : (await redisConnection.get(key) || '').split('|')[0];
+  }
+
+  const holderJobId = current.split('|')[0];
+  if (holderJobId !== String(replacesJobId) && await isLockHeld(current)) {
+    return holderJobId;
+  }
+
+  const swapped = await redisConnection.eval(SWAP_LOCK_SCRIPT, 1, key, current, value, LEAD_LOCK_TTL_SECONDS);
+  return swapped === 1 ? null : holderJobId;
+}
+
+/**
+ * Claim a lead's call lock for a job that was not added through addCallJobs
+ * Runs of a recurring call are created by the repeat scheduler, so each run claims the lock
+ * when it starts; a run picked up again (retry or deferral) keeps the lock it already holds.
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<string|null>} null if claimed (or the job has no lead), else the ID of the job holding the lock
+ */
+async function claimLeadLockForJob(job) {
+  if (!job.data.lead_id) {
+    return null;
+  }
+  return claimLeadLock(job.data.lead_id, job.data.campaign_id, job.id, job.id);
+}
+
+/**
+ * Release a lead's call lock once its job is finished
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<void>}
+ */
+async function releaseLeadLock(job) {
+  if (!job || !job.data || !job.data.lead_id) {
+    return;
+  }
+  await redisConnection.eval(RELEASE_LOCK_SCRIPT, 1, leadLockKey(job.data.lead_id, job.data.campaign_id), job.id);
+}
+
+/**
+ * Add call jobs, skipping leads that already have a pending or active call
+ * Jobs without a lead_id are always added.
+ * @param {Array<Object>} entries - Bulk job entries ({ name, data, opts })
+ * @param {Object} options - Options
+ * @param {string} options.replacesJobId - Job whose lock may be taken over (retries of that call)
+ * @returns {Promise<Object>} { added: Array<Job>, skipped: Array<{ to, lead_id, campaign_id, reason, existingJobId }> }
+ */
+async function addCallJobs(entries, options = {}) {
+  const toAdd = [];
+  const skipped = [];
+
+  for (const entry of entries) {
+    const { lead_id, campaign_id } = entry.data;
+    if (!lead_id) {
+      toAdd.push(entry);
+      continue;
+    }
+
+    const jobId = (entry.opts && entry.opts.jobId) || `lead-${lead_id}-${crypto.randomUUID()}`;
+    const existingJobId = await claimLeadLock(lead_id, campaign_id, jobId, options.replacesJobId);
+    if (existingJobId) {
+      skipped.push({
+        to: entry.data.to,
+        lead_id,
+        campaign_id: campaign_id || null,
+        reason: 'Lead already has a pending call',
+        existingJobId
+      });
+      continue;
+    }
+
+    toAdd.push({ ...entry, opts: { ...entry.opts, jobId } });
+  }
+
+  if (skipped.length > 0) {
+    console.log(`📞 ⏭️  Skipped ${skipped.length} duplicate calls for leads with a pending call`);
+  }
+
+  try {
+    const added = toAdd.length > 0 ? await callQueue.addBulk(toAdd) : [];
+    await trackCampaignJobs(added);
+    return { added, skipped };
+  } catch (error) {
+    await Promise.all(toAdd.map(entry => releaseLeadLock({ id: entry.opts.jobId, data: entry.data })));
+    throw error;
+  }
+}
+
+/**
+ * Describe a call that was not queued because its lead already has a pending call
+ * @param {Object} skipped - Entry from addCallJobs().skipped
+ * @returns {Object} Job information with status 'duplicate'
+ */
+function duplicateCallResult(skipped) {
+  return {
+    jobId: skipped.existingJobId,
+    status: 'duplicate',
+    message: skipped.reason
+  };
+}
+
 /**
  * Schedule an immediate outbound call
  * @param {Object} callData - Call data
@@ -64,17 +255,25 @@ queueEvents.on('delayed', ({ jobId, delay }) => {
 async function scheduleImmediateCall(callData) {
   const { to, message, lead_id, priority = 'normal', metadata = {} } = callData;
   console.log('Scheduling immediate call with data:', callData);
-  const job = await callQueue.add('make-call', {
-    to,
-    message,
-    lead_id,
-    priority,
-    metadata,
-    scheduledAt: new Date().toISOString(),
-    type: 'immediate'
-  }, {
-    priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2
-  });
+  const { added: [job], skipped } = await addCallJobs([{
+    name: 'make-call',
+    data: {
+      to,
+      message,
+      lead_id,
+      priority,
+      metadata,
+      scheduledAt: new Date().toISOString(),
+      type: 'immediate'
+    },
+    opts: {
+      priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2
+    }
+  }]);
+
+  if (!job) {
+    return duplicateCallResult(skipped[0]);
+  }
 
   return {
     jobId: job.id,
@@ -96,18 +295,26 @@ async function scheduleDelayedCall(callData, delay) {
     ? Math.max(0, delay.getTime() - Date.now())
     : delay;
 
-  const job = await callQueue.add('start-media-stream', {
-    to,
-    message,
-    lead_id,
-    priority,
-    metadata,
-    scheduledAt: delay instanceof Date ? delay.toISOString() : new Date(Date.now() + delayMs).toISOString(),
-    type: 'scheduled'
-  }, {
-    delay: delayMs,
-    priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2
-  });
+  const { added: [job], skipped } = await addCallJobs([{
+    name: 'start-media-stream',
+    data: {
+      to,
+      message,
+      lead_id,
+      priority,
+      metadata,
+      scheduledAt: delay instanceof Date ? delay.toISOString() : new Date(Date.now() + delayMs).toISOString(),
+      type: 'scheduled'
+    },
+    opts: {
+      delay: delayMs,
+      priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2
+    }
+  }]);
+
+  if (!job) {
+    return duplicateCallResult(skipped[0]);
+  }
 
   return {
     jobId: job.id,
@@ -119,6 +326,7 @@ async function scheduleDelayedCall(callData, delay) {
 
 /**
  * Schedule a recurring call (e.g., follow-ups)
+ * Each run claims the lead's call lock when the worker picks it up (see claimLeadLockForJob).
  * @param {Object} callData - Call data
  * @param {string} cronExpression - Cron expression
  * @returns {Promise<Object>} Job information
@@ -151,8 +359,9 @@ async function scheduleRecurringCall(callData, cronExpression) {
 
 /**
  * Schedule bulk calls
+ * Calls for leads that already have a pending or active call are skipped.
  * @param {Array} callsData - Array of call data objects
- * @returns {Promise<Array>} Array of job information
+ * @returns {Promise<Object>} { jobs: Array of job information, skipped: Array of duplicate calls }
  */
 async function scheduleBulkCalls(callsData) {
   const jobs = callsData.map((callData, index) => ({
@@ -172,13 +381,61 @@ async function scheduleBulkCalls(callsData) {
     }
   }));
 
-  const addedJobs = await callQueue.addBulk(jobs);
+  const { added, skipped } = await addCallJobs(jobs);
+
+  return {
+    jobs: added.map(job => ({
+      jobId: job.id,
+      status: 'scheduled',
+      data: job.data
+    })),
+    skipped
+  };
+}
+
+/**
+ * Schedule post-call summarization for a finished call
+ * @param {Object} callData - Finished call data
+ * @param {string} callData.callSid - Twilio call SID
+ * @param {number} callData.leadId - Lead ID, if known
+ * @param {Array} callData.transcript - Conversation history ({ role, content, timestamp })
+ * @returns {Promise<Object>} Job information
+ */
+async function scheduleCallSummary({ callSid, leadId = null, transcript = [] }) {
+  const job = await postCallQueue.add('summarize-call', {
+    callSid,
+    leadId,
+    transcript,
+    endedAt: new Date().toISOString()
+  }, {
+    jobId: `summary-${callSid}` // One summary job per call
+  });
 
-  return addedJobs.map(job => ({
+  return {
     jobId: job.id,
-    status: 'scheduled',
-    data: job.data
-  }));
+    status: 'scheduled'
+  };
+}
+
+/**
+ * Schedule cost accounting for a finished call
+ * Runs after CALL_COST_DELAY_MS (default 2 minutes) so Twilio has rated the call and the
+ * recording has been stored.
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<Object>} Job information
+ */
+async function scheduleCallCost(callSid) {
+  const job = await postCallQueue.add('calculate-call-cost', {
+    callSid
+  }, {
+    jobId: `cost-${callSid}`, // One cost job per call
+    delay: parseInt(process.env.CALL_COST_DELAY_MS || 120000)
+  });
+
+  return {
+    jobId: job.id,
+    status: 'scheduled'
+  };
 }
 
 /**
@@ -204,6 +461,8 @@ async function getJobStatus(jobId) {
     data: job.data,
     attemptsMade: job.attemptsMade,
     failedReason,
+    // Set when the worker re-delayed the call (business hours or the lead's calling window)
+    deferral: job.data.deferral || null,
     processedOn: job.processedOn,
     finishedOn: job.finishedOn,
     timestamp: job.timestamp
@@ -223,6 +482,8 @@ async function cancelCall(jobId) {
   }
 
   await job.remove();
+  await releaseLeadLock(job);
+  await untrackCampaignJob(job);
   console.log(`📞 🚫 Call job ${jobId} cancelled`);
   return true;
 }
@@ -240,6 +501,7 @@ async function retryCall(jobId) {
   }
 
   await job.retry();
+  await trackCampaignJobs([job], { retried: true });
   console.log(`📞 🔄 Call job ${jobId} retrying...`);
   
   return {
@@ -357,57 +619,213 @@ async function resumeQueue() {
   console.log('📞 ▶️  Call queue resumed');
 }
 
+// Automation settings and last run results, keyed by automation ID
+// (the schedule itself lives in a BullMQ job scheduler "automation-<id>")
+const AUTOMATIONS_KEY = 'automations';
+
+/**
+ * Job scheduler ID for an automation
+ * @param {string|number} automationId - Automation ID
+ * @returns {string} Scheduler ID
+ */
+function automationSchedulerId(automationId) {
+  return `automation-${automationId}`;
+}
+
+/**
+ * Create or update an automation's job scheduler
+ * @param {Object} automation - Automation record
+ * @returns {Promise<void>}
+ */
+async function upsertAutomationScheduler(automation) {
+  await callQueue.upsertJobScheduler(automationSchedulerId(automation.id), {
+    pattern: automation.cronExpression,
+    tz: automation.timezone
+  }, {
+    name: 'fetch-and-schedule-leads',
+    data: {
+      automationId: automation.id,
+      message: automation.message,
+      priority: automation.priority,
+      leadLimit: automation.leadLimit,
+      leadFilter: automation.leadFilter
+    },
+    opts: {
+      attempts: 1,
+      removeOnComplete: { age: 3600 * 24 * 7, count: 100 },
+      removeOnFail: { age: 3600 * 24 * 30 }
+    }
+  });
+}
+
+/**
+ * Load an automation and its schedule state
+ * @param {Object} automation - Stored automation record
+ * @returns {Promise<Object>} Automation with nextRunAt
+ */
+async function withScheduleState(automation) {
+  const scheduler = automation.status === 'active'
+    ? await callQueue.getJobScheduler(automationSchedulerId(automation.id))
+    : null;
+
+  return {
+    ...automation,
+    nextRunAt: scheduler && scheduler.next ? new Date(scheduler.next).toISOString() : null
+  };
+}
+
+/**
+ * Save an automation record
+ * @param {Object} automation - Automation record
+ * @returns {Promise<Object>} Saved automation
+ */
+async function saveAutomation(automation) {
+  const saved = { ...automation, updatedAt: new Date().toISOString() };
+  await redisConnection.hset(AUTOMATIONS_KEY, String(automation.id), JSON.stringify(saved));
+  return saved;
+}
+
+/**
+ * Load a stored automation record
+ * @param {string|number} automationId - Automation ID
+ * @returns {Promise<Object|null>} Automation record
+ */
+async function loadAutomation(automationId) {
+  const raw = await redisConnection.hget(AUTOMATIONS_KEY, String(automationId));
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Automations created before job schedulers were used are legacy repeatable jobs
+// (the old API returned job IDs like "automation-<timestamp>" or "repeat:<key>:<millis>")
+const LEGACY_AUTOMATION_IMPORT_LOCK = `${AUTOMATIONS_KEY}:legacy-import-lock`;
+
+/**
+ * Import legacy repeatable automation jobs into the automations hash
+ * Each one gets a job scheduler with the same cron pattern and settings, and the old
+ * repeatable job is removed so it stops firing. Safe to run on every start.
+ * @returns {Promise<Array>} Imported automations
+ */
+async function importLegacyAutomations() {
+  const locked = await redisConnection.set(LEGACY_AUTOMATION_IMPORT_LOCK, '1', 'EX', 60, 'NX');
+  if (!locked) {
+    return [];
+  }
+
+  try {
+    const repeatables = (await callQueue.getRepeatableJobs())
+      .filter(repeatable => repeatable.name === 'fetch-and-schedule-leads' && !repeatable.key.startsWith('automation-'));
+    if (repeatables.length === 0) {
+      return [];
+    }
+
+    const stored = (await redisConnection.hvals(AUTOMATIONS_KEY)).map(raw => JSON.parse(raw));
+    const delayed = await callQueue.getJobs(['delayed']);
+    const imported = [];
+
+    for (const repeatable of repeatables) {
+      // A previous import may have saved the automation but failed to remove the old job
+      const existing = stored.find(automation => automation.legacyKey === repeatable.key);
+      if (existing) {
+        await callQueue.removeRepeatableByKey(repeatable.key);
+        continue;
+      }
+
+      const nextRun = delayed.find(job => job.repeatJobKey === repeatable.key || job.opts.repeatJobKey === repeatable.key);
+      const data = nextRun ? nextRun.data : {};
+      const id = await redisConnection.incr(`${AUTOMATIONS_KEY}:next-id`);
+      const automation = {
+        id: String(id),
+        name: `Automation ${id}`,
+        cronExpression: repeatable.pattern,
+        timezone: repeatable.tz || 'UTC',
+        message: data.message || 'Hello from VoMindAI. We have an opportunity for you.',
+        priority: data.priority || 'normal',
+        leadLimit: data.leadLimit || 10,
+        leadFilter: DEFAULT_LEAD_FILTER,
+        status: 'active',
+        lastRun: null,
+        legacyKey: repeatable.key,
+        legacyJobId: (nextRun && nextRun.opts.repeat && nextRun.opts.repeat.jobId) || null,
+        createdAt: new Date().toISOString()
+      };
+
+      await upsertAutomationScheduler(automation);
+      imported.push(await saveAutomation(automation));
+      await callQueue.removeRepeatableByKey(repeatable.key);
+      console.log(`⏰ Legacy automation ${automation.legacyJobId || repeatable.key} imported as automation ${id}`);
+    }
+
+    return imported;
+  } finally {
+    await redisConnection.del(LEGACY_AUTOMATION_IMPORT_LOCK);
+  }
+}
+
+/**
+ * Find the automation an ID refers to
+ * Accepts an automation ID or a job ID returned by the legacy automation API
+ * @param {string|number} id - Automation ID or legacy job ID
+ * @returns {Promise<string|null>} Automation ID
+ */
+async function resolveAutomationId(id) {
+  if (await redisConnection.hexists(AUTOMATIONS_KEY, String(id))) {
+    return String(id);
+  }
+
+  // Legacy iteration job IDs are "repeat:<repeat key>:<millis>"
+  const legacyKey = String(id).startsWith('repeat:') ? String(id).split(':')[1] : null;
+  const stored = (await redisConnection.hvals(AUTOMATIONS_KEY)).map(raw => JSON.parse(raw));
+  const match = stored.find(automation =>
+    (automation.legacyJobId && automation.legacyJobId === String(id)) ||
+    (legacyKey && automation.legacyKey === legacyKey)
+  );
+  return match ? match.id : null;
+}
+
 /**
  * Schedule automation to fetch new leads and call them
- * Uses Redis cron pattern (cronExpression parameter)
- * @param {Object} supabase - Supabase client for fetching leads
+ * Runs on a BullMQ job scheduler using a cron pattern in the given timezone
  * @param {Object} options - Automation options
+ * @param {string} options.name - Display name
  * @param {string} options.cronExpression - Cron pattern (e.g., '0 9 * * *' for 9 AM daily)
+ * @param {string} options.timezone - IANA timezone the cron pattern is evaluated in (default: UTC)
  * @param {string} options.message - Message to say during call (default: greeting)
  * @param {string} options.priority - Job priority (default: 'normal')
  * @param {number} options.leadLimit - Max leads to schedule per run (default: 10)
- * @returns {Promise<Object>} Job info
+ * @param {Object} options.leadFilter - Which leads to call and in what order (see utils/leadFilter.js)
+ * @returns {Promise<Object>} Automation with nextRunAt
  */
-async function scheduleLeadAutomation(supabase, options = {}) {
+async function scheduleLeadAutomation(options = {}) {
   const {
     cronExpression = '0 9 * * *', // Default: 9 AM daily
+    timezone = 'UTC',
     message = 'Hello from VoMindAI. We have an opportunity for you.',
     priority = 'normal',
-    leadLimit = 10
+    leadLimit = 10,
+    leadFilter = DEFAULT_LEAD_FILTER
   } = options;
 
   try {
-    // Create a recurring job that fetches new leads and schedules calls
-    const job = await callQueue.add(
-      'fetch-and-schedule-leads',
-      {
-        supabaseConfig: {
-          url: process.env.SUPABASE_URL,
-          key: process.env.SUPABASE_ANON_KEY
-        },
-        message,
-        priority,
-        leadLimit
-      },
-      {
-        repeat: {
-          pattern: cronExpression
-        },
-        jobId: `automation-${Date.now()}`,
-        removeOnComplete: false,
-        removeOnFail: false
-      }
-    );
-
-    console.log(`⏰ Automation scheduled: ${job.id} (${cronExpression})`);
-    
-    return {
-      success: true,
-      jobId: job.id,
+    const id = await redisConnection.incr(`${AUTOMATIONS_KEY}:next-id`);
+    const automation = {
+      id: String(id),
+      name: options.name || `Automation ${id}`,
       cronExpression,
-      message: `Automation scheduled to run: ${cronExpression}`,
-      nextRunTime: job.data // Will be set by BullMQ
+      timezone,
+      message,
+      priority,
+      leadLimit,
+      leadFilter,
+      status: 'active',
+      lastRun: null,
+      createdAt: new Date().toISOString()
     };
+
+    await upsertAutomationScheduler(automation);
+    const saved = await saveAutomation(automation);
+
+    console.log(`⏰ Automation ${id} scheduled: ${cronExpression} (${timezone})`);
+    return withScheduleState(saved);
   } catch (error) {
     console.error('Error scheduling automation:', error.message);
     throw new Error(`Failed to schedule automation: ${error.message}`);
@@ -415,60 +833,119 @@ async function scheduleLeadAutomation(supabase, options = {}) {
 }
 
 /**
- * Get all active automation schedules
- * @returns {Promise<Array>} Array of active automation jobs
+ * Get all automation schedules
+ * @returns {Promise<Array>} Automations with nextRunAt, oldest first
  */
 async function getAutomationSchedules() {
-  try {
-    const jobs = await callQueue.getJobs(['active', 'delayed', 'wait']);
-    
-    // Filter for automation jobs only
-    const automationJobs = jobs.filter(job => 
-      job.name === 'fetch-and-schedule-leads' || 
-      job.data.leadLimit // Has leadLimit property (automation marker)
-    );
+  const stored = await redisConnection.hvals(AUTOMATIONS_KEY);
+  const automations = stored
+    .map(raw => JSON.parse(raw))
+    .sort((a, b) => Number(a.id) - Number(b.id));
 
-    return automationJobs.map(job => ({
-      jobId: job.id,
-      name: job.name,
-      cronExpression: job.opts.repeat?.pattern || 'N/A',
-      state: job.getState(),
-      message: job.data.message,
-      leadLimit: job.data.leadLimit,
-      priority: job.data.priority,
-      attempts: job.attemptsMade,
-      maxAttempts: job.opts.attempts
-    }));
-  } catch (error) {
-    console.error('Error fetching automation schedules:', error.message);
-    throw new Error(`Failed to fetch schedules: ${error.message}`);
+  return Promise.all(automations.map(withScheduleState));
+}
+
+/**
+ * Get one automation schedule
+ * @param {string|number} automationId - Automation ID
+ * @returns {Promise<Object|null>} Automation with nextRunAt
+ */
+async function getAutomationSchedule(automationId) {
+  const automation = await loadAutomation(automationId);
+  return automation ? withScheduleState(automation) : null;
+}
+
+/**
+ * Update an automation's schedule or settings
+ * @param {string|number} automationId - Automation ID
+ * @param {Object} changes - Any of name, cronExpression, timezone, message, priority, leadLimit, leadFilter
+ * @returns {Promise<Object|null>} Updated automation, or null if not found
+ */
+async function updateAutomationSchedule(automationId, changes) {
+  const automation = await loadAutomation(automationId);
+  if (!automation) {
+    return null;
   }
+
+  const updated = { ...automation };
+  ['name', 'cronExpression', 'timezone', 'message', 'priority', 'leadLimit', 'leadFilter'].forEach(field => {
+    if (changes[field] !== undefined) updated[field] = changes[field];
+  });
+
+  // Paused automations pick up the new settings when resumed
+  if (updated.status === 'active') {
+    await upsertAutomationScheduler(updated);
+  }
+
+  console.log(`⏰ Automation ${automationId} updated`);
+  return withScheduleState(await saveAutomation(updated));
 }
 
 /**
- * Stop an automation schedule
- * @param {string} jobId - Job ID to stop
- * @returns {Promise<boolean>} Success status
+ * Pause an automation (its settings and history are kept)
+ * @param {string|number} automationId - Automation ID
+ * @returns {Promise<Object|null>} Paused automation, or null if not found
  */
-async function stopAutomation(jobId) {
-  try {
-    const job = await callQueue.getJob(jobId);
-    
-    if (!job) {
-      throw new Error(`Job ${jobId} not found`);
-    }
+async function pauseAutomation(automationId) {
+  const automation = await loadAutomation(automationId);
+  if (!automation) {
+    return null;
+  }
 
-    // Remove the repeat pattern to stop automation
-    await job.removeRepeatability();
-    console.log(`⏹️  Automation stopped: ${jobId}`);
-    
-    return {
-      success: true,
-      message: `Automation ${jobId} stopped`
-    };
-  } catch (error) {
-    console.error('Error stopping automation:', error.message);
-    throw new Error(`Failed to stop automation: ${error.message}`);
+  await callQueue.removeJobScheduler(automationSchedulerId(automationId));
+  console.log(`⏸️  Automation paused: ${automationId}`);
+  return withScheduleState(await saveAutomation({ ...automation, status: 'paused' }));
+}
+
+/**
+ * Resume a paused automation
+ * @param {string|number} automationId - Automation ID
+ * @returns {Promise<Object|null>} Resumed automation, or null if not found
+ */
+async function resumeAutomation(automationId) {
+  const automation = await loadAutomation(automationId);
+  if (!automation) {
+    return null;
+  }
+
+  const resumed = { ...automation, status: 'active' };
+  await upsertAutomationScheduler(resumed);
+  console.log(`▶️  Automation resumed: ${automationId}`);
+  return withScheduleState(await saveAutomation(resumed));
+}
+
+/**
+ * Stop an automation schedule and delete it
+ * Legacy job IDs are accepted; legacy jobs not imported yet are imported first
+ * @param {string|number} id - Automation ID or legacy job ID
+ * @returns {Promise<boolean>} True if the automation existed
+ */
+async function stopAutomation(id) {
+  let automationId = await resolveAutomationId(id);
+  if (!automationId) {
+    await importLegacyAutomations();
+    automationId = await resolveAutomationId(id);
+  }
+  if (!automationId) {
+    return false;
+  }
+
+  await callQueue.removeJobScheduler(automationSchedulerId(automationId));
+  const removed = await redisConnection.hdel(AUTOMATIONS_KEY, String(automationId));
+  console.log(`⏹️  Automation stopped: ${automationId}`);
+  return removed > 0;
+}
+
+/**
+ * Record the result of an automation run
+ * @param {string|number} automationId - Automation ID
+ * @param {Object} lastRun - { status, startedAt, finishedAt, scheduled, message, error }
+ * @returns {Promise<void>}
+ */
+async function recordAutomationRun(automationId, lastRun) {
+  const automation = await loadAutomation(automationId);
+  if (automation) {
+    await saveAutomation({ ...automation, lastRun });
   }
 }
 
@@ -477,13 +954,15 @@ async function stopAutomation(jobId) {
  * @param {Object} supabase - Supabase client
  * @param {Object} models - Database models
  * @param {Object} options - Options
+ * @param {Object} options.leadFilter - Which leads to call and in what order (default: new, never-called leads)
  * @returns {Promise<Object>} Scheduling result
  */
 async function fetchAndScheduleNewLeads(supabase, models, options = {}) {
   const {
     message = 'Hello from VoMindAI. We have an opportunity for you.',
     priority = 'normal',
-    leadLimit = 10
+    leadLimit = 10,
+    leadFilter = DEFAULT_LEAD_FILTER
   } = options;
 
   try {
@@ -491,32 +970,30 @@ async function fetchAndScheduleNewLeads(supabase, models, options = {}) {
       throw new Error('Supabase client and models are required');
     }
 
-    // Fetch new leads (lead_status = 'new' and not yet called)
-    const { data: newLeads, error } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('lead_status', 'new')
-      .is('call_sid', null) // Not yet called
-      .limit(leadLimit);
-
-    if (error) {
-      throw error;
-    }
+    // Select leads matching the filter, in its order
+    const { data: newLeads, truncated } = await models.Lead.findCallable(leadFilter, leadLimit);
 
     if (!newLeads || newLeads.length === 0) {
       return {
         success: true,
-        message: 'No new leads to call',
+        message: truncated ? TRUNCATED_SCAN_MESSAGE : 'No new leads to call',
         scheduled: 0,
+        truncated,
         leads: []
       };
     }
 
     console.log(`📋 Found ${newLeads.length} new leads to call`);
 
+    // Only leads with phone numbers that are not on the Do-Not-Call list
+    const { allowed: callableLeads } = await filterDoNotCall(
+      models,
+      newLeads.filter(lead => lead.phone),
+      lead => lead.phone
+    );
+
     // Schedule calls for each lead
-    const callsToSchedule = newLeads
-      .filter(lead => lead.phone) // Only leads with phone numbers
+    const callsToSchedule = callableLeads
       .map(lead => ({
         to: lead.phone,
         message,
@@ -538,7 +1015,7 @@ async function fetchAndScheduleNewLeads(supabase, models, options = {}) {
     }
 
     // Use existing bulk scheduling function
-    const scheduledJobs = await scheduleBulkCalls(callsToSchedule);
+    const { jobs: scheduledJobs, skipped } = await scheduleBulkCalls(callsToSchedule);
 
     console.log(`✅ Scheduled ${scheduledJobs.length} calls for new leads`);
 
@@ -547,7 +1024,9 @@ async function fetchAndScheduleNewLeads(supabase, models, options = {}) {
       message: `Scheduled ${scheduledJobs.length} calls for new leads`,
       scheduled: scheduledJobs.length,
       leads: newLeads,
-      jobs: scheduledJobs
+      jobs: scheduledJobs,
+      skipped,
+      truncated
     };
   } catch (error) {
     console.error('Error in fetchAndScheduleNewLeads:', error.message);
@@ -555,28 +1034,508 @@ async function fetchAndScheduleNewLeads(supabase, models, options = {}) {
   }
 }
 
+/**
+ * Queue another attempt at a call that was not answered
+ * @param {Object} callRequest - Job payload of the original call (metadata.callAttempt set to the new attempt)
+ * @param {number} delayMs - Delay before the retry in milliseconds
+ * @param {Object} options - Options
+ * @param {string} options.replacesJobId - Job of the call being retried (its lead lock passes to the retry)
+ * @returns {Promise<Object>} Job information
+ */
+async function scheduleRetryCall(callRequest, delayMs, options = {}) {
+  const priority = callRequest.priority || 'normal';
+
+  const { added: [job], skipped } = await addCallJobs([{
+    name: 'retry-call',
+    data: {
+      ...callRequest,
+      scheduledAt: new Date(Date.now() + delayMs).toISOString(),
+      type: 'retry'
+    },
+    opts: {
+      delay: delayMs,
+      priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2
+    }
+  }], { replacesJobId: options.replacesJobId });
+
+  if (!job) {
+    return duplicateCallResult(skipped[0]);
+  }
+
+  return {
+    jobId: job.id,
+    status: 'delayed',
+    scheduledFor: job.data.scheduledAt,
+    data: job.data
+  };
+}
+
+/**
+ * Redis key linking a placed call to the job waiting for its outcome
+ * @param {string} callSid - Twilio call SID
+ * @returns {string} Redis key
+ */
+function callJobKey(callSid) {
+  return `call-job:${callSid}`;
+}
+
+/**
+ * Remember which job placed a call, so its outcome can wake the job up
+ * @param {string} callSid - Twilio call SID
+ * @param {string} jobId - Job waiting for the call's outcome
+ * @returns {Promise<void>}
+ */
+async function linkCallJob(callSid, jobId) {
+  await redisConnection.set(callJobKey(callSid), jobId, 'EX', CALL_OUTCOME_TTL_SECONDS);
+}
+
+/**
+ * Move a call job parked until its call ends back to the queue
+ * @param {string} jobId - Job ID
+ * @returns {Promise<boolean>} True if the job was woken up
+ */
+async function wakeCallJob(jobId) {
+  const job = await callQueue.getJob(jobId);
+  if (!job || !(await job.isDelayed())) {
+    return false;
+  }
+
+  try {
+    await job.promote();
+    return true;
+  } catch (error) {
+    // Woken up by the other side of the race (or removed) in the meantime
+    return false;
+  }
+}
+
+/**
+ * Hand a call's final status to the worker job waiting on it
+ * The outcome is stored, then the job (parked in the delayed set while the call runs) is woken up.
+ * @param {string} callSid - Twilio call SID
+ * @param {Object} outcome - { status, duration, answeredBy }
+ * @returns {Promise<void>}
+ */
+async function publishCallOutcome(callSid, outcome) {
+  const key = `call-outcome:${callSid}`;
+  await redisConnection
+    .multi()
+    .lpush(key, JSON.stringify({ ...outcome, receivedAt: new Date().toISOString() }))
+    .expire(key, CALL_OUTCOME_TTL_SECONDS)
+    .exec();
+
+  const jobId = await redisConnection.get(callJobKey(callSid));
+  if (jobId) {
+    await wakeCallJob(jobId);
+  }
+}
+
+/**
+ * Read the final status published for a call
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<Object|null>} Latest outcome ({ status, duration, answeredBy, receivedAt }), or null
+ */
+async function getCallOutcome(callSid) {
+  const reply = await redisConnection.lindex(`call-outcome:${callSid}`, 0);
+  return reply ? JSON.parse(reply) : null;
+}
+
+/**
+ * Start a campaign's schedule
+ * Campaigns with a cron expression re-select leads on every run; others run once (at start_at, or now)
+ * @param {Object} campaign - Campaign record
+ * @returns {Promise<Object>} Schedule information
+ */
+async function startCampaignSchedule(campaign) {
+  const schedule = campaign.schedule || {};
+  const jobData = { campaignId: campaign.id };
+
+  if (schedule.cron) {
+    const schedulerId = `campaign-${campaign.id}`;
+    await callQueue.upsertJobScheduler(schedulerId, {
+      pattern: schedule.cron,
+      startDate: schedule.start_at ? new Date(schedule.start_at) : undefined,
+      endDate: schedule.end_at ? new Date(schedule.end_at) : undefined
+    }, {
+      name: 'run-campaign',
+      data: jobData,
+      opts: { attempts: 1 }
+    });
+
+    console.log(`📣 Campaign ${campaign.id} scheduled: ${schedule.cron}`);
+    return { schedulerId, cron: schedule.cron };
+  }
+
+  const delay = schedule.start_at ? Math.max(0, new Date(schedule.start_at).getTime() - Date.now()) : 0;
+  const job = await callQueue.add('run-campaign', jobData, {
+    jobId: `campaign-${campaign.id}-run-${Date.now()}`,
+    delay,
+    attempts: 1
+  });
+  await trackCampaignJobs([job]);
+
+  console.log(`📣 Campaign ${campaign.id} run queued${delay ? ` in ${Math.round(delay / 1000)}s` : ''}`);
+  return { jobId: job.id, runAt: new Date(Date.now() + delay).toISOString() };
+}
+
+/**
+ * Stop a campaign's recurring schedule
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<boolean>} True if a schedule was removed
+ */
+async function stopCampaignSchedule(campaignId) {
+  return callQueue.removeJobScheduler(`campaign-${campaignId}`);
+}
+
+/**
+ * Queue calls for a campaign's selected leads
+ * @param {Object} campaign - Campaign record
+ * @param {Array<Object>} leads - Leads to call
+ * @returns {Promise<Object>} { jobs: scheduled jobs, skipped: leads that already have a pending campaign call }
+ */
+async function scheduleCampaignCalls(campaign, leads) {
+  const retryPolicy = campaign.retry_policy || {};
+  const priority = campaign.priority || 'normal';
+
+  const jobs = leads.map(lead => ({
+    name: 'campaign-call',
+    data: {
+      to: lead.phone,
+      message: campaign.message || 'Hello from VoMindAI',
+      lead_id: lead.id,
+      campaign_id: campaign.id,
+      priority,
+      metadata: {
+        campaignId: campaign.id,
+        agentProfileId: campaign.agent_profile_id || undefined,
+        businessCalendarId: campaign.business_calendar_id || undefined,
+        callerId: campaign.caller_id || undefined,
+        machineDetection: typeof campaign.machine_detection === 'boolean' ? campaign.machine_detection : undefined,
+        voicemailMessage: campaign.voicemail_message || undefined,
+        voicemailUrl: campaign.voicemail_url || undefined
+      },
+      scheduledAt: new Date().toISOString(),
+      type: 'campaign'
+    },
+    opts: {
+      priority: priority === 'high' ? 1 : priority === 'low' ? 3 : 2,
+      attempts: retryPolicy.max_attempts || 3,
+      backoff: {
+        type: 'exponential',
+        delay: retryPolicy.backoff_ms || 60000
+      }
+    }
+  }));
+
+  const { added, skipped } = await addCallJobs(jobs);
+
+  return {
+    jobs: added.map(job => ({
+      jobId: job.id,
+      status: 'scheduled',
+      lead_id: job.data.lead_id
+    })),
+    skipped
+  };
+}
+
+/**
+ * Campaign a job belongs to
+ * @param {Object} job - BullMQ job
+ * @returns {string|null} Campaign ID
+ */
+function campaignIdOf(job) {
+  const campaignId = job.name === 'run-campaign' ? job.data.campaignId : job.data.campaign_id;
+  return campaignId ? String(campaignId) : null;
+}
+
+/**
+ * Redis keys tracking a campaign's jobs
+ * pending: set of job IDs not finished yet; results: hash of completed / failed call counts;
+ * held: hash of calls taken out of the queue while the campaign is paused
+ * @param {number|string} campaignId - Campaign ID
+ * @returns {Object} { pending, results, held }
+ */
+function campaignJobKeys(campaignId) {
+  return {
+    pending: `campaign-jobs:${campaignId}:pending`,
+    results: `campaign-jobs:${campaignId}:results`,
+    held: `campaign-jobs:${campaignId}:held`
+  };
+}
+
+/**
+ * Start tracking newly added campaign jobs (jobs without a campaign are ignored)
+ * @param {Array<Object>} jobs - Added jobs
+ * @param {Object} options - Options
+ * @param {boolean} options.retried - Jobs are failed jobs being retried (no longer counted as failed)
+ * @returns {Promise<void>}
+ */
+async function trackCampaignJobs(jobs, options = {}) {
+  const tracked = jobs.filter(job => job && campaignIdOf(job));
+  if (tracked.length === 0) {
+    return;
+  }
+
+  const multi = redisConnection.multi();
+  tracked.forEach(job => {
+    const keys = campaignJobKeys(campaignIdOf(job));
+    multi.sadd(keys.pending, job.id);
+    if (options.retried && job.name !== 'run-campaign') {
+      multi.hincrby(keys.results, 'failed', -1);
+    }
+  });
+  await multi.exec();
+}
+
+/**
+ * Stop tracking a campaign job that was removed from the queue
+ * @param {Object} job - BullMQ job
+ * @returns {Promise<boolean>} True if the job was tracked as pending
+ */
+async function untrackCampaignJob(job) {
+  const campaignId = job && campaignIdOf(job);
+  if (!campaignId) {
+    return false;
+  }
+  return (await redisConnection.srem(campaignJobKeys(campaignId).pending, job.id)) === 1;
+}
+
+/**
+ * Record that a campaign job finished for good
+ * @param {Object} job - BullMQ job
+ * @param {string} result - 'completed' or 'failed'
+ * @returns {Promise<void>}
+ */
+async function recordCampaignJobResult(job, result) {
+  const wasPending = await untrackCampaignJob(job);
+  if (wasPending && job.name !== 'run-campaign') {
+    await redisConnection.hincrby(campaignJobKeys(campaignIdOf(job)).results, result, 1);
+  }
+}
+
+/**
+ * Count a campaign's jobs that have not finished yet (calls, retries and a queued one-off run)
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Pending jobs
+ */
+async function countPendingCampaignJobs(campaignId) {
+  return redisConnection.scard(campaignJobKeys(campaignId).pending);
+}
+
+/**
+ * Load a campaign's pending jobs with their states
+ * Jobs that no longer exist are dropped from tracking.
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Array<{ job: Object, state: string }>>} Pending jobs
+ */
+async function getPendingCampaignJobs(campaignId) {
+  const key = campaignJobKeys(campaignId).pending;
+  const jobIds = await redisConnection.smembers(key);
+
+  const entries = await Promise.all(jobIds.map(async jobId => {
+    const job = await callQueue.getJob(jobId);
+    const state = job ? await job.getState() : null;
+    if (!job || !PENDING_JOB_STATES.includes(state)) {
+      await redisConnection.srem(key, jobId);
+      return null;
+    }
+    return { job, state };
+  }));
+
+  return entries.filter(Boolean);
+}
+
+/**
+ * Count a campaign's call jobs by state
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<Object>} Counts per state plus the pending total
+ */
+async function getCampaignJobCounts(campaignId) {
+  const pending = (await getPendingCampaignJobs(campaignId))
+    .filter(({ job }) => job.name !== 'run-campaign');
+  const results = await redisConnection.hgetall(campaignJobKeys(campaignId).results);
+
+  const held = await redisConnection.hlen(campaignJobKeys(campaignId).held);
+
+  const counts = {};
+  ['waiting', 'prioritized', 'delayed', 'active'].forEach(state => {
+    counts[state] = pending.filter(entry => entry.state === state).length;
+  });
+  counts.held = held;
+  counts.completed = parseInt(results.completed) || 0;
+  counts.failed = parseInt(results.failed) || 0;
+  counts.pending = pending.length + held;
+  return counts;
+}
+
+/**
+ * Remove a campaign's queued (not yet active) jobs and the calls held while it was paused
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs removed
+ */
+async function removeCampaignJobs(campaignId) {
+  const heldKey = campaignJobKeys(campaignId).held;
+  const [[, held]] = await redisConnection.multi().hlen(heldKey).del(heldKey).exec();
+
+  // Jobs parked while their call is live have already dialled; they finish on their own
+  const jobs = (await getPendingCampaignJobs(campaignId))
+    .filter(({ job, state }) => ['waiting', 'prioritized', 'delayed'].includes(state) && !job.data.callSid)
+    .map(({ job }) => job);
+  await Promise.all(jobs.map(async job => {
+    await job.remove();
+    await releaseLeadLock(job);
+    await untrackCampaignJob(job);
+  }));
+
+  console.log(`📣 🚫 Removed ${jobs.length} queued and ${held} held jobs for campaign ${campaignId}`);
+  return jobs.length + held;
+}
+
+/**
+ * Take a paused campaign's call out of the queue until the campaign resumes
+ * The caller removes the job (or completes it, for the job a worker is processing).
+ * @param {Object} job - Campaign call job
+ * @param {number} runAt - When the call was due, for a delayed job (ms timestamp, optional)
+ * @returns {Promise<void>}
+ */
+async function holdCampaignJob(job, runAt = null) {
+  const { deferral, ...data } = job.data;
+  const entry = {
+    name: job.name,
+    data,
+    opts: {
+      priority: job.opts.priority,
+      attempts: job.opts.attempts,
+      backoff: job.opts.backoff
+    },
+    // A delayed call (e.g. a retry) keeps what is left of its delay
+    runAt
+  };
+
+  await redisConnection.hset(campaignJobKeys(campaignIdOf(job)).held, job.id, JSON.stringify(entry));
+  await untrackCampaignJob(job);
+  await releaseLeadLock(job);
+}
+
+/**
+ * When a delayed job is due
+ * @param {Object} job - Delayed BullMQ job
+ * @returns {number|null} ms timestamp (a deferral's end, else the delay it was added with)
+ */
+function delayedUntil(job) {
+  if (job.data.deferral && job.data.deferral.until) {
+    return new Date(job.data.deferral.until).getTime();
+  }
+  return job.opts.delay ? job.timestamp + job.opts.delay : null;
+}
+
+/**
+ * Move a paused campaign's queued calls out of the queue
+ * Held calls use no worker time or rate limit until resumeCampaignJobs queues them again.
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs held
+ */
+async function holdCampaignJobs(campaignId) {
+  // Jobs parked while their call is live have already dialled; they finish on their own
+  const entries = (await getPendingCampaignJobs(campaignId))
+    .filter(({ job, state }) => job.name !== 'run-campaign' && !job.data.callSid &&
+      ['waiting', 'prioritized', 'delayed'].includes(state));
+
+  let held = 0;
+  for (const { job, state } of entries) {
+    try {
+      await job.remove();
+    } catch (error) {
+      // Picked up by a worker in the meantime; the worker holds it instead
+      continue;
+    }
+    await holdCampaignJob(job, state === 'delayed' ? delayedUntil(job) : null);
+    held++;
+  }
+
+  console.log(`📣 ⏸️  Held ${held} queued jobs for campaign ${campaignId}`);
+  return held;
+}
+
+/**
+ * Queue again the calls a campaign held while it was paused
+ * Leads that got another pending call in the meantime are skipped.
+ * @param {number} campaignId - Campaign ID
+ * @returns {Promise<number>} Number of jobs released
+ */
+async function resumeCampaignJobs(campaignId) {
+  const key = campaignJobKeys(campaignId).held;
+  const [[, entries]] = await redisConnection.multi().hgetall(key).del(key).exec();
+  if (!entries || Object.keys(entries).length === 0) {
+    return 0;
+  }
+
+  try {
+    const { added } = await addCallJobs(Object.values(entries).map(entry => {
+      const { name, data, opts, runAt } = JSON.parse(entry);
+      return { name, data, opts: { ...opts, delay: runAt ? Math.max(0, runAt - Date.now()) : 0 } };
+    }));
+
+    console.log(`📣 ▶️  Released ${added.length} held jobs for campaign ${campaignId}`);
+    return added.length;
+  } catch (error) {
+    await redisConnection.hset(key, entries);
+    throw error;
+  }
+}
+
 /**
  * Close connections gracefully
  * @returns {Promise<void>}
  */
 async function closeQueue() {
   await callQueue.close();
+  await postCallQueue.close();
   await queueEvents.close();
   await redisConnection.quit();
   console.log('📞 🔌 Call queue connections closed');
 }
 
 module.exports = {
+  redisConnection,
   callQueue,
+  postCallQueue,
   queueEvents,
   scheduleImmediateCall,
   scheduleDelayedCall,
   scheduleRecurringCall,
   scheduleBulkCalls,
+  addCallJobs,
+  claimLeadLockForJob,
+  releaseLeadLock,
+  scheduleCallSummary,
+  scheduleCallCost,
+  scheduleRetryCall,
+  linkCallJob,
+  wakeCallJob,
+  publishCallOutcome,
+  getCallOutcome,
   scheduleLeadAutomation,
   getAutomationSchedules,
+  getAutomationSchedule,
+  updateAutomationSchedule,
+  pauseAutomation,
+  resumeAutomation,
   stopAutomation,
+  importLegacyAutomations,
+  recordAutomationRun,
   fetchAndScheduleNewLeads,
+  startCampaignSchedule,
+  stopCampaignSchedule,
+  scheduleCampaignCalls,
+  recordCampaignJobResult,
+  countPendingCampaignJobs,
+  getCampaignJobCounts,
+  removeCampaignJobs,
+  holdCampaignJob,
+  holdCampaignJobs,
+  resumeCampaignJobs,
   getJobStatus,
   cancelCall,
   retryCall,
@@ -3,18 +3,41 @@
  * Processes outbound call jobs from the queue
  */
 
-const { Worker } = require('bullmq');
-const Redis = require('ioredis');
+const { Worker, DelayedError, UnrecoverableError } = require('bullmq');
 const twilio = require('twilio');
+const { summarizeTranscript, OUTCOME_LEAD_STATUS } = require('../utils/callSummarizer');
+const { computeCallCost } = require('../utils/callCost');
+const { TERMINAL_STATUSES } = require('../utils/callRetry');
+const { getBusinessHoursStatus } = require('../utils/businessHours');
+const {
+  resolveLeadTimezone,
+  resolveCallingWindow,
+  getDefaultLeadTimezone,
+  getCallingWindowStatus
+} = require('../utils/leadTimezone');
+const { findDoNotCallEntry, filterDoNotCall } = require('../utils/doNotCall');
+const { DEFAULT_LEAD_FILTER, TRUNCATED_SCAN_MESSAGE, buildCampaignLeadFilter } = require('../utils/leadFilter');
+const {
+  addCallJobs,
+  claimLeadLockForJob,
+  releaseLeadLock,
+  scheduleCampaignCalls,
+  stopCampaignSchedule,
+  recordCampaignJobResult,
+  countPendingCampaignJobs,
+  holdCampaignJob,
+  resumeCampaignJobs,
+  recordAutomationRun,
+  linkCallJob,
+  wakeCallJob,
+  getCallOutcome
+} = require('./callQueue');
+const { createRedisConnection } = require('../config/redis');
+const { selectCallerId, releaseCallerId } = require('../utils/callerIdPool');
+const { acquireLiveCallSlot, convertLiveCallSlot, releaseLiveCall, getMaxLiveCalls } = require('../utils/liveCallLimiter');
 
 // Redis connection
-const redisConnection = new Redis({
-  host: process.env.REDIS_HOST || 'localhost',
-  port: process.env.REDIS_PORT || 6379,
-  password: process.env.REDIS_PASSWORD || undefined,
-  maxRetriesPerRequest: null,
-  enableReadyCheck: false
-});
+const redisConnection = createRedisConnection('call-worker');
 
 // Twilio client
 const twilioClient = twilio(
@@ -25,6 +48,341 @@ const twilioClient = twilio(
 const twilioPhoneNumber = process.env.TWILIO_PHONE_NUMBER;
 const publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000';
 
+// How long a dialled call job stays parked before asking Twilio whether the call has ended
+const CALL_OUTCOME_TIMEOUT_MS = parseInt(process.env.CALL_OUTCOME_TIMEOUT_MS || 3600000);
+
+// How long a call held back by the live call cap waits before trying again
+const LIVE_CALL_RECHECK_MS = parseInt(process.env.LIVE_CALL_RECHECK_MS || 30000);
+
+/**
+ * Get the answering machine detection settings of a call job
+ * AMD runs synchronously: Twilio only fetches the call's TwiML once it knows who answered,
+ * so /media-stream-twiml can leave the voicemail before the AI agent is ever connected.
+ * @param {Object} jobData - Call job data
+ * @returns {Object|null} { voicemailUrl, voicemailMessage }, or null if AMD is off
+ */
+function getMachineDetectionSettings(jobData) {
+  const { metadata = {} } = jobData;
+  const enabled = metadata.machineDetection !== undefined
+    ? metadata.machineDetection === true
+    : process.env.ENABLE_MACHINE_DETECTION === 'true';
+
+  if (!enabled) {
+    return null;
+  }
+
+  return {
+    voicemailUrl: metadata.voicemailUrl || null,
+    voicemailMessage: metadata.voicemailMessage || null
+  };
+}
+
+/**
+ * Fail a call job whose number is on the Do-Not-Call list
+ * The job is failed without retries; DNC lookup errors are thrown so the job is retried.
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @returns {Promise<void>} Resolves when the number may be called
+ */
+async function enforceDoNotCall(job, models) {
+  const entry = await findDoNotCallEntry(models, job.data.to);
+  if (entry) {
+    console.warn(`🚫 Call job ${job.id} rejected: ${job.data.to} is on the Do-Not-Call list`);
+    throw new UnrecoverableError(`Number ${entry.phone_number} is on the Do-Not-Call list`);
+  }
+}
+
+/**
+ * Hold or drop a campaign call according to its campaign's status
+ * Calls of a paused campaign are taken out of the queue until it resumes (so they do not
+ * use the worker's rate limit); calls of a cancelled (or deleted) campaign fail without retries.
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @returns {Promise<boolean>} True if the call was held and the job should end now
+ */
+async function enforceCampaignStatus(job, models) {
+  const campaignId = job.data.campaign_id;
+  if (!models || !campaignId) {
+    return false;
+  }
+
+  const campaign = await models.Campaign.findById(campaignId);
+  if (!campaign || campaign.status === 'cancelled') {
+    throw new UnrecoverableError(`Campaign ${campaignId} is ${campaign ? 'cancelled' : 'deleted'}`);
+  }
+
+  if (campaign.status !== 'paused') {
+    return false;
+  }
+
+  await holdCampaignJob(job);
+  console.log(`📞 ⏸️  Call job ${job.id} held until campaign ${campaignId} resumes`);
+
+  // The campaign may have resumed while the call was being held
+  const current = await models.Campaign.findById(campaignId);
+  if (current && current.status === 'running') {
+    await resumeCampaignJobs(campaignId);
+  }
+  return true;
+}
+
+/**
+ * Move a call job back to the delayed set until a given time
+ * The attempt is not counted against the job's retry attempts.
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Worker lock token for the job
+ * @param {Date} until - When the job should run again
+ * @param {Object} deferral - Why the job was deferred (stored on job.data.deferral)
+ * @returns {Promise<never>} Always throws DelayedError to tell BullMQ the job was moved
+ */
+async function deferJob(job, token, until, deferral) {
+  await job.updateData({
+    ...job.data,
+    deferral: {
+      ...deferral,
+      until: until.toISOString(),
+      deferredAt: new Date().toISOString(),
+      count: ((job.data.deferral && job.data.deferral.count) || 0) + 1
+    }
+  });
+  await job.moveToDelayed(until.getTime(), token);
+
+  console.log(`📞 ⏸️  Call job ${job.id} deferred until ${until.toISOString()} (${deferral.reason})`);
+  throw new DelayedError();
+}
+
+/**
+ * Defer a call job that falls outside business hours
+ * Uses the job's calendar (metadata.businessCalendarId), else the calendar for the
+ * number the call goes out on, else the default calendar. Without a calendar calls are not restricted.
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Worker lock token for the job
+ * @param {Object} models - Database models
+ * @param {string} callerId - Number the call will be dialled from (see resolveCallerId)
+ * @returns {Promise<void>} Resolves when the call may be placed now
+ */
+async function enforceBusinessHours(job, token, models, callerId) {
+  const metadata = job.data.metadata || {};
+  if (!models || metadata.ignoreBusinessHours) {
+    return;
+  }
+
+  let calendar = null;
+  try {
+    calendar = await models.BusinessCalendar.resolve({
+      id: metadata.businessCalendarId,
+      phoneNumber: callerId
+    });
+  } catch (error) {
+    console.warn('⚠️  Could not load business calendar, calling without restriction:', error.message);
+    return;
+  }
+
+  if (!calendar) {
+    return;
+  }
+
+  const status = getBusinessHoursStatus(calendar);
+  if (status.open) {
+    return;
+  }
+
+  if (!status.nextOpenAt) {
+    throw new Error(`Business calendar "${calendar.name}" has no open window in the next 14 days`);
+  }
+
+  await deferJob(job, token, status.nextOpenAt, {
+    reason: status.reason === 'holiday' ? 'holiday' : 'outside_business_hours',
+    calendarId: calendar.id,
+    holiday: status.holiday,
+    timezone: status.timezone
+  });
+}
+
+/**
+ * Reserve a live call slot before dialling
+ * Holds the job back while MAX_LIVE_CALLS AI calls are already live across all processes.
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Worker lock token for the job
+ * @returns {Promise<string>} Reservation ID, converted to the call SID once dialled
+ */
+async function enforceLiveCallCap(job, token) {
+  const reservation = `job:${job.id}`;
+  if (await acquireLiveCallSlot(redisConnection, reservation)) {
+    return reservation;
+  }
+
+  await job.log(`Live call cap (${getMaxLiveCalls()}) reached`);
+  await deferJob(job, token, new Date(Date.now() + LIVE_CALL_RECHECK_MS), {
+    reason: 'live_call_cap_reached',
+    maxLiveCalls: getMaxLiveCalls()
+  });
+}
+
+/**
+ * Defer a call job that falls outside the lead's local calling window
+ * The timezone comes from the lead's timezone field, else the phone number's area code
+ * or country code, else DEFAULT_LEAD_TIMEZONE. A lead whose timezone cannot be worked out is
+ * never dialled: the job fails without retries.
+ * @param {Object} job - BullMQ job
+ * @param {string} token - Worker lock token for the job
+ * @param {Object} models - Database models
+ * @returns {Promise<void>} Resolves when the lead may be called now
+ */
+async function enforceCallingWindow(job, token, models) {
+  const { to, lead_id, metadata = {} } = job.data;
+
+  let lead = null;
+  if (models && lead_id) {
+    try {
+      lead = await models.Lead.findById(lead_id);
+    } catch (error) {
+      console.warn(`⚠️  Could not load lead ${lead_id} for calling window check:`, error.message);
+    }
+  }
+
+  let resolved = resolveLeadTimezone(lead, to);
+  const defaultTimezone = resolved ? null : getDefaultLeadTimezone();
+  if (defaultTimezone) {
+    resolved = { timezone: defaultTimezone, source: 'default' };
+  }
+  if (!resolved) {
+    console.warn(`🚫 Call job ${job.id} rejected: unknown timezone for ${to}`);
+    throw new UnrecoverableError(`Unknown timezone for ${to}: set the lead's timezone or DEFAULT_LEAD_TIMEZONE`);
+  }
+
+  const window = resolveCallingWindow(metadata.callingWindow);
+  const status = getCallingWindowStatus(resolved.timezone, window);
+  if (status.allowed) {
+    return;
+  }
+
+  await deferJob(job, token, status.nextAllowedAt, {
+    reason: 'outside_lead_calling_window',
+    timezone: resolved.timezone,
+    timezoneSource: resolved.source,
+    localTime: status.localTime,
+    window
+  });
+}
+
+/**
+ * Run a campaign: select its leads and queue a call for each
+ * @param {Object} job - BullMQ job ({ campaignId })
+ * @param {Object} models - Database models
+ * @returns {Promise<Object>} Run result
+ */
+async function runCampaignJob(job, models) {
+  const { campaignId } = job.data;
+
+  if (!models) {
+    throw new Error('Database models are required to run campaigns');
+  }
+
+  const campaign = await models.Campaign.findById(campaignId);
+  if (!campaign || campaign.status !== 'running') {
+    console.log(`📣 Skipping campaign ${campaignId} run: campaign is ${campaign ? campaign.status : 'deleted'}`);
+    return { success: true, campaignId, skipped: true, scheduled: 0 };
+  }
+
+  const schedule = campaign.schedule || {};
+  if (schedule.end_at && new Date(schedule.end_at).getTime() < Date.now()) {
+    await stopCampaignSchedule(campaign.id);
+    await models.Campaign.updateStatus(campaign.id, 'completed');
+    console.log(`📣 ✅ Campaign ${campaign.id} completed: end date reached`);
+    return { success: true, campaignId, completed: true, scheduled: 0 };
+  }
+
+  // Recurring campaigns call a batch per run; one-off campaigns take every matching lead up front
+  const limit = schedule.batch_size || (schedule.cron ? 50 : 1000);
+  const { data: leads, truncated } = await models.Lead.findCallable(buildCampaignLeadFilter(campaign), limit);
+  if (truncated) {
+    console.warn(`⚠️  Campaign ${campaign.id}: ${TRUNCATED_SCAN_MESSAGE}`);
+  }
+  const { allowed, blocked } = await filterDoNotCall(models, leads, lead => lead.phone);
+
+  if (blocked.length > 0) {
+    console.log(`🚫 Campaign ${campaign.id}: skipping ${blocked.length} leads on the Do-Not-Call list`);
+  }
+
+  const { jobs, skipped } = allowed.length > 0
+    ? await scheduleCampaignCalls(campaign, allowed)
+    : { jobs: [], skipped: [] };
+  await models.Campaign.update(campaign.id, { last_run_at: new Date().toISOString() });
+
+  // A one-off campaign with nothing to call (and no calls still pending) is done,
+  // unless the lead scan stopped before it had seen every lead
+  if (jobs.length === 0 && skipped.length === 0 && !schedule.cron && !truncated) {
+    await models.Campaign.updateStatus(campaign.id, 'completed');
+    console.log(`📣 ✅ Campaign ${campaign.id} completed: no leads to call`);
+  }
+
+  console.log(`📣 Campaign ${campaign.id} run: scheduled ${jobs.length} calls`);
+
+  return {
+    success: true,
+    campaignId: campaign.id,
+    scheduled: jobs.length,
+    skippedDoNotCall: blocked.length,
+    skippedDuplicates: skipped.length,
+    truncated,
+    jobIds: jobs.map(j => j.jobId)
+  };
+}
+
+/**
+ * Mark a one-off campaign completed once none of its calls are pending
+ * Leads waiting for a retry keep the campaign running until the retry has been placed.
+ * @param {Object} job - Finished campaign call job
+ * @param {Object} models - Database models
+ * @returns {Promise<void>}
+ */
+async function completeCampaignIfDone(job, models) {
+  const campaignId = job && job.data.campaign_id;
+  if (!models || !campaignId) {
+    return;
+  }
+
+  try {
+    const campaign = await models.Campaign.findById(campaignId);
+    if (!campaign || campaign.status !== 'running' || (campaign.schedule || {}).cron) {
+      return;
+    }
+
+    if (await countPendingCampaignJobs(campaignId) > 0) {
+      return;
+    }
+
+    const pendingRetries = await models.Lead.countPendingRetries(campaignId);
+    if (pendingRetries === 0) {
+      await models.Campaign.updateStatus(campaignId, 'completed');
+      console.log(`📣 ✅ Campaign ${campaignId} completed: all calls processed`);
+    }
+  } catch (error) {
+    console.error(`Error checking campaign ${campaignId} completion:`, error.message);
+  }
+}
+
+/**
+ * Clear the pending retry of a lead whose retry call failed for good
+ * Otherwise the lead's next_retry_at would keep its campaign from completing.
+ * @param {Object} job - Failed call job
+ * @param {Object} models - Database models
+ * @returns {Promise<void>}
+ */
+async function clearPendingRetry(job, models) {
+  const metadata = (job && job.data.metadata) || {};
+  if (!models || !job.data.lead_id || !metadata.retryOf) {
+    return;
+  }
+
+  try {
+    await models.Lead.update(job.data.lead_id, { next_retry_at: null });
+  } catch (error) {
+    console.error(`Could not clear pending retry of lead ${job.data.lead_id}:`, error.message);
+  }
+}
+
 /**
  * Handle automation job (fetch-and-schedule-leads)
  * @param {Object} job - BullMQ job
@@ -33,40 +391,43 @@ const publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000';
  * @returns {Promise<Object>} Result
  */
 async function handleAutomationJob(job, models, supabase) {
-  const { message, priority, leadLimit } = job.data;
+  const { message, priority, leadLimit, leadFilter = DEFAULT_LEAD_FILTER } = job.data;
 
   console.log(`⏰ Running automation job: fetch and schedule leads (limit: ${leadLimit})`);
   
   try {
-    if (!supabase || !models) {
-      throw new Error('Supabase client and models are required');
+    if (!models) {
+      throw new Error('Database models are required');
     }
 
-    // Fetch new leads
-    const { data: newLeads, error } = await supabase
-      .from('leads')
-      .select('*')
-      .eq('lead_status', 'new')
-      .is('call_sid', null)
-      .limit(leadLimit);
-
-    if (error) {
-      throw error;
+    // Select leads matching the automation's filter, in its order
+    const { data: newLeads, truncated } = await models.Lead.findCallable(leadFilter, leadLimit);
+    if (truncated) {
+      console.warn(`⚠️  ${TRUNCATED_SCAN_MESSAGE}`);
     }
 
     if (!newLeads || newLeads.length === 0) {
       console.log('📋 No new leads to call');
       return {
         success: true,
-        message: 'No new leads to call',
-        scheduled: 0
+        message: truncated ? TRUNCATED_SCAN_MESSAGE : 'No new leads to call',
+        scheduled: 0,
+        truncated
       };
     }
 
     console.log(`📋 Found ${newLeads.length} new leads to call`);
 
-    // Filter leads with phone numbers
-    const leadsToCall = newLeads.filter(lead => lead.phone);
+    // Filter leads with phone numbers, skipping numbers on the Do-Not-Call list
+    const { allowed: leadsToCall, blocked } = await filterDoNotCall(
+      models,
+      newLeads.filter(lead => lead.phone),
+      lead => lead.phone
+    );
+
+    if (blocked.length > 0) {
+      console.log(`🚫 Skipping ${blocked.length} leads on the Do-Not-Call list`);
+    }
 
     if (leadsToCall.length === 0) {
       return {
@@ -76,52 +437,37 @@ async function handleAutomationJob(job, models, supabase) {
       };
     }
 
-    // Schedule calls for each lead using direct queue access
-    const { Queue } = require('bullmq');
-    const Redis = require('ioredis');
-    const callQueue = new Queue('outbound-calls', {
-      connection: new Redis({
-        host: process.env.REDIS_HOST || 'localhost',
-        port: process.env.REDIS_PORT || 6379,
-        password: process.env.REDIS_PASSWORD || undefined,
-        maxRetriesPerRequest: null,
-        enableReadyCheck: false
-      })
-    });
-
-    const jobs = [];
-    for (const lead of leadsToCall) {
-      const job = await callQueue.add(
-        'make-call',
-        {
-          to: lead.phone,
-          message,
-          lead_id: lead.id,
-          priority: priority || 'normal',
-          type: 'automation',
-          metadata: {
-            automationRun: true,
-            scheduledAt: new Date().toISOString()
-          }
-        },
-        {
-          priority: priority === 'high' ? 10 : priority === 'low' ? 1 : 5,
-          removeOnComplete: { age: 3600 },
-          removeOnFail: { age: 86400 }
+    // Schedule calls for each lead, skipping leads that already have a pending call
+    const { added: jobs, skipped } = await addCallJobs(leadsToCall.map(lead => ({
+      name: 'make-call',
+      data: {
+        to: lead.phone,
+        message,
+        lead_id: lead.id,
+        priority: priority || 'normal',
+        type: 'automation',
+        metadata: {
+          automationRun: true,
+          automationId: job.data.automationId || null,
+          scheduledAt: new Date().toISOString()
         }
-      );
-      jobs.push(job);
-    }
+      },
+      opts: {
+        priority: priority === 'high' ? 10 : priority === 'low' ? 1 : 5,
+        removeOnComplete: { age: 3600 },
+        removeOnFail: { age: 86400 }
+      }
+    })));
 
     console.log(`✅ Scheduled ${jobs.length} calls for automation`);
-    
-    await callQueue.close();
 
     return {
       success: true,
       message: `Scheduled ${jobs.length} calls for new leads`,
       scheduled: jobs.length,
+      skippedDuplicates: skipped.length,
       leads: leadsToCall.length,
+      truncated,
       jobIds: jobs.map(j => j.id)
     };
   } catch (error) {
@@ -130,12 +476,99 @@ async function handleAutomationJob(job, models, supabase) {
   }
 }
 
+/**
+ * Run an automation job and record its result on the automation
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<Object>} Result
+ */
+async function runAutomationJob(job, models, supabase) {
+  const { automationId } = job.data;
+  const startedAt = new Date().toISOString();
+
+  try {
+    const result = await handleAutomationJob(job, models, supabase);
+    if (automationId) {
+      await recordAutomationRun(automationId, {
+        status: 'completed',
+        jobId: job.id,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        scheduled: result.scheduled,
+        message: result.message
+      });
+    }
+    return result;
+  } catch (error) {
+    if (automationId) {
+      await recordAutomationRun(automationId, {
+        status: 'failed',
+        jobId: job.id,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        scheduled: 0,
+        error: error.message
+      }).catch(recordError => {
+        console.error(`Could not record run of automation ${automationId}:`, recordError.message);
+      });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Choose the number a call job dials from
+ * An explicit caller ID (metadata.callerId, e.g. a campaign's fixed number) wins;
+ * otherwise the caller ID pool picks a local number, falling back to TWILIO_PHONE_NUMBER.
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @returns {Promise<Object>} { phoneNumber, pooled } (pooled numbers count against their daily cap)
+ */
+async function resolveCallerId(job, models) {
+  const { to, campaign_id, metadata = {} } = job.data;
+  if (metadata.callerId) {
+    return { phoneNumber: metadata.callerId, pooled: false };
+  }
+
+  try {
+    const pooled = await selectCallerId(models, redisConnection, { to, campaignId: campaign_id });
+    if (pooled) {
+      return { phoneNumber: pooled, pooled: true };
+    }
+  } catch (error) {
+    console.warn('⚠️  Caller ID pool unavailable, using TWILIO_PHONE_NUMBER:', error.message);
+  }
+
+  return { phoneNumber: twilioPhoneNumber, pooled: false };
+}
+
+/**
+ * Refund a pooled caller ID whose call was never placed
+ * Otherwise every failed attempt (and its BullMQ retry) would use up the number's daily cap.
+ * @param {Object} callerId - Result of resolveCallerId (null if none was chosen)
+ * @returns {Promise<void>}
+ */
+async function refundCallerId(callerId) {
+  if (!callerId || !callerId.pooled) {
+    return;
+  }
+
+  try {
+    await releaseCallerId(redisConnection, callerId.phoneNumber);
+  } catch (error) {
+    console.warn(`⚠️  Could not refund caller ID ${callerId.phoneNumber}:`, error.message);
+  }
+}
+
 /**
  * Process a call job
  * @param {Object} job - BullMQ job
+ * @param {Object} options - Call options
+ * @param {string} options.from - Caller ID to dial from (default: metadata.callerId or TWILIO_PHONE_NUMBER)
  * @returns {Promise<Object>} Call result
  */
-async function processCallJob(job) {
+async function processCallJob(job, options = {}) {
   const { to, message, lead_id, priority, metadata, type } = job.data;
   
   console.log(`📞 Processing ${type} call to ${to}...`);
@@ -163,9 +596,27 @@ async function processCallJob(job) {
       }
     }
     
+    // Pass the lead through TwiML so the session can load its context
+    if (lead_id) {
+      urlParams.append('leadId', lead_id);
+    }
+    
+    // Pass the agent profile through TwiML to the media stream session
+    if (metadata && metadata.agentProfileId) {
+      urlParams.append('agentProfileId', metadata.agentProfileId);
+    }
+    
+    // With AMD on, the TwiML endpoint leaves this voicemail when a machine answers
+    const machineDetection = getMachineDetectionSettings(job.data);
+    if (machineDetection && machineDetection.voicemailUrl) {
+      urlParams.append('voicemailUrl', machineDetection.voicemailUrl);
+    } else if (machineDetection && machineDetection.voicemailMessage) {
+      urlParams.append('voicemailMessage', machineDetection.voicemailMessage);
+    }
+    
     // Make the Twilio call with recording enabled
     const call = await twilioClient.calls.create({
-      from: twilioPhoneNumber,
+      from: options.from || (metadata && metadata.callerId) || twilioPhoneNumber,
       to: to,
       url: `${publicUrl}/media-stream-twiml?${urlParams.toString()}`,
       statusCallback: `${publicUrl}/call-events`,
@@ -176,21 +627,20 @@ async function processCallJob(job) {
       recordingStatusCallback: `${publicUrl}/recording-status`,
       recordingStatusCallbackMethod: 'POST',
       recordingStatusCallbackEvent: ['completed'],
-      timeout: 30
+      timeout: 30,
+      ...(machineDetection ? { machineDetection: 'DetectMessageEnd' } : {})
     });
 
     await job.updateProgress(80);
 
     console.log(`📞 ✅ Call initiated: ${call.sid} to ${to}`);
 
-    // Update job progress
-    await job.updateProgress(100);
-
     // Return success result
     return {
       success: true,
       callSid: call.sid,
       to: to,
+      from: call.from,
       status: call.status,
       lead_id,
       priority,
@@ -206,6 +656,218 @@ async function processCallJob(job) {
   }
 }
 
+/**
+ * Describe how a call ended
+ * @param {Object} outcome - { status, answeredBy }
+ * @returns {string} answered, voicemail, no-answer, busy, failed, canceled, or the raw status
+ */
+function describeCallOutcome({ status, answeredBy }) {
+  if (answeredBy && answeredBy.startsWith('machine')) {
+    return 'voicemail';
+  }
+  return status === 'completed' ? 'answered' : status;
+}
+
+/**
+ * Summarize a finished call and store its disposition
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @returns {Promise<Object>} Summary result
+ */
+async function processSummaryJob(job, models) {
+  const { callSid, transcript = [] } = job.data;
+
+  if (!models) {
+    throw new Error('Database models are required for call summaries');
+  }
+
+  console.log(`📝 Summarizing call ${callSid} (${transcript.length} transcript entries)...`);
+  const result = await summarizeTranscript(transcript);
+
+  // Link the summary to the call event and lead
+  const callEvent = await models.CallEvent.findByCallSid(callSid);
+  let leadId = job.data.leadId || (callEvent && callEvent.lead_id) || null;
+  if (!leadId) {
+    const lead = await models.Lead.findByCallSid(callSid);
+    leadId = lead ? lead.id : null;
+  }
+
+  const summary = await models.CallSummary.upsert({
+    call_sid: callSid,
+    call_event_id: callEvent ? callEvent.id : null,
+    lead_id: leadId,
+    ...result
+  });
+
+  // Keep the lead's status in step with the call outcome
+  // (no_conversation leaves statuses such as 'voicemail' untouched, and do_not_call is never overwritten)
+  let leadStatus = result.outcome !== 'no_conversation' ? OUTCOME_LEAD_STATUS[result.outcome] : null;
+  if (leadId && leadStatus) {
+    const lead = await models.Lead.findById(leadId);
+    if (lead && lead.lead_status === 'do_not_call') {
+      leadStatus = null;
+    }
+  }
+  if (leadId && leadStatus) {
+    await models.Lead.update(leadId, {
+      lead_status: leadStatus,
+      last_contacted_at: new Date().toISOString()
+    });
+  }
+
+  console.log(`📝 ✅ Call ${callSid} summarized: ${result.outcome}`);
+
+  return {
+    success: true,
+    callSid,
+    summaryId: summary.id,
+    outcome: result.outcome,
+    nextAction: result.next_action,
+    leadId,
+    leadStatus
+  };
+}
+
+/**
+ * Work out and store what a finished call cost
+ * @param {Object} job - BullMQ job
+ * @param {Object} models - Database models
+ * @returns {Promise<Object>} Cost result
+ */
+async function processCostJob(job, models) {
+  const { callSid } = job.data;
+
+  if (!models) {
+    throw new Error('Database models are required for call costs');
+  }
+
+  const cost = await computeCallCost(models, twilioClient, callSid);
+  console.log(`💲 Call ${callSid} cost ${cost.total_cost} ${cost.currency} (Twilio price from ${cost.twilio_cost_source})`);
+
+  return {
+    success: true,
+    callSid,
+    totalCost: cost.total_cost,
+    currency: cost.currency
+  };
+}
+
+/**
+ * Create and start the post-call worker (summaries, dispositions and costs)
+ * @param {Object} models - Database models
+ * @returns {Worker} Worker instance
+ */
+function createPostCallWorker(models = null) {
+  const worker = new Worker('post-call', async (job) => {
+    if (job.name === 'summarize-call') {
+      return processSummaryJob(job, models);
+    }
+    if (job.name === 'calculate-call-cost') {
+      return processCostJob(job, models);
+    }
+    throw new Error(`Unknown post-call job: ${job.name}`);
+  }, {
+    connection: redisConnection,
+    concurrency: parseInt(process.env.POST_CALL_WORKER_CONCURRENCY || 2)
+  });
+
+  worker.on('failed', (job, error) => {
+    console.error(`📝 ❌ Post-call job ${job?.id} failed:`, error.message);
+  });
+
+  worker.on('error', (error) => {
+    console.error('📝 ❌ Post-call worker error:', error);
+  });
+
+  console.log('📝 👷 Post-call worker started');
+
+  return worker;
+}
+
+/**
+ * Park a call job in the delayed set until its call ends
+ * The job gives up its worker slot while the call is live; /call-events wakes it up
+ * (see publishCallOutcome) and CALL_OUTCOME_TIMEOUT_MS is only the fallback.
+ * @param {Object} job - BullMQ job (job.data.callSid set)
+ * @param {string} token - Worker lock token for the job
+ * @returns {Promise<never>} Always throws DelayedError to tell BullMQ the job was moved
+ */
+async function parkCallJob(job, token) {
+  const { callSid } = job.data;
+
+  await job.updateData({ ...job.data, step: 'awaiting_outcome' });
+  await linkCallJob(callSid, job.id);
+  await job.moveToDelayed(Date.now() + CALL_OUTCOME_TIMEOUT_MS, token);
+
+  // The call may have ended before the job was parked
+  if (await getCallOutcome(callSid)) {
+    await wakeCallJob(job.id);
+  }
+
+  console.log(`📞 ⏸️  Call job ${job.id} waiting for call ${callSid} to end`);
+  throw new DelayedError();
+}
+
+/**
+ * Finish a call job whose call was placed, once the call has ended
+ * Uses the outcome published by /call-events; without one (the park timed out) Twilio is
+ * asked for the call's status, and a call still in progress parks the job again.
+ * @param {Object} job - BullMQ job (job.data.callSid set)
+ * @param {string} token - Worker lock token for the job
+ * @param {Object} models - Database models (used to look up the AMD result)
+ * @returns {Promise<Object>} Call result with status, outcome and duration
+ */
+async function finishCallJob(job, token, models) {
+  const { callSid } = job.data;
+
+  let outcome = await getCallOutcome(callSid);
+  if (outcome) {
+    outcome.timedOut = false;
+  } else {
+    console.warn(`📞 ⚠️  No final status for call ${callSid} after ${CALL_OUTCOME_TIMEOUT_MS}ms, asking Twilio`);
+    const call = await twilioClient.calls(callSid).fetch();
+    if (!TERMINAL_STATUSES.includes(call.status)) {
+      return parkCallJob(job, token);
+    }
+    outcome = {
+      status: call.status,
+      duration: parseInt(call.duration) || 0,
+      answeredBy: call.answeredBy || null,
+      timedOut: true
+    };
+  }
+
+  await releaseLiveCall(redisConnection, callSid);
+
+  let answeredBy = outcome.answeredBy || null;
+  if (!answeredBy && models) {
+    try {
+      const callEvent = await models.CallEvent.findByCallSid(callSid);
+      answeredBy = callEvent ? callEvent.answered_by || null : null;
+    } catch (error) {
+      console.warn(`⚠️  Could not load call event ${callSid}:`, error.message);
+    }
+  }
+
+  await job.updateProgress(100);
+
+  return {
+    success: true,
+    callSid,
+    to: job.data.to,
+    from: job.data.callFrom || null,
+    lead_id: job.data.lead_id,
+    priority: job.data.priority,
+    metadata: job.data.metadata,
+    status: outcome.status,
+    outcome: describeCallOutcome({ status: outcome.status, answeredBy }),
+    duration: parseInt(outcome.duration) || 0,
+    answeredBy,
+    outcomeTimedOut: outcome.timedOut,
+    endedAt: new Date().toISOString()
+  };
+}
+
 /**
  * Create and start the worker
  * @param {Object} models - Database models for logging
@@ -213,26 +875,90 @@ async function processCallJob(job) {
  * @returns {Worker} Worker instance
  */
 function createCallWorker(models = null, supabase = null) {
-  const worker = new Worker('outbound-calls', async (job) => {
+  const worker = new Worker('outbound-calls', async (job, token) => {
     // Handle different job types
     if (job.name === 'fetch-and-schedule-leads') {
-      return handleAutomationJob(job, models, supabase);
+      return runAutomationJob(job, models, supabase);
+    }
+    if (job.name === 'run-campaign') {
+      return runCampaignJob(job, models);
+    }
+    
+    // A job that already placed its call (woken up when the call ended, or picked up again
+    // after a worker restart) must not dial twice or be held back by the pre-dial checks
+    if (job.data.callSid) {
+      return finishCallJob(job, token, models);
+    }
+    
+    // Recurring runs are not queued through addCallJobs: skip a run whose lead already has a pending call
+    if (job.data.type === 'recurring') {
+      const existingJobId = await claimLeadLockForJob(job);
+      if (existingJobId) {
+        console.log(`📞 ⏭️  Skipping recurring call job ${job.id}: lead ${job.data.lead_id} already has pending job ${existingJobId}`);
+        return { success: true, skipped: true, reason: 'Lead already has a pending call', existingJobId };
+      }
+    }
+    
+    // Never dial numbers on the Do-Not-Call list
+    await enforceDoNotCall(job, models);
+    
+    // Hold calls of paused campaigns, drop calls of cancelled ones
+    if (await enforceCampaignStatus(job, models)) {
+      return { success: true, held: true, campaignId: job.data.campaign_id };
+    }
+    
+    // Choose the number to dial from first: its business calendar decides when the call may go out
+    const callerId = await resolveCallerId(job, models);
+    let reservation;
+    try {
+      // Hold the call until the next allowed window when outside business hours
+      await enforceBusinessHours(job, token, models, callerId.phoneNumber);
+      
+      // Never dial a lead outside their local calling hours
+      await enforceCallingWindow(job, token, models);
+      
+      // Wait for a free live call slot
+      reservation = await enforceLiveCallCap(job, token);
+    } catch (error) {
+      // Deferred or rejected: the pooled number is picked again on the next attempt
+      await refundCallerId(callerId);
+      throw error;
     }
     
     // Default: process as call job
-    const result = await processCallJob(job);
+    let result;
+    try {
+      result = await processCallJob(job, { from: callerId.phoneNumber });
+    } catch (error) {
+      await releaseLiveCall(redisConnection, reservation);
+      await refundCallerId(callerId);
+      throw error;
+    }
+    await convertLiveCallSlot(redisConnection, reservation, result.callSid);
+    await job.updateData({ ...job.data, callSid: result.callSid, callFrom: result.from });
     
     // Log to database if models are available
     if (models && result.success) {
       try {
+        // Link the call to its lead, campaign and job so /call-events can retry unanswered calls
+        const { deferral, scheduledAt, callSid, callFrom, step, ...callRequest } = job.data;
+        await models.CallEvent.recordOutboundCall(result.callSid, {
+          lead_id: result.lead_id,
+          campaign_id: job.data.campaign_id,
+          job_id: job.id,
+          attempt_number: (result.metadata && result.metadata.callAttempt) || 1,
+          call_request: callRequest,
+          from_number: result.from,
+          to_number: result.to
+        });
+
         // Update lead with call information
         if (result.lead_id) {
-          // Update lead with call_sid and mark as contacted
+          // Update lead with call_sid and mark as contacted (notes are kept for the agent's context)
           await models.Lead.update(result.lead_id, {
             call_sid: result.callSid,
             lead_status: 'contacted',
-            last_contacted_at: new Date().toISOString(),
-            notes: `Outbound call ${result.callSid} initiated`
+            last_contacted_at: new Date().toISOString()
           });
           console.log(`✅ Updated lead ${result.lead_id} with call_sid ${result.callSid}`);
         }
@@ -242,10 +968,12 @@ function createCallWorker(models = null, supabase = null) {
       }
     }
     
-    return result;
+    // Free the worker slot while the call is live
+    await job.updateProgress(90);
+    return parkCallJob(job, token);
   }, {
     connection: redisConnection,
-    concurrency: parseInt(process.env.CALL_WORKER_CONCURRENCY || 5), // Process up to 5 calls simultaneously
+    concurrency: parseInt(process.env.CALL_WORKER_CONCURRENCY || 5), // Dial up to 5 calls simultaneously
     limiter: {
       max: 10, // Maximum 10 jobs
       duration: 60000 // per 60 seconds (rate limiting)
@@ -255,10 +983,23 @@ function createCallWorker(models = null, supabase = null) {
   // Worker event listeners
   worker.on('completed', (job, result) => {
     console.log(`📞 ✅ Worker completed job ${job.id}:`, result.callSid);
+    releaseLeadLock(job).catch(error => console.error(`Could not release lead lock of job ${job.id}:`, error.message));
+    recordCampaignJobResult(job, 'completed')
+      .catch(error => console.error(`Could not record result of job ${job.id}:`, error.message))
+      .then(() => completeCampaignIfDone(job, models));
   });
 
   worker.on('failed', (job, error) => {
     console.error(`📞 ❌ Worker failed job ${job?.id}:`, error.message);
+    // Jobs with attempts left are retried and keep their lead lock
+    if (job && (error instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1))) {
+      releaseLeadLock(job).catch(lockError => console.error(`Could not release lead lock of job ${job.id}:`, lockError.message));
+      Promise.all([
+        recordCampaignJobResult(job, 'failed')
+          .catch(resultError => console.error(`Could not record result of job ${job.id}:`, resultError.message)),
+        clearPendingRetry(job, models)
+      ]).then(() => completeCampaignIfDone(job, models));
+    }
   });
 
   worker.on('error', (error) => {
@@ -275,18 +1016,39 @@ function createCallWorker(models = null, supabase = null) {
 }
 
 /**
- * Close worker gracefully
+ * Close workers gracefully
+ * Stops picking up new jobs and waits up to WORKER_DRAIN_TIMEOUT_MS for active jobs to
+ * finish. Jobs still running after that are abandoned; their locks expire and another
+ * worker picks them up (a job that already dialled never dials again).
  * @param {Worker} worker - Worker instance
+ * @param {...Worker} otherWorkers - Additional workers sharing the connection
  * @returns {Promise<void>}
  */
-async function closeWorker(worker) {
-  await worker.close();
+async function closeWorker(worker, ...otherWorkers) {
+  const workers = [worker, ...otherWorkers].filter(Boolean);
+  const drainTimeoutMs = parseInt(process.env.WORKER_DRAIN_TIMEOUT_MS || 25000);
+
+  let timer;
+  const drained = await Promise.race([
+    Promise.all(workers.map(w => w.pause())).then(() => true),
+    new Promise(resolve => {
+      timer = setTimeout(() => resolve(false), drainTimeoutMs);
+    })
+  ]);
+  clearTimeout(timer);
+
+  if (!drained) {
+    console.warn(`📞 ⚠️  Active jobs still running after ${drainTimeoutMs}ms, closing workers anyway`);
+  }
+
+  await Promise.all(workers.map(w => w.close(!drained)));
   await redisConnection.quit();
   console.log('📞 🔌 Worker closed');
 }
 
 module.exports = {
   createCallWorker,
+  createPostCallWorker,
   closeWorker,
   processCallJob
 };
@@ -0,0 +1,245 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { isUniqueViolation } = require('../utils/defaultRecord');
+
+/**
+ * Agent Profile Routes
+ * CRUD for named AI agent profiles (prompt, voice, temperature, turn detection, greeting)
+ */
+
+const VALID_VOICES = ['alloy', 'ash', 'ballad', 'coral', 'echo', 'sage', 'shimmer', 'verse'];
+
+const PROFILE_FIELDS = [
+  'name',
+  'description',
+  'system_prompt',
+  'voice',
+  'temperature',
+  'turn_detection',
+  'greeting',
+  'speak_first',
+  'inbound_numbers',
+  'is_default'
+];
+
+/**
+ * Validate profile fields
+ * @param {Object} data - Profile fields from the request body
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateProfile(data) {
+  if (data.voice !== undefined && !VALID_VOICES.includes(data.voice)) {
+    return `Invalid voice. Supported voices: ${VALID_VOICES.join(', ')}`;
+  }
+  if (data.temperature !== undefined) {
+    const temperature = Number(data.temperature);
+    if (isNaN(temperature) || temperature < 0.6 || temperature > 1.2) {
+      return 'Temperature must be between 0.6 and 1.2';
+    }
+  }
+  if (data.turn_detection !== undefined && data.turn_detection !== null && typeof data.turn_detection !== 'object') {
+    return 'turn_detection must be an object';
+  }
+  if (data.inbound_numbers !== undefined && !Array.isArray(data.inbound_numbers)) {
+    return 'inbound_numbers must be an array of phone numbers';
+  }
+  return null;
+}
+
+/**
+ * Pick known profile fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Profile fields that were provided
+ */
+function pickProfileFields(body) {
+  const data = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Create agent profile router with initialized models
+ * @param {Object} models - Initialized database models
+ * @returns {Object} Express router
+ */
+function createAgentProfileRoutes(models) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/agent-profiles
+   * @desc    List all agent profiles
+   * @access  Private
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    try {
+      const profiles = await models.AgentProfile.findAll();
+      res.json({
+        success: true,
+        count: profiles.length,
+        data: profiles
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch agent profiles',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/agent-profiles/:id
+   * @desc    Get a single agent profile
+   * @access  Private
+   */
+  router.get('/:id', verifyToken, async (req, res) => {
+    try {
+      const profile = await models.AgentProfile.findById(req.params.id);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Agent profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: profile
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch agent profile',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/agent-profiles
+   * @desc    Create an agent profile
+   * @access  Private (admin or manager)
+   * @body    { name, system_prompt, voice, temperature, turn_detection, greeting, speak_first, inbound_numbers, is_default }
+   */
+  router.post('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    const data = pickProfileFields(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Profile name is required'
+      });
+    }
+
+    const validationError = validateProfile(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const profile = await models.AgentProfile.create(data);
+      res.status(201).json({
+        success: true,
+        message: 'Agent profile created successfully',
+        data: profile
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An agent profile with this name already exists',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create agent profile',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/agent-profiles/:id
+   * @desc    Update an agent profile
+   * @access  Private (admin or manager)
+   */
+  router.put('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    const data = pickProfileFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const validationError = validateProfile(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const profile = await models.AgentProfile.update(req.params.id, data);
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          error: 'Agent profile not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Agent profile updated successfully',
+        data: profile
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'An agent profile with this name already exists',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update agent profile',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/agent-profiles/:id
+   * @desc    Delete an agent profile
+   * @access  Private (admin)
+   */
+  router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await models.AgentProfile.delete(req.params.id);
+      res.json({
+        success: true,
+        message: 'Agent profile deleted successfully',
+        id: req.params.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete agent profile',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createAgentProfileRoutes;
@@ -0,0 +1,254 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { validateCalendar, getBusinessHoursStatus } = require('../utils/businessHours');
+const { isUniqueViolation } = require('../utils/defaultRecord');
+
+/**
+ * Business Calendar Routes
+ * Manage business hours, holidays and timezones for call routing
+ */
+
+const CALENDAR_FIELDS = ['name', 'timezone', 'weekly_hours', 'holidays', 'phone_numbers', 'after_hours_flow_id', 'is_default'];
+
+/**
+ * Pick known calendar fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Calendar fields that were provided
+ */
+function pickCalendarFields(body) {
+  const data = {};
+  CALENDAR_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Create business calendar router with initialized models
+ * @param {Object} models - Initialized database models
+ * @returns {Object} Express router
+ */
+function createBusinessCalendarRoutes(models) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/business-calendars
+   * @desc    List all calendars with their current open/closed status
+   * @access  Private
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    try {
+      const calendars = await models.BusinessCalendar.findAll();
+      res.json({
+        success: true,
+        count: calendars.length,
+        data: calendars.map(calendar => ({
+          ...calendar,
+          status: getBusinessHoursStatus(calendar)
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch business calendars',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/business-calendars/:id
+   * @desc    Get a single calendar
+   * @access  Private
+   */
+  router.get('/:id', verifyToken, async (req, res) => {
+    try {
+      const calendar = await models.BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business calendar not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: calendar
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch business calendar',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/business-calendars/:id/status
+   * @desc    Check whether a calendar is open (now, or at ?at=ISO timestamp) and when it next opens
+   * @access  Private
+   */
+  router.get('/:id/status', verifyToken, async (req, res) => {
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    if (isNaN(at.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid "at" timestamp'
+      });
+    }
+
+    try {
+      const calendar = await models.BusinessCalendar.findById(req.params.id);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business calendar not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          calendarId: calendar.id,
+          at: at.toISOString(),
+          ...getBusinessHoursStatus(calendar, at)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check business hours',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/business-calendars
+   * @desc    Create a calendar
+   * @access  Private (admin)
+   * @body    { name, timezone, weekly_hours, holidays, phone_numbers, after_hours_flow_id, is_default }
+   */
+  router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickCalendarFields(req.body);
+
+    if (!data.name || !data.timezone) {
+      return res.status(400).json({
+        success: false,
+        error: 'Calendar name and timezone are required'
+      });
+    }
+
+    const validationErrors = validateCalendar(data);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid business calendar',
+        validationErrors
+      });
+    }
+
+    try {
+      const calendar = await models.BusinessCalendar.create(data);
+      res.status(201).json({
+        success: true,
+        message: 'Business calendar created successfully',
+        data: calendar
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A business calendar with this name already exists',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create business calendar',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/business-calendars/:id
+   * @desc    Update a calendar (hours, holidays, timezone or assigned numbers)
+   * @access  Private (admin)
+   */
+  router.put('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickCalendarFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const validationErrors = validateCalendar(data);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid business calendar',
+        validationErrors
+      });
+    }
+
+    try {
+      const calendar = await models.BusinessCalendar.update(req.params.id, data);
+      if (!calendar) {
+        return res.status(404).json({
+          success: false,
+          error: 'Business calendar not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Business calendar updated successfully',
+        data: calendar
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'A business calendar with this name already exists',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update business calendar',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/business-calendars/:id
+   * @desc    Delete a calendar
+   * @access  Private (admin)
+   */
+  router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await models.BusinessCalendar.delete(req.params.id);
+      res.json({
+        success: true,
+        message: 'Business calendar deleted successfully',
+        id: req.params.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete business calendar',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createBusinessCalendarRoutes;
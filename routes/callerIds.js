@@ -0,0 +1,187 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { getDailyUsage } = require('../utils/callerIdPool');
+
+/**
+ * Caller ID Routes
+ * Manage the pool of outbound numbers used for local-presence caller ID
+ */
+
+const CALLER_ID_FIELDS = ['phone_number', 'label', 'campaign_id', 'daily_cap', 'is_active'];
+
+/**
+ * Pick known caller ID fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Caller ID fields that were provided
+ */
+function pickCallerIdFields(body) {
+  const data = {};
+  CALLER_ID_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Validate caller ID fields
+ * @param {Object} data - Caller ID fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCallerId(data) {
+  if (data.phone_number !== undefined && !/^\+[1-9]\d{6,14}$/.test(data.phone_number)) {
+    return 'phone_number must be in E.164 format';
+  }
+  if (data.daily_cap !== undefined && (!Number.isInteger(data.daily_cap) || data.daily_cap < 1)) {
+    return 'daily_cap must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Create caller ID router with initialized models
+ * @param {Object} models - Initialized database models
+ * @param {Object} redis - ioredis client holding daily usage counters
+ * @returns {Object} Express router
+ */
+function createCallerIdRoutes(models, redis) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/caller-ids
+   * @desc    List the caller ID pool with today's usage per number
+   * @access  Private
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    try {
+      const callerIds = await models.CallerId.findAll();
+      const usage = await getDailyUsage(redis, callerIds.map(callerId => callerId.phone_number));
+
+      res.json({
+        success: true,
+        count: callerIds.length,
+        data: callerIds.map(callerId => ({
+          ...callerId,
+          used_today: usage[callerId.phone_number] || 0
+        }))
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch caller IDs',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/caller-ids
+   * @desc    Add a number to the pool
+   * @access  Private (admin)
+   * @body    { phone_number, label, campaign_id, daily_cap, is_active }
+   */
+  router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickCallerIdFields(req.body);
+
+    if (!data.phone_number) {
+      return res.status(400).json({
+        success: false,
+        error: 'phone_number is required'
+      });
+    }
+
+    const validationError = validateCallerId(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const callerId = await models.CallerId.create(data);
+      res.status(201).json({
+        success: true,
+        message: 'Caller ID added to pool',
+        data: callerId
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add caller ID',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/caller-ids/:id
+   * @desc    Update a number (label, campaign assignment, daily cap, active flag)
+   * @access  Private (admin)
+   */
+  router.put('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickCallerIdFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const validationError = validateCallerId(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const callerId = await models.CallerId.update(req.params.id, data);
+      if (!callerId) {
+        return res.status(404).json({
+          success: false,
+          error: 'Caller ID not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Caller ID updated successfully',
+        data: callerId
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update caller ID',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/caller-ids/:id
+   * @desc    Remove a number from the pool
+   * @access  Private (admin)
+   */
+  router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await models.CallerId.delete(req.params.id);
+      res.json({
+        success: true,
+        message: 'Caller ID removed from pool',
+        id: req.params.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove caller ID',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCallerIdRoutes;
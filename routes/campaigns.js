@@ -0,0 +1,430 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const {
+  startCampaignSchedule,
+  stopCampaignSchedule,
+  getCampaignJobCounts,
+  removeCampaignJobs,
+  holdCampaignJobs,
+  resumeCampaignJobs
+} = require('../queues/callQueue');
+const { validateLeadFilter } = require('../utils/leadFilter');
+const { validateRetryPolicy } = require('../utils/callRetry');
+
+/**
+ * Campaign Routes
+ * Create outbound campaigns and control them (start, pause, resume, cancel) one at a time
+ */
+
+const CAMPAIGN_FIELDS = [
+  'name', 'description', 'lead_filter', 'agent_profile_id', 'business_calendar_id',
+  'message', 'priority', 'schedule', 'retry_policy', 'outcome_retry', 'caller_id',
+  'machine_detection', 'voicemail_message', 'voicemail_url'
+];
+const VALID_PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * Pick known campaign fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Campaign fields that were provided
+ */
+function pickCampaignFields(body) {
+  const data = {};
+  CAMPAIGN_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Validate campaign fields
+ * @param {Object} data - Campaign fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateCampaign(data) {
+  if (data.priority !== undefined && !VALID_PRIORITIES.includes(data.priority)) {
+    return `priority must be one of: ${VALID_PRIORITIES.join(', ')}`;
+  }
+  if (data.lead_filter !== undefined) {
+    const filterErrors = validateLeadFilter(data.lead_filter);
+    if (filterErrors.length > 0) {
+      return `Invalid lead_filter: ${filterErrors.join('; ')}`;
+    }
+  }
+  if (data.schedule !== undefined) {
+    const { start_at, end_at, batch_size } = data.schedule || {};
+    if (start_at && isNaN(new Date(start_at).getTime())) return 'schedule.start_at must be an ISO date';
+    if (end_at && isNaN(new Date(end_at).getTime())) return 'schedule.end_at must be an ISO date';
+    if (batch_size !== undefined && (!Number.isInteger(batch_size) || batch_size < 1)) {
+      return 'schedule.batch_size must be a positive integer';
+    }
+  }
+  if (data.retry_policy !== undefined) {
+    const { max_attempts, backoff_ms } = data.retry_policy || {};
+    if (max_attempts !== undefined && (!Number.isInteger(max_attempts) || max_attempts < 1 || max_attempts > 10)) {
+      return 'retry_policy.max_attempts must be an integer between 1 and 10';
+    }
+    if (backoff_ms !== undefined && (!Number.isInteger(backoff_ms) || backoff_ms < 0)) {
+      return 'retry_policy.backoff_ms must be a non-negative integer';
+    }
+  }
+  if (data.outcome_retry !== undefined && data.outcome_retry !== null) {
+    const retryErrors = validateRetryPolicy(data.outcome_retry);
+    if (retryErrors.length > 0) {
+      return `Invalid outcome_retry: ${retryErrors.join('; ')}`;
+    }
+  }
+  if (data.caller_id && !/^\+[1-9]\d{6,14}$/.test(data.caller_id)) {
+    return 'caller_id must be in E.164 format';
+  }
+  if (data.machine_detection !== undefined && data.machine_detection !== null && typeof data.machine_detection !== 'boolean') {
+    return 'machine_detection must be true, false or null';
+  }
+  if (data.voicemail_url && !/^https?:\/\//.test(data.voicemail_url)) {
+    return 'voicemail_url must be an http(s) URL';
+  }
+  return null;
+}
+
+/**
+ * Create campaign router with initialized models
+ * @param {Object} models - Initialized database models
+ * @returns {Object} Express router
+ */
+function createCampaignRoutes(models) {
+  const router = express.Router();
+
+  /**
+   * Load the campaign for :id or send a 404
+   * @returns {Promise<Object|null>} Campaign, or null if a response was sent
+   */
+  const loadCampaign = async (req, res) => {
+    const campaign = await models.Campaign.findById(req.params.id);
+    if (!campaign) {
+      res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+      return null;
+    }
+    return campaign;
+  };
+
+  /**
+   * Send a 409 for an action not allowed in the campaign's current status
+   */
+  const rejectTransition = (res, campaign, action) => res.status(409).json({
+    success: false,
+    error: `Cannot ${action} a campaign that is ${campaign.status}`,
+    status: campaign.status
+  });
+
+  /**
+   * @route   GET /api/campaigns
+   * @desc    List campaigns
+   * @access  Private
+   * @query   status
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    try {
+      const campaigns = await models.Campaign.findAll({ status: req.query.status });
+      res.json({
+        success: true,
+        count: campaigns.length,
+        data: campaigns
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch campaigns',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/campaigns/:id
+   * @desc    Get a campaign with its call job counts
+   * @access  Private
+   */
+  router.get('/:id', verifyToken, async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      res.json({
+        success: true,
+        data: {
+          ...campaign,
+          jobs: await getCampaignJobCounts(campaign.id)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/campaigns
+   * @desc    Create a campaign (in draft)
+   * @access  Private (admin or manager)
+   * @body    { name, lead_filter, agent_profile_id, business_calendar_id, message, priority, schedule, retry_policy, outcome_retry, caller_id,
+   *          machine_detection, voicemail_message, voicemail_url }
+   */
+  router.post('/', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    const data = pickCampaignFields(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Campaign name is required'
+      });
+    }
+
+    const validationError = validateCampaign(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const campaign = await models.Campaign.create({ ...data, created_by: req.user.id });
+      res.status(201).json({
+        success: true,
+        message: 'Campaign created successfully',
+        data: campaign
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/campaigns/:id
+   * @desc    Update a draft or paused campaign
+   * @access  Private (admin or manager)
+   */
+  router.put('/:id', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    const data = pickCampaignFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const validationError = validateCampaign(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (!['draft', 'paused'].includes(campaign.status)) {
+        return rejectTransition(res, campaign, 'edit');
+      }
+
+      const updated = await models.Campaign.update(campaign.id, data);
+      res.json({
+        success: true,
+        message: 'Campaign updated successfully',
+        data: updated
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/campaigns/:id/start
+   * @desc    Start a draft campaign
+   * @access  Private (admin or manager)
+   */
+  router.post('/:id/start', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (campaign.status !== 'draft') {
+        return rejectTransition(res, campaign, 'start');
+      }
+
+      const updated = await models.Campaign.update(campaign.id, {
+        status: 'running',
+        started_at: new Date().toISOString()
+      });
+      const schedule = await startCampaignSchedule(updated);
+
+      console.log(`📣 ▶️  Campaign ${campaign.id} started by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Campaign started',
+        data: updated,
+        schedule
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to start campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/campaigns/:id/pause
+   * @desc    Pause a running campaign; its queued calls are held until it resumes
+   * @access  Private (admin or manager)
+   */
+  router.post('/:id/pause', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (campaign.status !== 'running') {
+        return rejectTransition(res, campaign, 'pause');
+      }
+
+      const updated = await models.Campaign.updateStatus(campaign.id, 'paused');
+      const held = await holdCampaignJobs(campaign.id);
+
+      console.log(`📣 ⏸️  Campaign ${campaign.id} paused by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Campaign paused',
+        data: updated,
+        heldJobs: held
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to pause campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/campaigns/:id/resume
+   * @desc    Resume a paused campaign and release its held calls
+   * @access  Private (admin or manager)
+   */
+  router.post('/:id/resume', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (campaign.status !== 'paused') {
+        return rejectTransition(res, campaign, 'resume');
+      }
+
+      const updated = await models.Campaign.updateStatus(campaign.id, 'running');
+      const released = await resumeCampaignJobs(campaign.id);
+
+      console.log(`📣 ▶️  Campaign ${campaign.id} resumed by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Campaign resumed',
+        data: updated,
+        releasedJobs: released
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to resume campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/campaigns/:id/cancel
+   * @desc    Cancel a campaign: stop its schedule and remove its queued calls
+   * @access  Private (admin or manager)
+   */
+  router.post('/:id/cancel', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (['completed', 'cancelled'].includes(campaign.status)) {
+        return rejectTransition(res, campaign, 'cancel');
+      }
+
+      const updated = await models.Campaign.updateStatus(campaign.id, 'cancelled');
+      await stopCampaignSchedule(campaign.id);
+      const removed = await removeCampaignJobs(campaign.id);
+
+      console.log(`📣 🚫 Campaign ${campaign.id} cancelled by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Campaign cancelled',
+        data: updated,
+        removedJobs: removed
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to cancel campaign',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/campaigns/:id
+   * @desc    Delete a campaign that is not running
+   * @access  Private (admin)
+   */
+  router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      const campaign = await loadCampaign(req, res);
+      if (!campaign) return;
+
+      if (['running', 'paused'].includes(campaign.status)) {
+        return rejectTransition(res, campaign, 'delete');
+      }
+
+      await models.Campaign.delete(campaign.id);
+      res.json({
+        success: true,
+        message: 'Campaign deleted successfully',
+        id: campaign.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete campaign',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCampaignRoutes;
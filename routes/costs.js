@@ -0,0 +1,295 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { isUniqueViolation } = require('../utils/defaultRecord');
+const { RATE_FIELDS, REPORT_GROUPS, totalCallCostsByCurrency, rollupCallCosts, validateRateCard } = require('../utils/callCost');
+
+/**
+ * Cost Routes
+ * Per-call costs, cost reports by campaign / lead source / day, and rate cards
+ */
+
+const RATE_CARD_FIELDS = ['name', 'campaign_id', 'is_default', 'currency', ...RATE_FIELDS];
+
+/**
+ * Pick known rate card fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Rate card fields that were provided
+ */
+function pickRateCardFields(body) {
+  const data = {};
+  RATE_CARD_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Create cost router with initialized models
+ * @param {Object} models - Initialized database models
+ * @param {Function} recalculateCallCost - Prices a call and stores the result (callSid => cost)
+ * @returns {Object} Express router
+ */
+function createCostRoutes(models, recalculateCallCost) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/costs
+   * @desc    Cost report rolled up by campaign, lead source and day (totals and groups per currency)
+   * @access  Private
+   * @query   dateFrom, dateTo (YYYY-MM-DD, default: the last 30 days), campaignId, leadSource,
+   *          groupBy (comma-separated: campaign, lead_source, day; default: all)
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    const groupBy = (req.query.groupBy || REPORT_GROUPS.join(','))
+      .split(',')
+      .map(group => group.trim())
+      .filter(Boolean);
+
+    const unknownGroup = groupBy.find(group => !REPORT_GROUPS.includes(group));
+    if (unknownGroup) {
+      return res.status(400).json({
+        success: false,
+        error: `groupBy must be one of: ${REPORT_GROUPS.join(', ')}`
+      });
+    }
+
+    const dateFrom = req.query.dateFrom || new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const dateTo = req.query.dateTo || null;
+
+    try {
+      const costs = await models.CallCost.rollupForReport({
+        dateFrom,
+        dateTo,
+        campaignId: req.query.campaignId,
+        leadSource: req.query.leadSource
+      });
+
+      const groups = {};
+      groupBy.forEach(group => {
+        groups[group] = rollupCallCosts(costs, group);
+      });
+
+      // Name campaign groups
+      if (groups.campaign) {
+        await Promise.all(groups.campaign.map(async (group) => {
+          const campaign = group.key !== 'none' ? await models.Campaign.findById(group.key) : null;
+          group.name = campaign ? campaign.name : null;
+        }));
+      }
+
+      // Costs in different currencies are reported side by side, never added up
+      res.json({
+        success: true,
+        dateFrom,
+        dateTo,
+        totals: totalCallCostsByCurrency(costs),
+        groups
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to build cost report',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/costs/calls/:callSid
+   * @desc    Cost of one call with its breakdown
+   * @access  Private
+   */
+  router.get('/calls/:callSid', verifyToken, async (req, res) => {
+    try {
+      const cost = await models.CallCost.findByCallSid(req.params.callSid);
+      if (!cost) {
+        return res.status(404).json({
+          success: false,
+          error: 'Call cost not found',
+          callSid: req.params.callSid
+        });
+      }
+
+      res.json({
+        success: true,
+        data: cost
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch call cost',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/costs/calls/:callSid/recalculate
+   * @desc    Price a call again (e.g. after changing rate cards or once Twilio has rated it)
+   * @access  Private (admin, manager)
+   */
+  router.post('/calls/:callSid/recalculate', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    try {
+      const cost = await recalculateCallCost(req.params.callSid);
+      res.json({
+        success: true,
+        message: 'Call cost recalculated',
+        data: cost
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to recalculate call cost',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/costs/rate-cards
+   * @desc    List rate cards
+   * @access  Private
+   */
+  router.get('/rate-cards', verifyToken, async (req, res) => {
+    try {
+      const rateCards = await models.RateCard.findAll();
+      res.json({
+        success: true,
+        count: rateCards.length,
+        data: rateCards
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch rate cards',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/costs/rate-cards
+   * @desc    Create a rate card (unset prices use the defaults)
+   * @access  Private (admin)
+   * @body    { name, campaign_id, is_default, currency, twilio_outbound_per_minute, ... }
+   */
+  router.post('/rate-cards', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickRateCardFields(req.body);
+
+    if (!data.name) {
+      return res.status(400).json({
+        success: false,
+        error: 'name is required'
+      });
+    }
+
+    const validationError = validateRateCard(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const rateCard = await models.RateCard.create(data);
+      res.status(201).json({
+        success: true,
+        message: 'Rate card created successfully',
+        data: rateCard
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This campaign already has a rate card',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create rate card',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/costs/rate-cards/:id
+   * @desc    Update a rate card (applies to calls priced from now on)
+   * @access  Private (admin)
+   */
+  router.put('/rate-cards/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickRateCardFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    const validationError = validateRateCard(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    try {
+      const rateCard = await models.RateCard.update(req.params.id, data);
+      if (!rateCard) {
+        return res.status(404).json({
+          success: false,
+          error: 'Rate card not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Rate card updated successfully',
+        data: rateCard
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'This campaign already has a rate card',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update rate card',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/costs/rate-cards/:id
+   * @desc    Delete a rate card
+   * @access  Private (admin)
+   */
+  router.delete('/rate-cards/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await models.RateCard.delete(req.params.id);
+      res.json({
+        success: true,
+        message: 'Rate card deleted successfully',
+        id: req.params.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete rate card',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createCostRoutes;
@@ -0,0 +1,257 @@
+const express = require('express');
+const { parse } = require('csv-parse/sync');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { normalizeDncNumber } = require('../utils/doNotCall');
+
+/**
+ * Do-Not-Call Routes
+ * Manage the registry of numbers that must never be dialled
+ */
+
+/**
+ * Extract DNC entries from an uploaded file
+ * Accepts a CSV with a phone (or phone_number) column and optional reason column,
+ * a JSON array of numbers or { phone, reason } objects, or plain text with one number per line
+ * @param {Object} file - Uploaded file (express-fileupload)
+ * @returns {Array<Object>} Raw entries ({ phone, reason })
+ */
+function parseDoNotCallFile(file) {
+  const content = file.data.toString('utf-8');
+  const name = (file.name || '').toLowerCase();
+
+  if (name.endsWith('.json') || (file.mimetype || '').includes('json')) {
+    const data = JSON.parse(content);
+    return (Array.isArray(data) ? data : [data]).map(record => (
+      typeof record === 'string'
+        ? { phone: record }
+        : { phone: record.phone || record.phone_number, reason: record.reason }
+    ));
+  }
+
+  const firstLine = content.split(/\r?\n/)[0].toLowerCase();
+  if (firstLine.includes('phone')) {
+    return parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      relax_column_count: true
+    }).map(record => ({ phone: record.phone || record.phone_number, reason: record.reason }));
+  }
+
+  return content.split(/\r?\n/).map(line => ({ phone: line.split(',')[0].trim() }));
+}
+
+/**
+ * Create DNC router with initialized models
+ * @param {Object} models - Initialized database models
+ * @returns {Object} Express router
+ */
+function createDoNotCallRoutes(models) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/dnc
+   * @desc    List numbers on the Do-Not-Call list
+   * @access  Private
+   * @query   limit, offset, search
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+
+    try {
+      const { data, count } = await models.DoNotCall.findAll({ limit, offset, search: req.query.search });
+      res.json({
+        success: true,
+        count: data.length,
+        total: count,
+        data
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch Do-Not-Call list',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/dnc/check/:phone
+   * @desc    Check whether a number is on the Do-Not-Call list
+   * @access  Private
+   */
+  router.get('/check/:phone', verifyToken, async (req, res) => {
+    const phoneNumber = normalizeDncNumber(req.params.phone);
+
+    try {
+      const entry = phoneNumber ? await models.DoNotCall.findByPhoneNumber(phoneNumber) : null;
+      res.json({
+        success: true,
+        phoneNumber,
+        blocked: !!entry,
+        data: entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to check Do-Not-Call list',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/dnc
+   * @desc    Add a number to the Do-Not-Call list
+   * @access  Private
+   * @body    { phone, reason }
+   */
+  router.post('/', verifyToken, async (req, res) => {
+    const phoneNumber = normalizeDncNumber(req.body.phone || req.body.phone_number);
+
+    if (!phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required'
+      });
+    }
+
+    try {
+      const entry = await models.DoNotCall.add({
+        phone_number: phoneNumber,
+        reason: req.body.reason,
+        source: 'manual',
+        added_by: req.user.id
+      });
+
+      console.log(`🚫 ${phoneNumber} added to Do-Not-Call list by user ${req.user.id}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Number added to Do-Not-Call list',
+        data: entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add number to Do-Not-Call list',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/dnc/import
+   * @desc    Import numbers from a CSV, JSON or plain text file (multipart field "file")
+   * @access  Private (admin or manager)
+   */
+  router.post('/import', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    if (!req.files || !req.files.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file provided',
+        message: 'Please upload a CSV, JSON or text file of phone numbers'
+      });
+    }
+
+    let records;
+    try {
+      records = parseDoNotCallFile(req.files.file);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Could not parse file',
+        message: error.message
+      });
+    }
+
+    // Normalize and de-duplicate
+    const entries = new Map();
+    let invalid = 0;
+    records.forEach(record => {
+      const phoneNumber = normalizeDncNumber(record.phone);
+      if (!phoneNumber || phoneNumber.replace(/\D/g, '').length < 7) {
+        invalid++;
+        return;
+      }
+      if (!entries.has(phoneNumber)) {
+        entries.set(phoneNumber, {
+          phone_number: phoneNumber,
+          reason: record.reason || 'Imported',
+          source: 'import',
+          added_by: req.user.id
+        });
+      }
+    });
+
+    if (entries.size === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No valid phone numbers found in file',
+        summary: { total: records.length, invalid }
+      });
+    }
+
+    try {
+      const added = await models.DoNotCall.addMany([...entries.values()]);
+
+      console.log(`🚫 Imported ${added.length} numbers to Do-Not-Call list`);
+
+      res.json({
+        success: true,
+        message: `${added.length} numbers added to Do-Not-Call list`,
+        summary: {
+          total: records.length,
+          added: added.length,
+          alreadyListed: entries.size - added.length,
+          invalid
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to import Do-Not-Call list',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/dnc/:phone
+   * @desc    Remove a number from the Do-Not-Call list
+   * @access  Private (admin or manager)
+   */
+  router.delete('/:phone', verifyToken, requireRole(['admin', 'manager']), async (req, res) => {
+    const phoneNumber = normalizeDncNumber(req.params.phone);
+
+    try {
+      const entry = phoneNumber ? await models.DoNotCall.remove(phoneNumber) : null;
+      if (!entry) {
+        return res.status(404).json({
+          success: false,
+          error: 'Number is not on the Do-Not-Call list',
+          phoneNumber
+        });
+      }
+
+      console.log(`✅ ${phoneNumber} removed from Do-Not-Call list by user ${req.user.id}`);
+
+      res.json({
+        success: true,
+        message: 'Number removed from Do-Not-Call list',
+        data: entry
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to remove number from Do-Not-Call list',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createDoNotCallRoutes;
@@ -0,0 +1,213 @@
+const express = require('express');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { validateFlowDefinition } = require('../utils/ivrFlow');
+const { isUniqueViolation } = require('../utils/defaultRecord');
+
+/**
+ * IVR Flow Routes
+ * Manage inbound IVR menus per dialled Twilio number without a redeploy
+ */
+
+const FLOW_FIELDS = ['name', 'description', 'phone_number', 'definition', 'is_default', 'is_active'];
+
+/**
+ * Pick known flow fields from a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Flow fields that were provided
+ */
+function pickFlowFields(body) {
+  const data = {};
+  FLOW_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+}
+
+/**
+ * Create IVR flow router with initialized models
+ * @param {Object} models - Initialized database models
+ * @returns {Object} Express router
+ */
+function createIvrFlowRoutes(models) {
+  const router = express.Router();
+
+  /**
+   * @route   GET /api/ivr-flows
+   * @desc    List all IVR flows
+   * @access  Private
+   */
+  router.get('/', verifyToken, async (req, res) => {
+    try {
+      const flows = await models.IvrFlow.findAll();
+      res.json({
+        success: true,
+        count: flows.length,
+        data: flows
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch IVR flows',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   GET /api/ivr-flows/:id
+   * @desc    Get a single IVR flow
+   * @access  Private
+   */
+  router.get('/:id', verifyToken, async (req, res) => {
+    try {
+      const flow = await models.IvrFlow.findById(req.params.id);
+      if (!flow) {
+        return res.status(404).json({
+          success: false,
+          error: 'IVR flow not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: flow
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to fetch IVR flow',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   POST /api/ivr-flows
+   * @desc    Create an IVR flow
+   * @access  Private (admin)
+   * @body    { name, phone_number, definition, is_default, is_active }
+   */
+  router.post('/', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickFlowFields(req.body);
+
+    if (!data.name || !data.definition) {
+      return res.status(400).json({
+        success: false,
+        error: 'Flow name and definition are required'
+      });
+    }
+
+    const validationErrors = validateFlowDefinition(data.definition);
+    if (validationErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid flow definition',
+        validationErrors
+      });
+    }
+
+    try {
+      const flow = await models.IvrFlow.create(data);
+      res.status(201).json({
+        success: true,
+        message: 'IVR flow created successfully',
+        data: flow
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Another IVR flow already answers this phone number',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create IVR flow',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   PUT /api/ivr-flows/:id
+   * @desc    Update an IVR flow (takes effect on the next inbound call)
+   * @access  Private (admin)
+   */
+  router.put('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    const data = pickFlowFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No fields to update'
+      });
+    }
+
+    if (data.definition !== undefined) {
+      const validationErrors = validateFlowDefinition(data.definition);
+      if (validationErrors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid flow definition',
+          validationErrors
+        });
+      }
+    }
+
+    try {
+      const flow = await models.IvrFlow.update(req.params.id, data);
+      if (!flow) {
+        return res.status(404).json({
+          success: false,
+          error: 'IVR flow not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'IVR flow updated successfully',
+        data: flow
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({
+          success: false,
+          error: 'Another IVR flow already answers this phone number',
+          message: error.message
+        });
+      }
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update IVR flow',
+        message: error.message
+      });
+    }
+  });
+
+  /**
+   * @route   DELETE /api/ivr-flows/:id
+   * @desc    Delete an IVR flow
+   * @access  Private (admin)
+   */
+  router.delete('/:id', verifyToken, requireRole('admin'), async (req, res) => {
+    try {
+      await models.IvrFlow.delete(req.params.id);
+      res.json({
+        success: true,
+        message: 'IVR flow deleted successfully',
+        id: req.params.id
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete IVR flow',
+        message: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createIvrFlowRoutes;
@@ -0,0 +1,275 @@
+/**
+ * Business hours and holiday calendars
+ * Decides whether a calendar is open at a given moment (in the calendar's
+ * timezone) and when the next allowed window starts
+ *
+ * Calendar format (business_calendars row):
+ * {
+ *   timezone: 'America/New_York',
+ *   weekly_hours: {
+ *     monday: [{ start: '09:00', end: '17:00' }],   // one or more windows per day
+ *     saturday: [],                                 // closed
+ *     ...
+ *   },
+ *   holidays: [{ date: '2026-12-25', name: 'Christmas Day' }]
+ * }
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Monday to Friday, 9 AM to 5 PM
+const DEFAULT_WEEKLY_HOURS = {
+  sunday: [],
+  monday: [{ start: '09:00', end: '17:00' }],
+  tuesday: [{ start: '09:00', end: '17:00' }],
+  wednesday: [{ start: '09:00', end: '17:00' }],
+  thursday: [{ start: '09:00', end: '17:00' }],
+  friday: [{ start: '09:00', end: '17:00' }],
+  saturday: []
+};
+
+// How far ahead to look for the next open window
+const MAX_LOOKAHEAD_DAYS = 14;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name, e.g. 'Europe/London'
+ * @returns {boolean} True if the runtime recognises the timezone
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA timezone
+ * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM', weekday: 'monday', minutes }
+ */
+function getZonedParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    weekday: 'long'
+  }).formatToParts(date).reduce((acc, part) => {
+    acc[part.type] = part.value;
+    return acc;
+  }, {});
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+  };
+}
+
+/**
+ * Convert a wall-clock date and time in a timezone to an instant
+ * @param {string} dateStr - Local date 'YYYY-MM-DD'
+ * @param {string} timeStr - Local time 'HH:MM'
+ * @param {string} timezone - IANA timezone
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(dateStr, timeStr, timezone) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const [hour, minute] = timeStr.split(':').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+  // Offset of the zone at that moment; applied twice to settle around DST changes
+  const offsetAt = (timestamp) => {
+    const local = getZonedParts(new Date(timestamp), timezone);
+    const [ly, lm, ld] = local.date.split('-').map(Number);
+    return Date.UTC(ly, lm - 1, ld, Math.floor(local.minutes / 60), local.minutes % 60) - timestamp;
+  };
+
+  let result = asUtc - offsetAt(asUtc);
+  result = asUtc - offsetAt(result);
+  return new Date(result);
+}
+
+/**
+ * Add days to a local date string
+ * @param {string} dateStr - 'YYYY-MM-DD'
+ * @param {number} days - Days to add
+ * @returns {string} 'YYYY-MM-DD'
+ */
+function addDays(dateStr, days) {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+}
+
+/**
+ * Convert 'HH:MM' to minutes after midnight
+ * @param {string} time - Time string
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hour, minute] = time.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Get the open windows for a local date
+ * @param {Object} calendar - Calendar ({ weekly_hours, holidays })
+ * @param {string} dateStr - Local date 'YYYY-MM-DD'
+ * @returns {Object} { windows: [{ start, end }], holiday }
+ */
+function getWindowsForDate(calendar, dateStr) {
+  const holiday = (calendar.holidays || []).find(h => h.date === dateStr);
+  if (holiday) {
+    return { windows: [], holiday };
+  }
+
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+  const weeklyHours = calendar.weekly_hours || DEFAULT_WEEKLY_HOURS;
+
+  return { windows: weeklyHours[weekday] || [], holiday: null };
+}
+
+/**
+ * Get a calendar's status at a given moment
+ * @param {Object} calendar - Calendar ({ timezone, weekly_hours, holidays })
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {Object} { open, reason, holiday, localTime, timezone, nextOpenAt }
+ *   reason is 'open', 'holiday' or 'closed'; nextOpenAt is null when open (or nothing opens within two weeks)
+ */
+function getBusinessHoursStatus(calendar, date = new Date()) {
+  const timezone = calendar.timezone || 'UTC';
+  const local = getZonedParts(date, timezone);
+  const today = getWindowsForDate(calendar, local.date);
+
+  const open = today.windows.some(window =>
+    local.minutes >= toMinutes(window.start) && local.minutes < toMinutes(window.end)
+  );
+
+  return {
+    open,
+    reason: open ? 'open' : (today.holiday ? 'holiday' : 'closed'),
+    holiday: today.holiday ? today.holiday.name || today.holiday.date : null,
+    localTime: `${local.date} ${local.time}`,
+    timezone,
+    nextOpenAt: open ? null : getNextOpenTime(calendar, date)
+  };
+}
+
+/**
+ * Check whether a calendar is open at a given moment
+ * @param {Object} calendar - Calendar
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {boolean} True if open
+ */
+function isOpen(calendar, date = new Date()) {
+  return getBusinessHoursStatus(calendar, date).open;
+}
+
+/**
+ * Find the start of the next open window
+ * @param {Object} calendar - Calendar
+ * @param {Date} from - Moment to search from (default: now)
+ * @returns {Date|null} Start of the next window (from itself if already open), or null if none within two weeks
+ */
+function getNextOpenTime(calendar, from = new Date()) {
+  const timezone = calendar.timezone || 'UTC';
+  const local = getZonedParts(from, timezone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const dateStr = addDays(local.date, offset);
+    const windows = getWindowsForDate(calendar, dateStr).windows
+      .slice()
+      .sort((a, b) => toMinutes(a.start) - toMinutes(b.start));
+
+    for (const window of windows) {
+      if (offset === 0 && local.minutes >= toMinutes(window.end)) {
+        continue;
+      }
+      if (offset === 0 && local.minutes >= toMinutes(window.start)) {
+        return from;
+      }
+      return zonedTimeToUtc(dateStr, window.start, timezone);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a calendar's timezone, weekly hours and holidays
+ * @param {Object} calendar - Calendar fields
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateCalendar(calendar) {
+  const errors = [];
+
+  if (calendar.timezone !== undefined && !isValidTimezone(calendar.timezone)) {
+    errors.push(`Unknown timezone "${calendar.timezone}"`);
+  }
+
+  if (calendar.weekly_hours !== undefined) {
+    if (!calendar.weekly_hours || typeof calendar.weekly_hours !== 'object') {
+      errors.push('weekly_hours must be an object keyed by weekday');
+    } else {
+      Object.entries(calendar.weekly_hours).forEach(([day, windows]) => {
+        if (!WEEKDAYS.includes(day)) {
+          errors.push(`weekly_hours: unknown day "${day}"`);
+          return;
+        }
+        if (!Array.isArray(windows)) {
+          errors.push(`weekly_hours.${day} must be an array of { start, end } windows`);
+          return;
+        }
+        windows.forEach((window, index) => {
+          if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+            errors.push(`weekly_hours.${day}[${index}]: start and end must be HH:MM`);
+          } else if (toMinutes(window.start) >= toMinutes(window.end)) {
+            errors.push(`weekly_hours.${day}[${index}]: start must be before end`);
+          }
+        });
+      });
+    }
+  }
+
+  if (calendar.holidays !== undefined) {
+    if (!Array.isArray(calendar.holidays)) {
+      errors.push('holidays must be an array of { date, name }');
+    } else {
+      calendar.holidays.forEach((holiday, index) => {
+        if (!holiday || !DATE_PATTERN.test(holiday.date)) {
+          errors.push(`holidays[${index}]: date must be YYYY-MM-DD`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  WEEKDAYS,
+  DEFAULT_WEEKLY_HOURS,
+  TIME_PATTERN,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  getBusinessHoursStatus,
+  isOpen,
+  getNextOpenTime,
+  validateCalendar
+};
@@ -0,0 +1,291 @@
+/**
+ * Per-call cost accounting
+ * Prices a finished call from:
+ *   - Twilio: the price on the call resource, or billable minutes × the rate card when
+ *     Twilio has not reported it yet
+ *   - OpenAI realtime: the call's token usage (text/audio, input/output, cached) × the rate card
+ *   - Recording: recorded minutes × (recording + one month of storage)
+ * and rolls costs up by campaign, lead source and day for reports.
+ */
+
+// Used when the rate_cards table has no default card (prices in USD)
+const DEFAULT_RATE_CARD = {
+  id: null,
+  name: 'Built-in default',
+  currency: 'USD',
+  twilio_outbound_per_minute: 0.014,
+  twilio_inbound_per_minute: 0.0085,
+  openai_text_input_per_million: 5,
+  openai_text_output_per_million: 20,
+  openai_audio_input_per_million: 40,
+  openai_audio_output_per_million: 80,
+  openai_cached_input_per_million: 2.5,
+  recording_per_minute: 0.0025,
+  recording_storage_per_minute_month: 0.0005
+};
+
+const RATE_FIELDS = Object.keys(DEFAULT_RATE_CARD).filter(key => !['id', 'name', 'currency'].includes(key));
+
+const REPORT_GROUPS = ['campaign', 'lead_source', 'day'];
+
+/**
+ * Round an amount to the precision costs are stored with
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+function roundCost(amount) {
+  return Math.round(amount * 100000) / 100000;
+}
+
+/**
+ * Read a rate from a rate card
+ * @param {Object} rateCard - Rate card
+ * @param {string} field - Rate field
+ * @returns {number} Rate (0 if unset)
+ */
+function rate(rateCard, field) {
+  return parseFloat(rateCard[field]) || 0;
+}
+
+/**
+ * Price the OpenAI realtime tokens of a call
+ * Cached input tokens are charged at the cached rate, taken from text input first.
+ * @param {Object} tokenUsage - Token totals (see utils/latencyStats.js)
+ * @param {Object} rateCard - Rate card
+ * @returns {Object} { cost, tokens }
+ */
+function priceTokenUsage(tokenUsage, rateCard) {
+  const usage = tokenUsage || {};
+  const cached = usage.input_cached_tokens || 0;
+  const cachedText = Math.min(cached, usage.input_text_tokens || 0);
+  const tokens = {
+    text_input: (usage.input_text_tokens || 0) - cachedText,
+    audio_input: Math.max(0, (usage.input_audio_tokens || 0) - (cached - cachedText)),
+    cached_input: cached,
+    text_output: usage.output_text_tokens || 0,
+    audio_output: usage.output_audio_tokens || 0
+  };
+
+  const cost = (
+    tokens.text_input * rate(rateCard, 'openai_text_input_per_million') +
+    tokens.audio_input * rate(rateCard, 'openai_audio_input_per_million') +
+    tokens.cached_input * rate(rateCard, 'openai_cached_input_per_million') +
+    tokens.text_output * rate(rateCard, 'openai_text_output_per_million') +
+    tokens.audio_output * rate(rateCard, 'openai_audio_output_per_million')
+  ) / 1000000;
+
+  return { cost: roundCost(cost), tokens };
+}
+
+/**
+ * Work out what a call cost
+ * @param {Object} sources - What is known about the call
+ * @param {Object} sources.callEvent - call_events row
+ * @param {Object} sources.twilioCall - Twilio call resource (optional)
+ * @param {Object} sources.recording - call_recordings row (optional)
+ * @param {Object} sources.lead - Lead (optional, for the lead source)
+ * @param {Object} sources.rateCard - Rate card
+ * @returns {Object} call_costs record
+ */
+function calculateCallCost({ callEvent, twilioCall = null, recording = null, lead = null, rateCard }) {
+  const direction = (twilioCall && twilioCall.direction) || callEvent.direction || 'outbound-api';
+  const durationSeconds = (twilioCall && parseInt(twilioCall.duration)) ||
+    callEvent.call_duration || callEvent.duration || 0;
+  const billableMinutes = Math.ceil(durationSeconds / 60);
+
+  // Twilio reports prices as negative amounts once the call has been rated, in its price unit.
+  // A price in another currency than the rate card's cannot be added up with the other costs,
+  // so the call is priced from the rate card instead.
+  const currency = rateCard.currency || 'USD';
+  const hasPrice = twilioCall && twilioCall.price !== null && twilioCall.price !== undefined;
+  const priceUnit = hasPrice ? (twilioCall.priceUnit || 'USD').toUpperCase() : null;
+  const reportedPrice = hasPrice && priceUnit === currency
+    ? Math.abs(parseFloat(twilioCall.price))
+    : NaN;
+  const perMinute = rate(rateCard, direction === 'inbound' ? 'twilio_inbound_per_minute' : 'twilio_outbound_per_minute');
+  const twilioCost = !isNaN(reportedPrice) ? reportedPrice : roundCost(billableMinutes * perMinute);
+
+  const openai = priceTokenUsage(callEvent.token_usage, rateCard);
+
+  const recordingMinutes = recording ? Math.ceil((parseInt(recording.duration) || 0) / 60) : 0;
+  const recordingRate = rate(rateCard, 'recording_per_minute') + rate(rateCard, 'recording_storage_per_minute_month');
+  const recordingCost = roundCost(recordingMinutes * recordingRate);
+
+  const callDate = (callEvent.answered_at || callEvent.created_at || new Date().toISOString()).slice(0, 10);
+
+  return {
+    call_sid: callEvent.call_sid,
+    call_event_id: callEvent.id || null,
+    lead_id: callEvent.lead_id || (lead && lead.id) || null,
+    campaign_id: callEvent.campaign_id || null,
+    lead_source: (lead && lead.lead_source) || null,
+    rate_card_id: rateCard.id || null,
+    direction,
+    call_date: callDate,
+    duration_seconds: durationSeconds,
+    billable_minutes: billableMinutes,
+    twilio_cost: twilioCost,
+    twilio_cost_source: !isNaN(reportedPrice) ? 'twilio' : 'rate_card',
+    openai_cost: openai.cost,
+    recording_cost: recordingCost,
+    total_cost: roundCost(twilioCost + openai.cost + recordingCost),
+    currency,
+    token_usage: callEvent.token_usage || null,
+    breakdown: {
+      twilio: !isNaN(reportedPrice)
+        ? { price: reportedPrice, price_unit: twilioCall.priceUnit || null }
+        : {
+          billable_minutes: billableMinutes,
+          per_minute: perMinute,
+          ignored_price: hasPrice ? { price: Math.abs(parseFloat(twilioCall.price)), price_unit: priceUnit } : null
+        },
+      openai: {
+        tokens: openai.tokens,
+        per_million: {
+          text_input: rate(rateCard, 'openai_text_input_per_million'),
+          audio_input: rate(rateCard, 'openai_audio_input_per_million'),
+          cached_input: rate(rateCard, 'openai_cached_input_per_million'),
+          text_output: rate(rateCard, 'openai_text_output_per_million'),
+          audio_output: rate(rateCard, 'openai_audio_output_per_million')
+        }
+      },
+      recording: {
+        minutes: recordingMinutes,
+        per_minute: rate(rateCard, 'recording_per_minute'),
+        storage_per_minute_month: rate(rateCard, 'recording_storage_per_minute_month')
+      }
+    }
+  };
+}
+
+/**
+ * Price a call and store the result
+ * @param {Object} models - Database models
+ * @param {Object} twilioClient - Twilio client (to read the call's price)
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<Object>} Saved call_costs record
+ */
+async function computeCallCost(models, twilioClient, callSid) {
+  const callEvent = await models.CallEvent.findByCallSid(callSid);
+  if (!callEvent) {
+    throw new Error(`Call ${callSid} not found`);
+  }
+
+  let twilioCall = null;
+  try {
+    twilioCall = await twilioClient.calls(callSid).fetch();
+  } catch (error) {
+    console.warn(`💲 ⚠️  Could not fetch call ${callSid} from Twilio, estimating its price:`, error.message);
+  }
+
+  const [recording, lead, rateCard] = await Promise.all([
+    models.CallRecording.findByCallSid(callSid),
+    callEvent.lead_id ? models.Lead.findById(callEvent.lead_id) : models.Lead.findByCallSid(callSid),
+    models.RateCard.findForCall(callEvent.campaign_id)
+  ]);
+
+  const cost = calculateCallCost({
+    callEvent,
+    twilioCall,
+    recording,
+    lead,
+    rateCard: rateCard || DEFAULT_RATE_CARD
+  });
+
+  return models.CallCost.upsert(cost);
+}
+
+/**
+ * Add up call costs
+ * @param {Array} costs - call_costs rows, or rolled-up rows with a calls count (all in one currency)
+ * @returns {Object} { calls, minutes, twilio_cost, openai_cost, recording_cost, total_cost }
+ */
+function totalCallCosts(costs) {
+  const totals = { calls: 0, minutes: 0, twilio_cost: 0, openai_cost: 0, recording_cost: 0, total_cost: 0 };
+
+  costs.forEach(cost => {
+    totals.calls += cost.calls !== undefined ? parseInt(cost.calls) || 0 : 1;
+    totals.minutes += parseInt(cost.billable_minutes) || 0;
+    ['twilio_cost', 'openai_cost', 'recording_cost', 'total_cost'].forEach(field => {
+      totals[field] = roundCost(totals[field] + (parseFloat(cost[field]) || 0));
+    });
+  });
+
+  return totals;
+}
+
+/**
+ * Split call costs into groups
+ * Costs in different currencies are never added up, so each group holds one currency.
+ * @param {Array} costs - call_costs rows or rolled-up rows
+ * @param {Function} keyOf - Group key of a row
+ * @returns {Array} Groups ({ key, currency, ...totals }), sorted by key then currency
+ */
+function groupCallCosts(costs, keyOf) {
+  const groups = new Map();
+  costs.forEach(cost => {
+    const currency = cost.currency || 'USD';
+    const id = JSON.stringify([keyOf(cost), currency]);
+    if (!groups.has(id)) {
+      groups.set(id, { key: keyOf(cost), currency, costs: [] });
+    }
+    groups.get(id).costs.push(cost);
+  });
+
+  return Array.from(groups.values())
+    .sort((a, b) => String(a.key).localeCompare(String(b.key)) || a.currency.localeCompare(b.currency))
+    .map(group => ({ key: group.key, currency: group.currency, ...totalCallCosts(group.costs) }));
+}
+
+/**
+ * Add up call costs per currency
+ * @param {Array} costs - call_costs rows or rolled-up rows
+ * @returns {Array} Totals ({ currency, ...totals }), one per currency
+ */
+function totalCallCostsByCurrency(costs) {
+  return groupCallCosts(costs, () => null).map(({ key, ...totals }) => totals);
+}
+
+/**
+ * Roll call costs up into groups
+ * @param {Array} costs - call_costs rows or rolled-up rows
+ * @param {string} groupBy - campaign, lead_source or day
+ * @returns {Array} Groups ({ key, currency, ...totals }), sorted by key
+ */
+function rollupCallCosts(costs, groupBy) {
+  const keyOf = {
+    campaign: cost => (cost.campaign_id ? String(cost.campaign_id) : 'none'),
+    lead_source: cost => cost.lead_source || 'unknown',
+    day: cost => cost.call_date
+  }[groupBy];
+
+  return groupCallCosts(costs, keyOf);
+}
+
+/**
+ * Validate rate card fields
+ * @param {Object} data - Rate card fields
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRateCard(data) {
+  const invalid = RATE_FIELDS.find(field => data[field] !== undefined && !(typeof data[field] === 'number' && data[field] >= 0));
+  if (invalid) {
+    return `${invalid} must be a non-negative number`;
+  }
+  if (data.currency !== undefined && !/^[A-Z]{3}$/.test(data.currency)) {
+    return 'currency must be a 3-letter ISO code';
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  RATE_FIELDS,
+  REPORT_GROUPS,
+  calculateCallCost,
+  computeCallCost,
+  totalCallCosts,
+  totalCallCostsByCurrency,
+  rollupCallCosts,
+  validateRateCard
+};
@@ -0,0 +1,132 @@
+/**
+ * Call detail
+ * Collects everything we know about one call - status timeline, lead, transcript,
+ * recording, post-call summary and the queue job that placed it - into a single record
+ */
+
+const { buildCallTimeline } = require('./callTimeline');
+
+// Lifetime of the recording URL handed to the frontend (seconds)
+const RECORDING_URL_TTL = 3600;
+
+/**
+ * Order transcript entries and attach each assistant turn's latency
+ * Rows written by the realtime session use role/content; older rows use speaker/message.
+ * @param {Array} entries - conversation_transcripts rows, oldest first
+ * @returns {Array} Transcript turns
+ */
+function buildTranscriptTurns(entries = []) {
+  let lastUserAt = null;
+
+  return entries.map(entry => {
+    const speaker = entry.role || entry.speaker;
+    const turn = {
+      id: entry.id,
+      speaker,
+      message: entry.content || entry.message,
+      timestamp: entry.timestamp,
+      latencyMetrics: entry.latency_metrics || null,
+      tokenUsage: entry.token_usage || null,
+      // Time from the caller's last transcribed message to this reply being saved
+      responseGapMs: null
+    };
+
+    if (speaker === 'user') {
+      lastUserAt = entry.timestamp;
+    } else if (speaker === 'assistant' && lastUserAt) {
+      turn.responseGapMs = Math.max(0, new Date(entry.timestamp) - new Date(lastUserAt));
+      lastUserAt = null;
+    }
+
+    return turn;
+  });
+}
+
+/**
+ * Run a lookup, reporting failures instead of failing the whole call detail
+ * @param {string} part - Name of the part being loaded (for logs)
+ * @param {Function} load - Async loader
+ * @param {Array} errors - Collected { part, message } errors
+ * @returns {Promise<*>} Loaded value, or null on failure
+ */
+async function loadPart(part, load, errors) {
+  try {
+    return await load();
+  } catch (error) {
+    console.warn(`⚠️  Could not load call ${part}:`, error.message);
+    errors.push({ part, message: error.message });
+    return null;
+  }
+}
+
+/**
+ * Build the full detail of a call
+ * @param {string} callSid - Twilio call SID
+ * @param {Object} deps - Dependencies
+ * @param {Object} deps.models - Database models
+ * @param {Object} deps.recordingManager - Recording manager (for a fresh signed URL)
+ * @param {Function} deps.getJobStatus - Queue job lookup
+ * @returns {Promise<Object|null>} Call detail, or null if nothing is known about the call
+ */
+async function buildCallDetail(callSid, { models, recordingManager, getJobStatus }) {
+  const errors = [];
+
+  const [callEvent, history, transcript, recording, summary] = await Promise.all([
+    loadPart('event', () => models.CallEvent.findByCallSid(callSid), errors),
+    loadPart('history', () => models.CallEventHistory.findByCallSid(callSid), errors),
+    loadPart('transcript', () => models.ConversationTranscript.findByCallSid(callSid), errors),
+    loadPart('recording', () => models.CallRecording.findByCallSid(callSid), errors),
+    loadPart('summary', () => models.CallSummary.findByCallSid(callSid), errors)
+  ]);
+
+  if (!callEvent && !(history && history.length) && !(transcript && transcript.length)) {
+    return null;
+  }
+
+  const leadId = (callEvent && callEvent.lead_id) || (recording && recording.lead_id) || (summary && summary.lead_id);
+  const lead = await loadPart('lead', () => (
+    leadId ? models.Lead.findById(leadId) : models.Lead.findByCallSid(callSid)
+  ), errors);
+
+  let recordingDetail = null;
+  if (recording) {
+    const signedUrl = recordingManager && recording.storage_path
+      ? await recordingManager.getSignedUrl(recording.storage_path, RECORDING_URL_TTL)
+      : null;
+    recordingDetail = {
+      ...recording,
+      signed_url: signedUrl,
+      signed_url_expires_at: signedUrl ? new Date(Date.now() + RECORDING_URL_TTL * 1000).toISOString() : null
+    };
+  }
+
+  // Completed jobs are removed from the queue after a while; the call event keeps the request
+  let job = null;
+  if (callEvent && callEvent.job_id) {
+    const status = await loadPart('job', () => getJobStatus(callEvent.job_id), errors);
+    job = {
+      jobId: callEvent.job_id,
+      campaignId: callEvent.campaign_id || null,
+      attemptNumber: callEvent.attempt_number || 1,
+      request: callEvent.call_request || null,
+      queue: status && !status.error ? status : null
+    };
+  }
+
+  return {
+    callSid,
+    call: callEvent,
+    timeline: buildCallTimeline(callEvent, history || []),
+    lead: lead || null,
+    transcript: buildTranscriptTurns(transcript || []),
+    recording: recordingDetail,
+    summary: summary || null,
+    job,
+    errors
+  };
+}
+
+module.exports = {
+  buildTranscriptTurns,
+  buildCallDetail
+};
@@ -0,0 +1,235 @@
+/**
+ * Outcome-based call retries
+ * When Twilio reports a terminal status for an outbound call, records the attempt
+ * on the lead and decides whether (and when) to call the lead again
+ *
+ * Retry policy (campaign outcome_retry, job metadata.retryPolicy, or environment defaults):
+ * {
+ *   max_call_attempts: 3,                    // total calls to the lead, including the first
+ *   retry_delays_minutes: [30, 120, 1440],   // spacing before attempt 2, 3, ...; the last value repeats
+ *   retry_on: ['no-answer', 'busy', 'failed']
+ * }
+ * This is separate from the campaign's retry_policy, which only covers retries of calls
+ * that could not be placed (BullMQ attempts and backoff).
+ */
+
+const TERMINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+const DEFAULT_RETRY_ON = ['no-answer', 'busy', 'failed'];
+const RETRYABLE_STATUSES = TERMINAL_STATUSES.filter(status => status !== 'completed');
+const RETRY_POLICY_FIELDS = ['max_call_attempts', 'retry_delays_minutes', 'retry_on'];
+
+// Campaigns whose calls may still be retried
+const ACTIVE_CAMPAIGN_STATUSES = ['running', 'paused'];
+
+/**
+ * Build the default retry policy from the environment
+ * @returns {Object} Retry policy
+ */
+function getDefaultRetryPolicy() {
+  return {
+    max_call_attempts: parseInt(process.env.CALL_RETRY_MAX_ATTEMPTS || 3),
+    retry_delays_minutes: (process.env.CALL_RETRY_DELAYS_MINUTES || '30,120,1440')
+      .split(',')
+      .map(value => parseInt(value.trim()))
+      .filter(value => !isNaN(value)),
+    retry_on: DEFAULT_RETRY_ON
+  };
+}
+
+/**
+ * Validate a retry policy
+ * @param {Object} policy - Retry policy (all fields optional)
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateRetryPolicy(policy) {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return ['must be an object'];
+  }
+
+  const errors = [];
+  const { max_call_attempts, retry_delays_minutes, retry_on } = policy;
+
+  const unknown = Object.keys(policy).filter(key => !RETRY_POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`unknown fields: ${unknown.join(', ')}`);
+  }
+  if (max_call_attempts !== undefined && (!Number.isInteger(max_call_attempts) || max_call_attempts < 1 || max_call_attempts > 10)) {
+    errors.push('max_call_attempts must be an integer between 1 and 10');
+  }
+  if (retry_delays_minutes !== undefined && (
+    !Array.isArray(retry_delays_minutes) ||
+    retry_delays_minutes.length === 0 ||
+    !retry_delays_minutes.every(value => Number.isInteger(value) && value >= 0)
+  )) {
+    errors.push('retry_delays_minutes must be a non-empty array of non-negative integers');
+  }
+  if (retry_on !== undefined && (
+    !Array.isArray(retry_on) ||
+    !retry_on.every(status => RETRYABLE_STATUSES.includes(status))
+  )) {
+    errors.push(`retry_on must be an array of: ${RETRYABLE_STATUSES.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Resolve the retry policy for a call: job override, then campaign, then defaults
+ * Invalid overrides (e.g. job metadata that was never validated) are ignored.
+ * @param {Object} callRequest - Queue job payload that placed the call
+ * @param {Object} campaign - Campaign record (optional)
+ * @returns {Object} Retry policy
+ */
+function resolveRetryPolicy(callRequest = {}, campaign = null) {
+  const metadata = callRequest.metadata || {};
+  const overrides = [
+    { source: 'campaign outcome_retry', policy: campaign && campaign.outcome_retry },
+    { source: 'job metadata.retryPolicy', policy: metadata.retryPolicy }
+  ];
+
+  return overrides.reduce((resolved, { source, policy }) => {
+    if (!policy) {
+      return resolved;
+    }
+    const errors = validateRetryPolicy(policy);
+    if (errors.length > 0) {
+      console.warn(`⚠️  Ignoring invalid ${source}: ${errors.join('; ')}`);
+      return resolved;
+    }
+    return { ...resolved, ...policy };
+  }, getDefaultRetryPolicy());
+}
+
+/**
+ * Decide whether to retry after an attempt
+ * @param {Object} policy - Retry policy
+ * @param {string} status - Terminal Twilio call status
+ * @param {number} attemptNumber - Attempt that just finished (1 = first call)
+ * @returns {Object} { retry, delayMs, reason }
+ */
+function planRetry(policy, status, attemptNumber) {
+  const retryOn = policy.retry_on || DEFAULT_RETRY_ON;
+
+  if (!retryOn.includes(status)) {
+    return { retry: false, reason: `status ${status} is not retried` };
+  }
+  if (attemptNumber >= policy.max_call_attempts) {
+    return { retry: false, reason: `maximum of ${policy.max_call_attempts} attempts reached` };
+  }
+
+  const delays = policy.retry_delays_minutes && policy.retry_delays_minutes.length > 0
+    ? policy.retry_delays_minutes
+    : [30];
+  const delayMinutes = delays[Math.min(attemptNumber - 1, delays.length - 1)];
+
+  return { retry: true, delayMs: delayMinutes * 60000 };
+}
+
+/**
+ * Handle a terminal status for an outbound call placed by the queue
+ * @param {Object} models - Database models
+ * @param {Object} callEvent - Call event (with lead_id, attempt_number and call_request set by the worker)
+ * @param {Function} scheduleRetry - (callRequest, delayMs, { replacesJobId }) => Promise<{ jobId, status }> queues the next attempt (status 'duplicate' when the lead already has a pending call)
+ * @returns {Promise<Object|null>} Outcome ({ attempt, retry, retryAt, jobId, duplicate, reason }), or null if not applicable
+ */
+async function processCallOutcome(models, callEvent, scheduleRetry) {
+  if (!models || !callEvent || !callEvent.lead_id || !TERMINAL_STATUSES.includes(callEvent.call_status)) {
+    return null;
+  }
+
+  const lead = await models.Lead.findById(callEvent.lead_id);
+  if (!lead) {
+    return null;
+  }
+
+  // Twilio can deliver the same status callback more than once
+  const attempts = Array.isArray(lead.call_attempts) ? lead.call_attempts : [];
+  if (attempts.some(attempt => attempt.call_sid === callEvent.call_sid)) {
+    return null;
+  }
+
+  const attemptNumber = callEvent.attempt_number || 1;
+  const callRequest = callEvent.call_request || null;
+  const campaign = callEvent.campaign_id && models.Campaign
+    ? await models.Campaign.findById(callEvent.campaign_id)
+    : null;
+
+  let plan = callRequest
+    ? planRetry(resolveRetryPolicy(callRequest, campaign), callEvent.call_status, attemptNumber)
+    : { retry: false, reason: 'call was not placed by the queue' };
+
+  // Never retry leads that opted out, or calls of campaigns that are no longer active
+  if (plan.retry && lead.lead_status === 'do_not_call') {
+    plan = { retry: false, reason: 'lead is on the Do-Not-Call list' };
+  }
+  if (plan.retry && callEvent.campaign_id && !(campaign && ACTIVE_CAMPAIGN_STATUSES.includes(campaign.status))) {
+    plan = { retry: false, reason: `campaign is ${campaign ? campaign.status : 'deleted'}` };
+  }
+
+  const attempt = {
+    attempt: attemptNumber,
+    call_sid: callEvent.call_sid,
+    status: callEvent.call_status,
+    campaign_id: callEvent.campaign_id || null,
+    duration: callEvent.call_duration || callEvent.duration || null,
+    at: new Date().toISOString(),
+    retry_at: null
+  };
+
+  let jobId = null;
+  let duplicate = false;
+  if (plan.retry) {
+    const retryAt = new Date(Date.now() + plan.delayMs);
+    const job = await scheduleRetry({
+      ...callRequest,
+      metadata: {
+        ...(callRequest.metadata || {}),
+        callAttempt: attemptNumber + 1,
+        retryOf: callEvent.call_sid
+      }
+    }, plan.delayMs, { replacesJobId: callEvent.job_id });
+
+    jobId = job.jobId;
+    if (job.status === 'duplicate') {
+      // The lead already has a pending call, which stands in for the retry
+      duplicate = true;
+      attempt.existing_job_id = job.jobId;
+      plan = { retry: false, reason: `lead already has a pending call (job ${job.jobId})` };
+    } else {
+      attempt.retry_at = retryAt.toISOString();
+    }
+  }
+
+  const leadUpdate = { call_attempts: [...attempts, attempt] };
+  if (!duplicate) {
+    leadUpdate.next_retry_at = attempt.retry_at;
+  }
+  if (!plan.retry && !duplicate && callEvent.call_status !== 'completed' && lead.lead_status === 'contacted') {
+    leadUpdate.lead_status = 'unreachable';
+  }
+  await models.Lead.update(lead.id, leadUpdate);
+
+  if (plan.retry) {
+    console.log(`🔁 Lead ${lead.id}: ${callEvent.call_status} on attempt ${attemptNumber}, retrying at ${attempt.retry_at} (job ${jobId})`);
+  } else {
+    console.log(`🔁 Lead ${lead.id}: ${callEvent.call_status} on attempt ${attemptNumber}, no retry (${plan.reason})`);
+  }
+
+  return {
+    attempt,
+    retry: plan.retry,
+    retryAt: attempt.retry_at,
+    jobId,
+    duplicate,
+    reason: plan.reason || null
+  };
+}
+
+module.exports = {
+  TERMINAL_STATUSES,
+  getDefaultRetryPolicy,
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  planRetry,
+  processCallOutcome
+};
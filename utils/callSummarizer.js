@@ -0,0 +1,104 @@
+/**
+ * Post-call summarization
+ * Runs a finished call's transcript through an OpenAI model to extract a
+ * summary, outcome (disposition), next action and structured fields
+ */
+
+const { OpenAI } = require('openai');
+
+const CALL_OUTCOMES = ['interested', 'not_interested', 'callback', 'wrong_number', 'no_conversation'];
+
+// Lead status applied automatically for each call outcome
+const OUTCOME_LEAD_STATUS = {
+  interested: 'interested',
+  not_interested: 'not_interested',
+  callback: 'callback',
+  wrong_number: 'wrong_number',
+  no_conversation: 'contacted'
+};
+
+const SUMMARY_PROMPT = `You review transcripts of phone calls made by an AI voice agent.
+Return a JSON object with exactly these keys:
+- "summary": two or three sentences describing what happened on the call
+- "outcome": one of "interested", "not_interested", "callback", "wrong_number", "no_conversation"
+- "next_action": the single most useful follow-up step for the sales team, or null
+- "extracted_fields": an object with any concrete details the caller gave (for example preferred_callback_time, email, budget, objections, products_mentioned); use {} if none
+Use "callback" when the caller asked to be called back later, and "no_conversation" when the caller never engaged.`;
+
+let openaiClient = null;
+
+/**
+ * Lazily create the OpenAI client
+ * @returns {OpenAI} OpenAI client
+ */
+function getOpenAIClient() {
+  if (!openaiClient) {
+    if (!process.env.OPENAI_API_KEY) {
+      throw new Error('OPENAI_API_KEY is not configured in .env file');
+    }
+    openaiClient = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+  }
+  return openaiClient;
+}
+
+/**
+ * Format conversation history as plain transcript text
+ * @param {Array} transcript - Entries with role and content
+ * @returns {string} Transcript text
+ */
+function formatTranscript(transcript = []) {
+  return transcript
+    .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+    .map(entry => `${entry.role === 'user' ? 'Caller' : 'Agent'}: ${entry.content}`)
+    .join('\n');
+}
+
+/**
+ * Summarize a call transcript
+ * @param {Array} transcript - Conversation history ({ role, content })
+ * @returns {Promise<Object>} { summary, outcome, next_action, extracted_fields, model }
+ */
+async function summarizeTranscript(transcript) {
+  const transcriptText = formatTranscript(transcript);
+  const hasCallerTurn = transcript.some(entry => entry.role === 'user' && entry.content);
+
+  if (!transcriptText || !hasCallerTurn) {
+    return {
+      summary: 'The caller did not engage in a conversation.',
+      outcome: 'no_conversation',
+      next_action: null,
+      extracted_fields: {},
+      model: null
+    };
+  }
+
+  const model = process.env.CALL_SUMMARY_MODEL || 'gpt-4o-mini';
+  const completion = await getOpenAIClient().chat.completions.create({
+    model,
+    temperature: 0.2,
+    response_format: { type: 'json_object' },
+    messages: [
+      { role: 'system', content: SUMMARY_PROMPT },
+      { role: 'user', content: transcriptText }
+    ]
+  });
+
+  const result = JSON.parse(completion.choices[0].message.content || '{}');
+
+  return {
+    summary: result.summary || '',
+    outcome: CALL_OUTCOMES.includes(result.outcome) ? result.outcome : 'no_conversation',
+    next_action: result.next_action || null,
+    extracted_fields: result.extracted_fields && typeof result.extracted_fields === 'object'
+      ? result.extracted_fields
+      : {},
+    model
+  };
+}
+
+module.exports = {
+  CALL_OUTCOMES,
+  OUTCOME_LEAD_STATUS,
+  formatTranscript,
+  summarizeTranscript
+};
@@ -0,0 +1,117 @@
+/**
+ * Call status timeline
+ * Orders Twilio status callbacks and works out when a call rang, was answered and ended.
+ * Twilio does not guarantee callbacks arrive in order, so the current status of a call is
+ * the furthest stage it has reached rather than the last callback received.
+ */
+
+const { TERMINAL_STATUSES } = require('./callRetry');
+
+// How far along a call is at each status
+const STATUS_STAGES = {
+  queued: 0,
+  initiated: 1,
+  ringing: 2,
+  'in-progress': 3
+};
+
+// call_events column holding when each stage was first reached
+const STAGE_COLUMNS = {
+  initiated: 'initiated_at',
+  ringing: 'ringing_at',
+  'in-progress': 'answered_at'
+};
+
+/**
+ * How far along a call is at a status
+ * @param {string} status - Twilio call status
+ * @returns {number} Stage (terminal statuses are last, unknown statuses first)
+ */
+function getStatusStage(status) {
+  if (TERMINAL_STATUSES.includes(status)) {
+    return 4;
+  }
+  return STATUS_STAGES[status] !== undefined ? STATUS_STAGES[status] : -1;
+}
+
+/**
+ * Column on call_events recording when a status was first reached
+ * @param {string} status - Twilio call status
+ * @returns {string|null} Column name
+ */
+function getStageColumn(status) {
+  if (TERMINAL_STATUSES.includes(status)) {
+    return 'ended_at';
+  }
+  return STAGE_COLUMNS[status] || null;
+}
+
+/**
+ * Seconds between two timestamps
+ * @param {string} from - Start timestamp
+ * @param {string} to - End timestamp
+ * @returns {number|null} Whole seconds, or null if either is missing
+ */
+function secondsBetween(from, to) {
+  if (!from || !to) {
+    return null;
+  }
+  return Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+}
+
+/**
+ * Build the status timeline of a call
+ * @param {Object} callEvent - call_events row (may be null if only history exists)
+ * @param {Array} history - call_event_history rows, oldest first
+ * @returns {Object} Timeline with events, stage timestamps, ring time and talk time
+ */
+function buildCallTimeline(callEvent, history = []) {
+  const firstSeen = (statuses) => {
+    const event = history.find(item => statuses.includes(item.call_status));
+    return event ? event.event_timestamp : null;
+  };
+
+  const initiatedAt = (callEvent && callEvent.initiated_at) || firstSeen(['initiated']);
+  const ringingAt = (callEvent && callEvent.ringing_at) || firstSeen(['ringing']);
+  const answeredAt = (callEvent && callEvent.answered_at) || firstSeen(['in-progress']);
+  const endedAt = (callEvent && callEvent.ended_at) || firstSeen(TERMINAL_STATUSES);
+  const startedAt = initiatedAt || ringingAt || (history[0] && history[0].event_timestamp) || null;
+
+  // Unanswered calls ring until they end; talk time falls back to Twilio's billed duration
+  const ringTime = ringingAt ? secondsBetween(ringingAt, answeredAt || endedAt) : null;
+  let talkTime = answeredAt ? secondsBetween(answeredAt, endedAt) : null;
+  if (talkTime === null && answeredAt && callEvent && callEvent.call_duration) {
+    talkTime = callEvent.call_duration;
+  }
+
+  const lastEvent = history[history.length - 1];
+  const status = (callEvent && callEvent.call_status) || (lastEvent && lastEvent.call_status) || null;
+
+  return {
+    callSid: (callEvent && callEvent.call_sid) || (lastEvent && lastEvent.call_sid) || null,
+    status,
+    answered: Boolean(answeredAt),
+    answeredBy: (callEvent && callEvent.answered_by) || null,
+    initiatedAt,
+    ringingAt,
+    answeredAt,
+    endedAt,
+    ringTimeSeconds: ringTime,
+    talkTimeSeconds: talkTime,
+    totalTimeSeconds: secondsBetween(startedAt, endedAt),
+    events: history.map(event => ({
+      status: event.call_status,
+      at: event.event_timestamp,
+      sequenceNumber: event.sequence_number,
+      offsetSeconds: secondsBetween(startedAt, event.event_timestamp),
+      duration: event.call_duration || event.duration || null,
+      answeredBy: event.answered_by || null
+    }))
+  };
+}
+
+module.exports = {
+  getStatusStage,
+  getStageColumn,
+  buildCallTimeline
+};
@@ -0,0 +1,165 @@
+/**
+ * Warm transfer of a live AI call to a human agent or queue number
+ * Redirects the Twilio call to new TwiML and hands over a summary of the conversation
+ */
+
+const twilio = require('twilio');
+
+const DEFAULT_HOLD_MESSAGE = 'Please hold while I connect you to a member of our team.';
+
+const TRANSFER_MODES = ['dial', 'conference'];
+
+/**
+ * Numbers calls may be transferred to
+ * TRANSFER_AGENT_NUMBER, TRANSFER_QUEUE_NUMBER and the comma-separated TRANSFER_ALLOWED_NUMBERS
+ * @returns {Array<string>} E.164 phone numbers
+ */
+function getTransferTargets() {
+  return [
+    process.env.TRANSFER_AGENT_NUMBER,
+    process.env.TRANSFER_QUEUE_NUMBER,
+    ...(process.env.TRANSFER_ALLOWED_NUMBERS || '').split(',')
+  ]
+    .map(number => (number || '').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve the phone number for a transfer target
+ * Calls are never handed to a number that is not configured as a transfer target.
+ * @param {string} target - 'agent', 'queue' or one of the configured transfer numbers
+ * @returns {string|null} Phone number to dial, or null if the target is not configured
+ */
+function resolveTransferNumber(target = 'agent') {
+  if (target && target.startsWith('+')) {
+    return getTransferTargets().includes(target) ? target : null;
+  }
+  if (target === 'queue') {
+    return process.env.TRANSFER_QUEUE_NUMBER || process.env.TRANSFER_AGENT_NUMBER || null;
+  }
+  return process.env.TRANSFER_AGENT_NUMBER || process.env.TRANSFER_QUEUE_NUMBER || null;
+}
+
+/**
+ * Build a short written summary of the conversation so far
+ * @param {Array} history - Conversation history from OpenAIRealtimeSession
+ * @param {Object} options - Summary options
+ * @param {string} options.reason - Why the call is being transferred
+ * @param {number} options.maxTurns - Number of recent turns to include (default: 6)
+ * @returns {string} Summary text
+ */
+function buildConversationSummary(history = [], { reason, maxTurns = 6 } = {}) {
+  const turns = history
+    .filter(entry => (entry.role === 'user' || entry.role === 'assistant') && entry.content)
+    .slice(-maxTurns)
+    .map(entry => `${entry.role === 'user' ? 'Caller' : 'Assistant'}: ${entry.content}`);
+
+  const parts = [];
+  if (reason) {
+    parts.push(`Transfer reason: ${reason}.`);
+  }
+  if (turns.length > 0) {
+    parts.push(`Recent conversation: ${turns.join(' ')}`);
+  } else {
+    parts.push('No conversation was captured before the transfer.');
+  }
+  return parts.join(' ');
+}
+
+/**
+ * Transfer a live call to a human
+ * The caller's media stream ends when the call is redirected, which closes the AI session.
+ * @param {Object} twilioClient - Twilio REST client
+ * @param {Object} options - Transfer options
+ * @param {string} options.callSid - Call to transfer
+ * @param {string} options.to - Agent or queue phone number
+ * @param {string} options.summary - Summary spoken to the agent before connecting
+ * @param {string} options.mode - 'dial' (whisper then bridge) or 'conference' (default: 'dial')
+ * @param {string} options.callerId - Caller ID for the agent leg
+ * @param {string} options.publicUrl - Public base URL for the whisper TwiML endpoint
+ * @returns {Promise<Object>} Transfer result
+ */
+async function transferCall(twilioClient, options) {
+  const {
+    callSid,
+    to,
+    summary = '',
+    mode = 'dial',
+    callerId = process.env.TWILIO_PHONE_NUMBER,
+    publicUrl = process.env.PUBLIC_URL || 'http://localhost:3000',
+    holdMessage = DEFAULT_HOLD_MESSAGE
+  } = options;
+
+  if (!callSid) {
+    throw new Error('callSid is required for a transfer');
+  }
+  if (!to) {
+    throw new Error('No transfer number configured (set TRANSFER_AGENT_NUMBER or pass a number)');
+  }
+  if (!TRANSFER_MODES.includes(mode)) {
+    throw new Error(`Transfer mode must be one of: ${TRANSFER_MODES.join(', ')}`);
+  }
+
+  const twiml = new twilio.twiml.VoiceResponse();
+  twiml.say({ voice: 'alice' }, holdMessage);
+
+  let agentCallSid = null;
+
+  if (mode === 'conference') {
+    // Caller waits in a conference; the agent hears the summary, then joins
+    const conferenceName = `transfer-${callSid}`;
+    const dial = twiml.dial();
+    dial.conference({
+      startConferenceOnEnter: false,
+      endConferenceOnExit: false
+    }, conferenceName);
+
+    await twilioClient.calls(callSid).update({ twiml: twiml.toString() });
+
+    const agentTwiml = new twilio.twiml.VoiceResponse();
+    if (summary) {
+      agentTwiml.say({ voice: 'alice' }, `Incoming transfer. ${summary}`);
+    }
+    const agentDial = agentTwiml.dial();
+    agentDial.conference({
+      startConferenceOnEnter: true,
+      endConferenceOnExit: true
+    }, conferenceName);
+
+    const agentCall = await twilioClient.calls.create({
+      to,
+      from: callerId,
+      twiml: agentTwiml.toString()
+    });
+    agentCallSid = agentCall.sid;
+  } else {
+    // Dial the agent directly; the whisper URL plays the summary to the agent only
+    const dial = twiml.dial({ callerId });
+    const whisperParams = new URLSearchParams({ summary });
+    dial.number({
+      url: `${publicUrl}/transfer-whisper?${whisperParams.toString()}`,
+      method: 'POST'
+    }, to);
+
+    await twilioClient.calls(callSid).update({ twiml: twiml.toString() });
+  }
+
+  console.log(`[${callSid}] 🔀 Call transferred to ${to} (${mode})`);
+
+  return {
+    success: true,
+    callSid,
+    transferredTo: to,
+    mode,
+    agentCallSid,
+    summary
+  };
+}
+
+module.exports = {
+  TRANSFER_MODES,
+  getTransferTargets,
+  resolveTransferNumber,
+  buildConversationSummary,
+  transferCall
+};
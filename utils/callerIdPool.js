@@ -0,0 +1,156 @@
+/**
+ * Caller ID pool selection
+ * Picks the outbound number that best matches the lead's area code (local presence),
+ * rotating between equally good numbers and respecting each number's daily cap.
+ * Daily usage is counted in Redis per UTC day; calls that fail to dial are refunded.
+ */
+
+const { timezoneFromPhone } = require('./leadTimezone');
+
+/**
+ * Redis key for a number's usage today
+ * @param {string} phoneNumber - Caller ID
+ * @returns {string} Redis key
+ */
+function usageKey(phoneNumber) {
+  const day = new Date().toISOString().split('T')[0];
+  return `caller-id-usage:${day}:${phoneNumber}`;
+}
+
+/**
+ * Split an E.164 number into country code and NANP area code
+ * @param {string} phone - Phone number
+ * @returns {Object} { digits, areaCode } (areaCode only for +1 numbers)
+ */
+function parseNumber(phone) {
+  const digits = String(phone || '').replace(/[^\d]/g, '');
+  const isNanp = digits.length === 11 && digits.startsWith('1');
+  return { digits, areaCode: isNanp ? digits.substring(1, 4) : null };
+}
+
+/**
+ * Score how local a caller ID looks to the person being called
+ * @param {string} callerId - Candidate caller ID
+ * @param {string} to - Number being called
+ * @returns {number} 3 same area code, 2 same timezone, 1 same country, 0 otherwise
+ */
+function scoreCallerId(callerId, to) {
+  const caller = parseNumber(callerId);
+  const callee = parseNumber(to);
+
+  if (caller.areaCode && caller.areaCode === callee.areaCode) {
+    return 3;
+  }
+
+  const callerZone = timezoneFromPhone(callerId);
+  const calleeZone = timezoneFromPhone(to);
+  if (callerZone && calleeZone && callerZone.timezone === calleeZone.timezone) {
+    return 2;
+  }
+
+  // Same country: both North American, or sharing the leading calling-code digits
+  const bothNanp = caller.areaCode && callee.areaCode;
+  const neitherNanp = !caller.areaCode && !callee.areaCode;
+  if (bothNanp || (neitherNanp && caller.digits.substring(0, 2) === callee.digits.substring(0, 2))) {
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Get today's call counts for numbers
+ * @param {Object} redis - ioredis client
+ * @param {Array<string>} phoneNumbers - Caller IDs
+ * @returns {Promise<Object>} Usage keyed by number
+ */
+async function getDailyUsage(redis, phoneNumbers) {
+  if (phoneNumbers.length === 0) {
+    return {};
+  }
+
+  const counts = await redis.mget(phoneNumbers.map(usageKey));
+  return phoneNumbers.reduce((acc, phoneNumber, index) => {
+    acc[phoneNumber] = parseInt(counts[index]) || 0;
+    return acc;
+  }, {});
+}
+
+/**
+ * Count one call against a number's daily cap
+ * @param {Object} redis - ioredis client
+ * @param {Object} callerId - Caller ID record
+ * @returns {Promise<boolean>} True if the number was still under its cap
+ */
+async function reserveCallerId(redis, callerId) {
+  const key = usageKey(callerId.phone_number);
+  const [[, count]] = await redis.multi().incr(key).expire(key, 2 * 24 * 3600).exec();
+
+  if (count > callerId.daily_cap) {
+    await redis.decr(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Give back a call counted against a number's daily cap (the call was never placed)
+ * @param {Object} redis - ioredis client
+ * @param {string} phoneNumber - Caller ID returned by selectCallerId
+ * @returns {Promise<void>}
+ */
+async function releaseCallerId(redis, phoneNumber) {
+  const key = usageKey(phoneNumber);
+  // The day may have rolled over since the number was reserved
+  if (await redis.decr(key) < 0) {
+    await redis.del(key);
+  }
+}
+
+/**
+ * Select the caller ID for a call and count it against the number's daily cap
+ * @param {Object} models - Database models
+ * @param {Object} redis - ioredis client
+ * @param {Object} options - Call details
+ * @param {string} options.to - Number being called
+ * @param {number} options.campaignId - Campaign placing the call (uses its reserved numbers if any)
+ * @returns {Promise<string|null>} Caller ID, or null when the pool is empty or every number is capped
+ */
+async function selectCallerId(models, redis, { to, campaignId = null }) {
+  if (!models || !models.CallerId || !redis) {
+    return null;
+  }
+
+  const candidates = await models.CallerId.findAvailable(campaignId);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const usage = await getDailyUsage(redis, candidates.map(candidate => candidate.phone_number));
+
+  // Most local first; among equally local numbers, the least used today (rotation)
+  const ranked = candidates
+    .filter(candidate => usage[candidate.phone_number] < candidate.daily_cap)
+    .map(candidate => ({
+      candidate,
+      score: scoreCallerId(candidate.phone_number, to),
+      used: usage[candidate.phone_number]
+    }))
+    .sort((a, b) => b.score - a.score || a.used - b.used);
+
+  for (const { candidate } of ranked) {
+    if (await reserveCallerId(redis, candidate)) {
+      return candidate.phone_number;
+    }
+  }
+
+  console.warn(`⚠️  Every caller ID in the pool has reached its daily cap (calling ${to})`);
+  return null;
+}
+
+module.exports = {
+  scoreCallerId,
+  getDailyUsage,
+  selectCallerId,
+  releaseCallerId
+};
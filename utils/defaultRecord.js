@@ -0,0 +1,104 @@
+/**
+ * Default records
+ * Agent profiles, IVR flows, business calendars and rate cards each allow one default row
+ * (a unique index on is_default). The default is switched by the set_default_record SQL
+ * function, which clears the old default and sets the new one in one transaction, so a
+ * failed write never leaves a table without its default.
+ */
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Check whether a database error is a unique constraint violation
+ * @param {Object} error - Supabase / Postgres error
+ * @returns {boolean} True for duplicate names, numbers or defaults
+ */
+function isUniqueViolation(error) {
+  return Boolean(error) && error.code === UNIQUE_VIOLATION;
+}
+
+/**
+ * Make a row its table's default
+ * @param {Object} supabase - Supabase client
+ * @param {string} tableName - Table with an is_default column
+ * @param {number} id - Row ID
+ * @returns {Promise<Object|null>} Updated row, or null if it does not exist
+ */
+async function setDefaultRecord(supabase, tableName, id) {
+  const { data, error } = await supabase.rpc('set_default_record', {
+    target_table: tableName,
+    record_id: id
+  });
+
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Insert a row, making it the default if is_default is set
+ * The row is inserted as a non-default first; if it cannot then be made the default it is removed again.
+ * @param {Object} supabase - Supabase client
+ * @param {string} tableName - Table with an is_default column
+ * @param {Object} row - Row to insert
+ * @returns {Promise<Object>} Inserted row
+ */
+async function insertWithDefault(supabase, tableName, row) {
+  const { is_default, ...fields } = row;
+
+  const { data, error } = await supabase
+    .from(tableName)
+    .insert([{ ...fields, is_default: false }])
+    .select()
+    .single();
+
+  if (error) throw error;
+  if (!is_default) {
+    return data;
+  }
+
+  try {
+    return await setDefaultRecord(supabase, tableName, data.id);
+  } catch (defaultError) {
+    await supabase.from(tableName).delete().eq('id', data.id);
+    throw defaultError;
+  }
+}
+
+/**
+ * Update a row by ID, making it the default if is_default is true
+ * @param {Object} supabase - Supabase client
+ * @param {string} tableName - Table with an is_default column
+ * @param {number} id - Row ID
+ * @param {Object} updateData - Fields to update
+ * @returns {Promise<Object|null>} Updated row, or null if it does not exist
+ */
+async function updateWithDefault(supabase, tableName, id, updateData) {
+  const { is_default, ...fields } = updateData;
+
+  const { data, error } = await supabase
+    .from(tableName)
+    .update({
+      ...fields,
+      // Unsetting the default needs no other row to change
+      ...(is_default === false ? { is_default: false } : {}),
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data || is_default !== true) {
+    return data;
+  }
+
+  return setDefaultRecord(supabase, tableName, id);
+}
+
+module.exports = {
+  isUniqueViolation,
+  setDefaultRecord,
+  insertWithDefault,
+  updateWithDefault
+};
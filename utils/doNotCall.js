@@ -0,0 +1,85 @@
+/**
+ * Do-Not-Call helpers
+ * Normalizes numbers for the do_not_call registry and checks them before dialling
+ */
+
+const { validatePhoneNumber } = require('./phoneValidator');
+
+/**
+ * Normalize a phone number for DNC storage and lookups
+ * Supported numbers are formatted to E.164; others are reduced to + and digits
+ * @param {string} phone - Phone number in any format
+ * @returns {string|null} Normalized number, or null if empty
+ */
+function normalizeDncNumber(phone) {
+  if (!phone) {
+    return null;
+  }
+
+  const validation = validatePhoneNumber(String(phone));
+  if (validation.isValid) {
+    return validation.formatted;
+  }
+
+  const cleaned = String(phone).replace(/[^\d+]/g, '');
+  return cleaned || null;
+}
+
+/**
+ * Check a number against the Do-Not-Call registry
+ * @param {Object} models - Database models
+ * @param {string} phone - Number about to be dialled
+ * @returns {Promise<Object|null>} DNC entry if the number is blocked, otherwise null
+ */
+async function findDoNotCallEntry(models, phone) {
+  if (!models || !models.DoNotCall) {
+    return null;
+  }
+
+  const number = normalizeDncNumber(phone);
+  return number ? models.DoNotCall.findByPhoneNumber(number) : null;
+}
+
+/**
+ * Split a list of calls or leads into allowed and blocked by the Do-Not-Call registry
+ * @param {Object} models - Database models
+ * @param {Array<Object>} items - Calls or leads
+ * @param {Function} getPhone - Returns the number to check for an item
+ * @returns {Promise<Object>} { allowed, blocked }
+ */
+async function filterDoNotCall(models, items, getPhone) {
+  if (!models || !models.DoNotCall || items.length === 0) {
+    return { allowed: items, blocked: [] };
+  }
+
+  const numbers = items.map(item => normalizeDncNumber(getPhone(item)));
+  const blockedNumbers = await models.DoNotCall.findBlocked([...new Set(numbers.filter(Boolean))]);
+
+  return {
+    allowed: items.filter((item, index) => !blockedNumbers.has(numbers[index])),
+    blocked: items.filter((item, index) => blockedNumbers.has(numbers[index]))
+  };
+}
+
+/**
+ * Build the JSON error body for a blocked number
+ * @param {string} phone - Number that was blocked
+ * @param {Object} entry - DNC entry
+ * @returns {Object} Error response body
+ */
+function buildDoNotCallError(phone, entry) {
+  return {
+    success: false,
+    error: 'Number is on the Do-Not-Call list',
+    phoneNumber: entry.phone_number || phone,
+    reason: entry.reason || null,
+    addedAt: entry.created_at
+  };
+}
+
+module.exports = {
+  normalizeDncNumber,
+  findDoNotCallEntry,
+  filterDoNotCall,
+  buildDoNotCallError
+};
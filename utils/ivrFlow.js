@@ -0,0 +1,332 @@
+/**
+ * Data-driven inbound IVR flows
+ * Renders IVR menus and digit actions stored in the ivr_flows table as TwiML
+ *
+ * Flow definition format:
+ * {
+ *   entry: 'main',                       // menu played when the call arrives
+ *   voice: 'alice',                      // TTS voice for prompts
+ *   menus: {
+ *     main: {
+ *       prompt: 'Press 1 for sales...',  // string or array of strings (or promptUrl to <Play>)
+ *       numDigits: 1,
+ *       timeout: 5,                      // seconds to wait for input
+ *       maxRetries: 2,                   // replays after invalid/no input
+ *       options: { '1': <action>, '2': <action> },
+ *       invalid: <action>,               // optional, default: replay menu then hang up
+ *       noInput: <action>                // optional, default: same as invalid
+ *     }
+ *   }
+ * }
+ *
+ * Actions:
+ *   { action: 'agent', agentProfileId, message }   connect to the AI agent
+ *   { action: 'menu', menu: 'sales' }              go to another menu
+ *   { action: 'forward', number: '+1...', message } forward to a phone number
+ *   { action: 'voicemail', message, maxLength }    record a voicemail
+ *   { action: 'hangup', message }                  say goodbye and hang up
+ */
+
+const VALID_ACTIONS = ['agent', 'menu', 'forward', 'voicemail', 'hangup'];
+
+// Built-in flow matching the original hardcoded /incoming-call behaviour
+const DEFAULT_IVR_FLOW = {
+  id: null,
+  name: 'Built-in default',
+  definition: {
+    entry: 'main',
+    voice: 'alice',
+    menus: {
+      main: {
+        prompt: [
+          'Hello! Thank you for calling. This is a Twilio powered voice application.',
+          'Press 1 to continue or hang up to end the call.'
+        ],
+        numDigits: 1,
+        maxRetries: 0,
+        options: {
+          '1': { action: 'agent', message: 'Connecting you to the AI assistant now.' }
+        },
+        invalid: { action: 'hangup', message: 'Invalid input. Goodbye!' }
+      }
+    }
+  }
+};
+
+// Built-in flow played outside business hours when the calendar has no after-hours flow
+const DEFAULT_AFTER_HOURS_FLOW = {
+  id: null,
+  name: 'Built-in after hours',
+  definition: {
+    entry: 'main',
+    voice: 'alice',
+    menus: {
+      main: {
+        prompt: [
+          'Thank you for calling. Our office is currently closed.',
+          'Press 1 to leave a message and we will call you back during business hours, or hang up to end the call.'
+        ],
+        numDigits: 1,
+        maxRetries: 0,
+        options: {
+          '1': { action: 'voicemail', message: 'Please leave your message after the beep.' }
+        },
+        invalid: { action: 'hangup', message: 'Goodbye!' }
+      }
+    }
+  }
+};
+
+// Built-in flow played when every live AI call slot is taken (MAX_LIVE_CALLS)
+const DEFAULT_OVERFLOW_FLOW = {
+  id: null,
+  key: 'overflow',
+  name: 'Built-in overflow',
+  definition: {
+    entry: 'main',
+    voice: 'alice',
+    menus: {
+      main: {
+        prompt: [
+          'Thank you for calling. All of our agents are busy helping other callers right now.',
+          'Press 1 to leave a message and we will call you back, or hang up and try again in a few minutes.'
+        ],
+        numDigits: 1,
+        maxRetries: 0,
+        options: {
+          '1': { action: 'voicemail', message: 'Please leave your message after the beep.' }
+        },
+        invalid: { action: 'hangup', message: 'Goodbye!' }
+      }
+    }
+  }
+};
+
+/**
+ * Validate an action
+ * @param {Object} action - Action definition
+ * @param {Object} menus - All menus in the flow (to check menu references)
+ * @param {string} location - Where the action is defined (for error messages)
+ * @returns {Array<string>} Validation errors
+ */
+function validateAction(action, menus, location) {
+  if (!action || typeof action !== 'object') {
+    return [`${location}: action must be an object`];
+  }
+  if (!VALID_ACTIONS.includes(action.action)) {
+    return [`${location}: unknown action "${action.action}" (expected one of ${VALID_ACTIONS.join(', ')})`];
+  }
+  if (action.action === 'menu' && !menus[action.menu]) {
+    return [`${location}: menu "${action.menu}" does not exist`];
+  }
+  if (action.action === 'forward' && !action.number) {
+    return [`${location}: forward action requires a number`];
+  }
+  return [];
+}
+
+/**
+ * Validate a flow definition
+ * @param {Object} definition - Flow definition
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateFlowDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['definition must be an object'];
+  }
+
+  const menus = definition.menus || {};
+  const errors = [];
+
+  if (Object.keys(menus).length === 0) {
+    errors.push('definition.menus must contain at least one menu');
+  }
+  if (!menus[definition.entry || 'main']) {
+    errors.push(`entry menu "${definition.entry || 'main'}" does not exist`);
+  }
+
+  Object.entries(menus).forEach(([menuId, menu]) => {
+    if (!menu.prompt && !menu.promptUrl) {
+      errors.push(`menus.${menuId}: prompt or promptUrl is required`);
+    }
+    Object.entries(menu.options || {}).forEach(([digit, action]) => {
+      if (!/^[0-9*#]+$/.test(digit)) {
+        errors.push(`menus.${menuId}.options: "${digit}" is not a valid key`);
+      }
+      errors.push(...validateAction(action, menus, `menus.${menuId}.options.${digit}`));
+    });
+    if (menu.invalid) {
+      errors.push(...validateAction(menu.invalid, menus, `menus.${menuId}.invalid`));
+    }
+    if (menu.noInput) {
+      errors.push(...validateAction(menu.noInput, menus, `menus.${menuId}.noInput`));
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the /handle-key URL for a menu
+ * @param {Object} flow - Flow record
+ * @param {string} menuId - Menu ID
+ * @param {number} attempt - Retry attempt number
+ * @returns {string} Relative action URL
+ */
+function buildMenuActionUrl(flow, menuId, attempt = 0) {
+  const params = new URLSearchParams({ menu: menuId, attempt: String(attempt) });
+  if (flow.id) {
+    params.append('flowId', flow.id);
+  } else if (flow.key) {
+    // Built-in flows that cannot be re-resolved from the call alone
+    params.append('flow', flow.key);
+  }
+  return `/handle-key?${params.toString()}`;
+}
+
+/**
+ * Say or play a prompt
+ * @param {Object} node - TwiML node (VoiceResponse or Gather)
+ * @param {Object} menu - Menu definition
+ * @param {string} voice - TTS voice
+ */
+function appendPrompt(node, menu, voice) {
+  if (menu.promptUrl) {
+    node.play(menu.promptUrl);
+    return;
+  }
+
+  const prompts = Array.isArray(menu.prompt) ? menu.prompt : [menu.prompt];
+  prompts.forEach((prompt, index) => {
+    if (index > 0) {
+      node.pause({ length: 1 });
+    }
+    node.say({ voice }, prompt);
+  });
+}
+
+/**
+ * Render a menu: play its prompt and gather digits
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {Object} flow - Flow record ({ id, definition })
+ * @param {string} menuId - Menu to render (default: the flow's entry menu)
+ * @param {number} attempt - Retry attempt number
+ */
+function renderMenu(twiml, flow, menuId, attempt = 0) {
+  const definition = flow.definition;
+  const id = menuId || definition.entry || 'main';
+  const menu = definition.menus[id];
+  const voice = definition.voice || 'alice';
+
+  const gather = twiml.gather({
+    numDigits: menu.numDigits || 1,
+    timeout: menu.timeout || 5,
+    action: buildMenuActionUrl(flow, id, attempt),
+    method: 'POST'
+  });
+  appendPrompt(gather, menu, voice);
+
+  // No input: Twilio falls through to the next verb
+  twiml.redirect({ method: 'POST' }, `${buildMenuActionUrl(flow, id, attempt)}&noInput=true`);
+}
+
+/**
+ * Render an action
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {Object} flow - Flow record
+ * @param {Object} action - Action definition
+ * @param {Object} helpers - Call context and URL helpers
+ * @param {Function} helpers.connectMediaStream - Connects the call to the media stream (twiml, params, streamOptions)
+ * @param {string} helpers.publicUrl - Public base URL for callbacks
+ * @param {string} helpers.agentProfileId - Profile for the dialled number (used when the action has none)
+ */
+function renderAction(twiml, flow, action, helpers) {
+  const voice = flow.definition.voice || 'alice';
+
+  if (action.message) {
+    twiml.say({ voice }, action.message);
+  }
+
+  switch (action.action) {
+    case 'agent': {
+      helpers.connectMediaStream(twiml, {
+        agentProfileId: action.agentProfileId || helpers.agentProfileId
+      }, { track: 'both_tracks' });
+      break;
+    }
+
+    case 'menu':
+      renderMenu(twiml, flow, action.menu);
+      break;
+
+    case 'forward':
+      twiml.dial({ callerId: action.callerId || undefined }, action.number);
+      break;
+
+    case 'voicemail':
+      twiml.record({
+        maxLength: action.maxLength || 120,
+        playBeep: true,
+        action: '/ivr/voicemail-complete',
+        method: 'POST',
+        recordingStatusCallback: `${helpers.publicUrl}/recording-status`,
+        recordingStatusCallbackMethod: 'POST'
+      });
+      break;
+
+    case 'hangup':
+    default:
+      twiml.hangup();
+  }
+}
+
+/**
+ * Handle digits entered for a menu
+ * @param {Object} twiml - Twilio VoiceResponse
+ * @param {Object} flow - Flow record
+ * @param {Object} input - Gather result
+ * @param {string} input.menuId - Menu the digits were entered for
+ * @param {string} input.digits - Digits pressed (empty on no input)
+ * @param {number} input.attempt - Retry attempt number
+ * @param {boolean} input.noInput - True when the gather timed out
+ * @param {Object} helpers - See renderAction
+ */
+function handleMenuInput(twiml, flow, input, helpers) {
+  const definition = flow.definition;
+  const menuId = definition.menus[input.menuId] ? input.menuId : (definition.entry || 'main');
+  const menu = definition.menus[menuId];
+  const voice = definition.voice || 'alice';
+
+  const selected = input.digits && menu.options ? menu.options[input.digits] : null;
+  if (selected) {
+    renderAction(twiml, flow, selected, helpers);
+    return;
+  }
+
+  const fallback = (input.noInput && menu.noInput) || menu.invalid;
+  if (fallback) {
+    renderAction(twiml, flow, fallback, helpers);
+    return;
+  }
+
+  // Default: replay the menu a few times, then hang up
+  const maxRetries = menu.maxRetries !== undefined ? menu.maxRetries : 2;
+  if (input.attempt < maxRetries) {
+    twiml.say({ voice }, input.noInput ? 'Sorry, I did not receive any input.' : 'Sorry, that is not a valid option.');
+    renderMenu(twiml, flow, menuId, input.attempt + 1);
+  } else {
+    twiml.say({ voice }, 'Goodbye!');
+    twiml.hangup();
+  }
+}
+
+module.exports = {
+  DEFAULT_IVR_FLOW,
+  DEFAULT_AFTER_HOURS_FLOW,
+  DEFAULT_OVERFLOW_FLOW,
+  VALID_ACTIONS,
+  validateFlowDefinition,
+  renderMenu,
+  renderAction,
+  handleMenuInput
+};
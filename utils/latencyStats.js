@@ -0,0 +1,153 @@
+/**
+ * Conversation turn metrics
+ * Latency breakdown and token usage recorded for each assistant turn, and the
+ * percentile summaries used to spot latency regressions
+ *
+ * Latency fields (milliseconds, missing when the stage did not happen, e.g. the greeting):
+ *   speech_duration_ms             caller speech start → speech stop
+ *   buffer_commit_ms               speech stop → response requested
+ *   response_creation_ms           response requested → response created
+ *   time_to_first_audio_ms         response created → first audio chunk
+ *   speech_stop_to_first_audio_ms  speech stop → first audio chunk (what the caller waits)
+ *   audio_streaming_ms             first → last audio chunk
+ *   total_turn_ms                  speech stop → response done
+ */
+
+const LATENCY_FIELDS = [
+  'speech_duration_ms',
+  'buffer_commit_ms',
+  'response_creation_ms',
+  'time_to_first_audio_ms',
+  'speech_stop_to_first_audio_ms',
+  'audio_streaming_ms',
+  'total_turn_ms'
+];
+
+const TOKEN_FIELDS = [
+  'total_tokens',
+  'input_tokens',
+  'output_tokens',
+  'input_text_tokens',
+  'input_audio_tokens',
+  'input_cached_tokens',
+  'output_text_tokens',
+  'output_audio_tokens'
+];
+
+/**
+ * Work out a turn's latency breakdown from the session's timestamps
+ * @param {Object} times - Session latencyMetrics (epoch ms per stage)
+ * @returns {Object} Latency fields
+ */
+function buildTurnLatency(times) {
+  const between = (from, to) => (times[from] && times[to] ? times[to] - times[from] : undefined);
+
+  const latency = {
+    speech_duration_ms: between('speechStartTime', 'speechStopTime'),
+    buffer_commit_ms: between('speechStopTime', 'responseRequestTime'),
+    response_creation_ms: between('responseRequestTime', 'responseCreatedTime'),
+    time_to_first_audio_ms: between('responseCreatedTime', 'firstAudioChunkTime'),
+    speech_stop_to_first_audio_ms: between('speechStopTime', 'firstAudioChunkTime'),
+    audio_streaming_ms: between('firstAudioChunkTime', 'audioCompleteTime'),
+    total_turn_ms: between('speechStopTime', 'responseDoneTime')
+  };
+
+  Object.keys(latency).forEach(key => {
+    if (latency[key] === undefined) {
+      delete latency[key];
+    }
+  });
+  return latency;
+}
+
+/**
+ * Flatten the usage block of a realtime response.done event
+ * @param {Object} usage - response.usage
+ * @returns {Object|null} Token fields, or null if the response had no usage
+ */
+function extractTokenUsage(usage) {
+  if (!usage) {
+    return null;
+  }
+
+  const input = usage.input_token_details || {};
+  const output = usage.output_token_details || {};
+  return {
+    total_tokens: usage.total_tokens || 0,
+    input_tokens: usage.input_tokens || 0,
+    output_tokens: usage.output_tokens || 0,
+    input_text_tokens: input.text_tokens || 0,
+    input_audio_tokens: input.audio_tokens || 0,
+    input_cached_tokens: input.cached_tokens || 0,
+    output_text_tokens: output.text_tokens || 0,
+    output_audio_tokens: output.audio_tokens || 0
+  };
+}
+
+/**
+ * Add token usage together
+ * @param {Object} total - Running total (null to start from zero)
+ * @param {Object} usage - Token fields to add
+ * @returns {Object} New total
+ */
+function addTokenUsage(total, usage) {
+  const sum = {};
+  TOKEN_FIELDS.forEach(field => {
+    sum[field] = ((total && total[field]) || 0) + ((usage && usage[field]) || 0);
+  });
+  return sum;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.min(sorted.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Summarize turn metrics: p50/p95/avg/max per latency field and token totals
+ * @param {Array} turns - Rows with latency_metrics and token_usage
+ * @returns {Object} { turns, latency, tokens }
+ */
+function summarizeTurnMetrics(turns = []) {
+  const latency = {};
+  LATENCY_FIELDS.forEach(field => {
+    const values = turns
+      .map(turn => turn.latency_metrics && turn.latency_metrics[field])
+      .filter(value => typeof value === 'number')
+      .sort((a, b) => a - b);
+
+    latency[field] = {
+      count: values.length,
+      p50: percentile(values, 50),
+      p95: percentile(values, 95),
+      avg: values.length ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null,
+      max: values.length ? values[values.length - 1] : null
+    };
+  });
+
+  const tokens = turns.reduce((total, turn) => addTokenUsage(total, turn.token_usage), null) || addTokenUsage(null, null);
+
+  return {
+    turns: turns.length,
+    latency,
+    tokens
+  };
+}
+
+module.exports = {
+  LATENCY_FIELDS,
+  TOKEN_FIELDS,
+  buildTurnLatency,
+  extractTokenUsage,
+  addTokenUsage,
+  summarizeTurnMetrics
+};
@@ -0,0 +1,146 @@
+/**
+ * Lead context for realtime conversations
+ * Loads what we know about the lead being called and templates it into
+ * the agent's instructions and greeting
+ */
+
+const NUMBER_WORDS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten'];
+
+/**
+ * Load context for a lead: profile fields, Shopify cart details and prior calls
+ * @param {Object} models - Database models
+ * @param {string|number} leadId - Lead ID
+ * @param {Object} options - Options
+ * @param {string} options.callSid - Call in progress (not listed as a previous call)
+ * @returns {Promise<Object|null>} Lead context, or null if the lead is not found
+ */
+async function buildLeadContext(models, leadId, options = {}) {
+  if (!models || !leadId) {
+    return null;
+  }
+
+  const lead = await models.Lead.findById(leadId);
+  if (!lead) {
+    return null;
+  }
+
+  const metadata = lead.metadata || {};
+  const cartItems = Array.isArray(metadata.cart_items) ? metadata.cart_items : [];
+  const itemCount = cartItems.reduce((sum, item) => sum + (parseInt(item.quantity) || 1), 0);
+
+  let previousCalls = [];
+  let summaries = [];
+  try {
+    [previousCalls, summaries] = await Promise.all([
+      models.CallEvent.findByLead(lead, { limit: 5, excludeCallSid: options.callSid }),
+      models.CallSummary.findByLeadId(lead.id, { limit: 5 })
+    ]);
+  } catch (error) {
+    console.warn(`⚠️  Could not load previous calls for lead ${lead.id}:`, error.message);
+  }
+
+  const summariesByCallSid = new Map(summaries.map(summary => [summary.call_sid, summary]));
+
+  return {
+    lead: {
+      id: lead.id,
+      name: lead.name || '',
+      first_name: (lead.name || '').split(' ')[0],
+      email: lead.email || '',
+      phone: lead.phone || '',
+      company: lead.company || '',
+      source: lead.lead_source || '',
+      status: lead.lead_status || '',
+      priority: lead.lead_priority || '',
+      message: lead.message || '',
+      notes: lead.notes || ''
+    },
+    cart: {
+      items: cartItems,
+      item_titles: cartItems.map(item => item.title).filter(Boolean).join(', '),
+      item_count: itemCount,
+      item_count_words: NUMBER_WORDS[itemCount] || String(itemCount),
+      total: metadata.cart_total || '',
+      url: metadata.cart_url || ''
+    },
+    metadata,
+    previousCalls: previousCalls
+      .filter(call => call.call_sid)
+      .map(call => ({
+        call_sid: call.call_sid,
+        date: call.created_at,
+        status: call.call_status,
+        duration: call.call_duration,
+        summary: summariesByCallSid.has(call.call_sid) ? summariesByCallSid.get(call.call_sid).summary : null,
+        outcome: summariesByCallSid.has(call.call_sid) ? summariesByCallSid.get(call.call_sid).outcome : null
+      }))
+  };
+}
+
+/**
+ * Replace {{path.to.value}} placeholders with values from the context
+ * Unknown placeholders are replaced with an empty string
+ * @param {string} template - Text with placeholders, e.g. "Hi {{lead.first_name}}"
+ * @param {Object} context - Lead context from buildLeadContext
+ * @returns {string} Rendered text
+ */
+function renderTemplate(template, context) {
+  if (!template || !context) {
+    return template;
+  }
+
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), context);
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+/**
+ * Format the lead context as an instructions section for the agent
+ * @param {Object} context - Lead context from buildLeadContext
+ * @returns {string} Instructions text describing the person being called
+ */
+function formatLeadContext(context) {
+  if (!context) {
+    return '';
+  }
+
+  const { lead, cart, previousCalls } = context;
+  const lines = ['', '# Who you are calling'];
+
+  if (lead.name) lines.push(`Name: ${lead.name} (address them as ${lead.first_name})`);
+  if (lead.company) lines.push(`Company: ${lead.company}`);
+  if (lead.source) lines.push(`Lead source: ${lead.source}`);
+  if (lead.message) lines.push(`Their message: ${lead.message}`);
+  if (lead.notes) lines.push(`Notes: ${lead.notes}`);
+
+  if (cart.items.length > 0) {
+    const items = cart.items
+      .map(item => `${item.quantity || 1} x ${item.title}${item.price ? ` ($${item.price})` : ''}`)
+      .join('; ');
+    lines.push(`Abandoned cart: ${cart.item_count_words} item${cart.item_count === 1 ? '' : 's'} - ${items}${cart.total ? `, total $${cart.total}` : ''}`);
+    if (cart.url) lines.push(`Cart link (offer to send it): ${cart.url}`);
+  }
+
+  if (previousCalls.length > 0) {
+    lines.push('Previous calls:');
+    previousCalls.forEach(call => {
+      const date = call.date ? new Date(call.date).toISOString().split('T')[0] : 'unknown date';
+      lines.push(`- ${date}: ${call.outcome || call.status || 'unknown'}${call.summary ? ` - ${call.summary}` : ''}`);
+    });
+  } else {
+    lines.push('This is the first call to this person.');
+  }
+
+  lines.push('Use this context naturally and personalize the conversation. Never read these notes out verbatim.');
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildLeadContext,
+  renderTemplate,
+  formatLeadContext
+};
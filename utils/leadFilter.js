@@ -0,0 +1,226 @@
+/**
+ * Lead selection filters
+ * Shared by automations and campaigns to choose which leads to call and in what order
+ *
+ * Filter format (every field is optional):
+ * {
+ *   status: 'new' | ['new', 'callback'],      // lead_status
+ *   source: 'shopify' | ['shopify', 'api'],   // lead_source
+ *   priority: 'high' | ['high', 'medium'],    // lead_priority
+ *   tags: ['vip'],                            // lead has any of these tags
+ *   tags_all: ['vip', 'returning'],           // lead has all of these tags
+ *   uncalled_only: true,                      // never called (no call_sid)
+ *   created_after: '2026-01-01T00:00:00Z',
+ *   created_before: '2026-02-01T00:00:00Z',
+ *   created_within_hours: 24,                 // created in the last N hours
+ *   min_score: 50,                            // lead_score >= 50
+ *   metadata: [                               // predicates on the lead's metadata JSON
+ *     { key: 'cart_total', op: 'gte', value: 100 },
+ *     { key: 'shopify_cart_token', op: 'exists' }
+ *   ],
+ *   order: 'priority',                        // see LEAD_ORDERS
+ *   exclude_status: ['converted'],            // lead_status is none of these
+ *   not_called_in_campaign: 12                // no call attempt recorded for this campaign
+ * }
+ */
+
+// Ordering rules: columns to sort by, most significant first
+const LEAD_ORDERS = {
+  oldest_first: [{ column: 'created_at', ascending: true }],
+  newest_first: [{ column: 'created_at', ascending: false }],
+  priority: [
+    { column: 'priority_rank', ascending: false },
+    { column: 'created_at', ascending: true }
+  ],
+  score: [
+    { column: 'lead_score', ascending: false, nullsFirst: false },
+    { column: 'created_at', ascending: true }
+  ]
+};
+
+const METADATA_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'exists'];
+
+// Operators checked by the database query; the others compare loosely (numbers sent as
+// strings, missing keys) and are checked on the loaded leads
+const QUERY_METADATA_OPERATORS = ['eq', 'in', 'exists'];
+
+// Reported when the metadata predicates checked on loaded leads stopped the scan early
+const TRUNCATED_SCAN_MESSAGE = 'Lead scan limit reached before enough matching leads were found: ' +
+  'metadata gt, gte, lt, lte and neq predicates are checked after loading, so narrow the other filters';
+
+// Metadata keys: names separated by dots, e.g. 'cart_total' or 'utm.campaign'
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_]+(\.[A-Za-z0-9_]+)*$/;
+
+// Automations call new, never-called leads unless told otherwise
+const DEFAULT_LEAD_FILTER = { status: 'new', uncalled_only: true };
+
+// Leads campaigns never call again unless their filter asks for the status explicitly
+const CLOSED_LEAD_STATUSES = ['converted', 'not_interested', 'do_not_call', 'wrong_number', 'appointment_booked'];
+
+/**
+ * Read a (dotted) key from a lead's metadata
+ * @param {Object} metadata - Lead metadata
+ * @param {string} key - Key, e.g. 'cart_total' or 'utm.campaign'
+ * @returns {*} Value, or undefined
+ */
+function getMetadataValue(metadata, key) {
+  return String(key).split('.').reduce((obj, part) => (obj == null ? undefined : obj[part]), metadata);
+}
+
+/**
+ * PostgREST column for a (dotted) metadata key, read as text
+ * @param {string} key - Key, e.g. 'utm.campaign'
+ * @returns {string} Column, e.g. 'metadata->utm->>campaign'
+ */
+function metadataColumn(key) {
+  const parts = String(key).split('.');
+  const last = parts.pop();
+  return ['metadata', ...parts].join('->') + `->>${last}`;
+}
+
+/**
+ * Check whether a metadata predicate can be applied in the database query
+ * @param {Object} predicate - { key, op, value }
+ * @returns {boolean} True for eq, in and exists
+ */
+function isQueryMetadataPredicate(predicate) {
+  return QUERY_METADATA_OPERATORS.includes(predicate.op || 'eq');
+}
+
+/**
+ * Check one metadata predicate
+ * Comparison operators compare numerically (Shopify sends totals as strings such as "129.99")
+ * @param {Object} metadata - Lead metadata
+ * @param {Object} predicate - { key, op, value }
+ * @returns {boolean} True if the predicate holds
+ */
+function matchesMetadataPredicate(metadata, predicate) {
+  const actual = getMetadataValue(metadata || {}, predicate.key);
+  const op = predicate.op || 'eq';
+
+  switch (op) {
+    case 'exists':
+      return predicate.value === false ? actual == null : actual != null;
+    case 'eq':
+      return actual != null && String(actual) === String(predicate.value);
+    case 'neq':
+      return actual == null || String(actual) !== String(predicate.value);
+    case 'in':
+      return actual != null && predicate.value.map(String).includes(String(actual));
+    default: {
+      const number = parseFloat(actual);
+      const target = parseFloat(predicate.value);
+      if (isNaN(number) || isNaN(target)) return false;
+      if (op === 'gt') return number > target;
+      if (op === 'gte') return number >= target;
+      if (op === 'lt') return number < target;
+      return number <= target;
+    }
+  }
+}
+
+/**
+ * Check a lead against all metadata predicates in a filter
+ * @param {Object} lead - Lead record
+ * @param {Array<Object>} predicates - Metadata predicates
+ * @returns {boolean} True if every predicate holds
+ */
+function matchesMetadataPredicates(lead, predicates = []) {
+  return predicates.every(predicate => matchesMetadataPredicate(lead.metadata, predicate));
+}
+
+/**
+ * Validate a lead filter
+ * @param {Object} filter - Lead filter
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateLeadFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) {
+    return ['filter must be an object'];
+  }
+
+  const errors = [];
+  const isStringList = value => typeof value === 'string' ||
+    (Array.isArray(value) && value.every(item => typeof item === 'string'));
+
+  ['status', 'source', 'priority', 'exclude_status'].forEach(field => {
+    if (filter[field] !== undefined && !isStringList(filter[field])) {
+      errors.push(`${field} must be a string or an array of strings`);
+    }
+  });
+  ['tags', 'tags_all'].forEach(field => {
+    if (filter[field] !== undefined && !(Array.isArray(filter[field]) && isStringList(filter[field]))) {
+      errors.push(`${field} must be an array of strings`);
+    }
+  });
+  ['created_after', 'created_before'].forEach(field => {
+    if (filter[field] !== undefined && isNaN(new Date(filter[field]).getTime())) {
+      errors.push(`${field} must be an ISO date`);
+    }
+  });
+  if (filter.created_within_hours !== undefined && !(Number(filter.created_within_hours) > 0)) {
+    errors.push('created_within_hours must be a positive number');
+  }
+  if (filter.min_score !== undefined && typeof filter.min_score !== 'number') {
+    errors.push('min_score must be a number');
+  }
+  if (filter.not_called_in_campaign !== undefined && !Number.isInteger(filter.not_called_in_campaign)) {
+    errors.push('not_called_in_campaign must be a campaign ID');
+  }
+  if (filter.order !== undefined && !LEAD_ORDERS[filter.order]) {
+    errors.push(`order must be one of: ${Object.keys(LEAD_ORDERS).join(', ')}`);
+  }
+
+  if (filter.metadata !== undefined) {
+    if (!Array.isArray(filter.metadata)) {
+      errors.push('metadata must be an array of { key, op, value } predicates');
+    } else {
+      filter.metadata.forEach((predicate, index) => {
+        if (!predicate || !predicate.key) {
+          errors.push(`metadata[${index}]: key is required`);
+        } else if (!METADATA_KEY_PATTERN.test(predicate.key)) {
+          errors.push(`metadata[${index}]: key may only contain letters, digits, underscores and dots`);
+        } else if (predicate.op !== undefined && !METADATA_OPERATORS.includes(predicate.op)) {
+          errors.push(`metadata[${index}]: op must be one of ${METADATA_OPERATORS.join(', ')}`);
+        } else if (predicate.op === 'in' && !Array.isArray(predicate.value)) {
+          errors.push(`metadata[${index}]: value must be an array for "in"`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the filter a campaign run selects leads with
+ * Leads already called by the campaign are left to its retries, and closed leads are
+ * skipped unless the campaign's filter selects their status explicitly.
+ * @param {Object} campaign - Campaign record
+ * @returns {Object} Lead filter
+ */
+function buildCampaignLeadFilter(campaign) {
+  const filter = campaign.lead_filter || {};
+  const requested = filter.status === undefined ? [] : [].concat(filter.status);
+  const excluded = [].concat(filter.exclude_status || [], CLOSED_LEAD_STATUSES)
+    .filter((status, index, all) => !requested.includes(status) && all.indexOf(status) === index);
+
+  return {
+    ...filter,
+    exclude_status: excluded,
+    not_called_in_campaign: Number(campaign.id)
+  };
+}
+
+module.exports = {
+  LEAD_ORDERS,
+  METADATA_OPERATORS,
+  TRUNCATED_SCAN_MESSAGE,
+  DEFAULT_LEAD_FILTER,
+  CLOSED_LEAD_STATUSES,
+  metadataColumn,
+  isQueryMetadataPredicate,
+  matchesMetadataPredicates,
+  buildCampaignLeadFilter,
+  validateLeadFilter
+};
@@ -0,0 +1,252 @@
+/**
+ * Lead timezone resolution and local calling windows
+ * Works out a lead's timezone from an explicit lead field, the NANP area code,
+ * or the phone number's country code, and checks the local calling window
+ */
+
+const { isValidTimezone, getBusinessHoursStatus, WEEKDAYS, TIME_PATTERN } = require('./businessHours');
+
+// Used when CALLING_WINDOW_START/END are unset or invalid
+const FALLBACK_CALLING_WINDOW = { start: '08:00', end: '21:00' };
+
+// North American area codes by timezone (states split across zones use the majority zone)
+const AREA_CODE_TIMEZONES = {
+  'America/New_York': [
+    201, 202, 203, 207, 212, 215, 216, 220, 223, 229, 231, 234, 239, 240, 248, 252, 260, 267, 269,
+    272, 276, 283, 301, 302, 304, 305, 313, 315, 317, 321, 326, 330, 332, 336, 339, 347,
+    351, 352, 363, 380, 386, 401, 404, 407, 410, 412, 413, 419, 423, 434, 436, 440, 443, 445, 448,
+    463, 470, 472, 475, 478, 484, 502, 508, 513, 516, 517, 518, 540, 551, 561, 567, 570, 571, 574,
+    582, 585, 586, 603, 606, 607, 609, 610, 614, 616, 617, 631, 640, 646, 656, 667, 678, 679, 680,
+    681, 689, 703, 704, 706, 716, 717, 718, 724, 727, 732, 734, 740, 743, 754, 757, 762, 765, 770,
+    771, 772, 774, 781, 786, 802, 803, 804, 810, 812, 813, 814, 826, 828, 835, 838, 839, 843, 845,
+    848, 850, 854, 856, 857, 859, 860, 862, 863, 864, 865, 878, 904, 906, 908, 910, 912, 914, 917,
+    919, 929, 930, 934, 937, 941, 943, 947, 948, 954, 959, 973, 978, 980, 984, 989
+  ],
+  'America/Chicago': [
+    205, 210, 214, 217, 218, 219, 224, 225, 228, 251, 254, 256, 262, 270, 274, 281, 309, 312, 314,
+    316, 318, 319, 320, 325, 327, 331, 334, 337, 346, 361, 364, 402, 405, 409, 414, 417, 430, 432,
+    447, 464, 469, 479, 501, 504, 507, 512, 515, 531, 534, 539, 557, 563, 572, 573, 580, 601, 605,
+    608, 612, 615, 618, 620, 629, 630, 636, 641, 651, 659, 660, 662, 682, 701, 708, 712, 713, 715,
+    726, 730, 731, 737, 763, 769, 773, 779, 785, 806, 815, 816, 817, 830, 832, 847, 870, 872, 901,
+    903, 913, 918, 920, 931, 936, 938, 940, 945, 952, 956, 972, 975, 979, 985, 308
+  ],
+  'America/Denver': [208, 303, 307, 385, 406, 435, 505, 575, 719, 720, 801, 915, 970, 983, 986],
+  'America/Phoenix': [480, 520, 602, 623, 928],
+  'America/Los_Angeles': [
+    206, 209, 213, 253, 279, 310, 323, 341, 350, 360, 369, 408, 415, 424, 425, 442, 458, 503, 509,
+    510, 530, 541, 559, 562, 564, 619, 626, 628, 650, 657, 661, 669, 702, 707, 714, 725, 747, 760,
+    775, 805, 818, 820, 831, 840, 858, 909, 916, 925, 949, 951, 971
+  ],
+  'America/Anchorage': [907],
+  'Pacific/Honolulu': [808],
+  'America/Puerto_Rico': [787, 939],
+  'America/Toronto': [
+    226, 249, 263, 289, 343, 354, 365, 367, 382, 416, 418, 437, 438, 450, 468, 514, 519, 548, 579,
+    581, 613, 647, 683, 705, 742, 753, 807, 819, 873, 905
+  ],
+  'America/Halifax': [428, 506, 782, 902],
+  'America/St_Johns': [709, 879],
+  'America/Winnipeg': [204, 431, 584],
+  'America/Regina': [306, 474, 639],
+  'America/Edmonton': [368, 403, 587, 780, 825],
+  'America/Vancouver': [236, 250, 257, 604, 672, 778]
+};
+
+// Countries with a single (or dominant) timezone, by calling code
+const COUNTRY_CODE_TIMEZONES = {
+  '91': 'Asia/Kolkata',
+  '44': 'Europe/London',
+  '353': 'Europe/Dublin',
+  '33': 'Europe/Paris',
+  '34': 'Europe/Madrid',
+  '39': 'Europe/Rome',
+  '49': 'Europe/Berlin',
+  '31': 'Europe/Amsterdam',
+  '32': 'Europe/Brussels',
+  '41': 'Europe/Zurich',
+  '46': 'Europe/Stockholm',
+  '47': 'Europe/Oslo',
+  '45': 'Europe/Copenhagen',
+  '48': 'Europe/Warsaw',
+  '351': 'Europe/Lisbon',
+  '27': 'Africa/Johannesburg',
+  '234': 'Africa/Lagos',
+  '971': 'Asia/Dubai',
+  '966': 'Asia/Riyadh',
+  '65': 'Asia/Singapore',
+  '60': 'Asia/Kuala_Lumpur',
+  '63': 'Asia/Manila',
+  '81': 'Asia/Tokyo',
+  '82': 'Asia/Seoul',
+  '86': 'Asia/Shanghai',
+  '852': 'Asia/Hong_Kong',
+  '61': 'Australia/Sydney',
+  '64': 'Pacific/Auckland',
+  '52': 'America/Mexico_City',
+  '55': 'America/Sao_Paulo',
+  '54': 'America/Argentina/Buenos_Aires',
+  '57': 'America/Bogota'
+};
+
+const AREA_CODE_LOOKUP = Object.entries(AREA_CODE_TIMEZONES).reduce((acc, [timezone, codes]) => {
+  codes.forEach(code => {
+    acc[String(code)] = timezone;
+  });
+  return acc;
+}, {});
+
+/**
+ * Work out a timezone from a phone number
+ * @param {string} phone - Phone number (E.164 preferred)
+ * @returns {Object|null} { timezone, source: 'area_code' | 'country' } or null if unknown
+ */
+function timezoneFromPhone(phone) {
+  if (!phone) {
+    return null;
+  }
+
+  const digits = phone.replace(/[^\d]/g, '');
+  const international = phone.trim().startsWith('+');
+
+  // NANP: +1 followed by 10 digits, or a bare 10-digit number
+  if ((digits.length === 11 && digits.startsWith('1')) || (!international && digits.length === 10)) {
+    const areaCode = digits.length === 11 ? digits.substring(1, 4) : digits.substring(0, 3);
+    const timezone = AREA_CODE_LOOKUP[areaCode];
+    return timezone ? { timezone, source: 'area_code' } : null;
+  }
+
+  if (!international) {
+    return null;
+  }
+
+  // Longest matching calling code wins (e.g. 353 before 35)
+  for (const length of [3, 2, 1]) {
+    const timezone = COUNTRY_CODE_TIMEZONES[digits.substring(0, length)];
+    if (timezone) {
+      return { timezone, source: 'country' };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve a lead's timezone: explicit lead field first, then the phone number
+ * @param {Object} lead - Lead ({ timezone, phone }); may be null
+ * @param {string} phone - Number being dialled (used when the lead has none)
+ * @returns {Object|null} { timezone, source: 'lead' | 'area_code' | 'country' } or null if unknown
+ */
+function resolveLeadTimezone(lead, phone) {
+  if (lead && lead.timezone && isValidTimezone(lead.timezone)) {
+    return { timezone: lead.timezone, source: 'lead' };
+  }
+  return timezoneFromPhone((lead && lead.phone) || phone);
+}
+
+/**
+ * Validate a local calling window
+ * start may be after end for an overnight window (e.g. 21:00 to 08:00).
+ * @param {Object} window - { start: 'HH:MM', end: 'HH:MM' }
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateCallingWindow(window) {
+  if (!window || typeof window !== 'object' || Array.isArray(window)) {
+    return ['callingWindow must be an object with start and end'];
+  }
+  if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+    return ['callingWindow start and end must be HH:MM (24-hour)'];
+  }
+  if (window.start === window.end) {
+    return ['callingWindow start and end must differ'];
+  }
+  return [];
+}
+
+/**
+ * Get the default local calling window from the environment
+ * @returns {Object} { start: 'HH:MM', end: 'HH:MM' }
+ */
+function getDefaultCallingWindow() {
+  const window = {
+    start: process.env.CALLING_WINDOW_START || FALLBACK_CALLING_WINDOW.start,
+    end: process.env.CALLING_WINDOW_END || FALLBACK_CALLING_WINDOW.end
+  };
+
+  if (validateCallingWindow(window).length > 0) {
+    console.warn(`⚠️  Invalid CALLING_WINDOW_START/END (${window.start}-${window.end}), using ${FALLBACK_CALLING_WINDOW.start}-${FALLBACK_CALLING_WINDOW.end}`);
+    return { ...FALLBACK_CALLING_WINDOW };
+  }
+  return window;
+}
+
+/**
+ * Get the calling window for a call: its own window when valid, else the default
+ * @param {Object} window - Window requested for the call (optional)
+ * @returns {Object} { start: 'HH:MM', end: 'HH:MM' }
+ */
+function resolveCallingWindow(window) {
+  if (!window) {
+    return getDefaultCallingWindow();
+  }
+
+  const errors = validateCallingWindow(window);
+  if (errors.length > 0) {
+    console.warn(`⚠️  Ignoring invalid calling window ${JSON.stringify(window)}: ${errors.join('; ')}`);
+    return getDefaultCallingWindow();
+  }
+  return { start: window.start, end: window.end };
+}
+
+/**
+ * Get the timezone assumed for leads whose timezone cannot be derived
+ * @returns {string|null} DEFAULT_LEAD_TIMEZONE, or null if unset or not a valid IANA timezone
+ */
+function getDefaultLeadTimezone() {
+  const timezone = process.env.DEFAULT_LEAD_TIMEZONE;
+  if (!timezone) {
+    return null;
+  }
+  if (!isValidTimezone(timezone)) {
+    console.warn(`⚠️  Ignoring invalid DEFAULT_LEAD_TIMEZONE "${timezone}"`);
+    return null;
+  }
+  return timezone;
+}
+
+/**
+ * Check whether it is inside the calling window in a timezone
+ * @param {string} timezone - Lead's IANA timezone
+ * @param {Object} window - { start, end } in the lead's local time (default: CALLING_WINDOW_START/END)
+ * @param {Date} date - Moment to check (default: now)
+ * @returns {Object} { allowed, localTime, nextAllowedAt }
+ */
+function getCallingWindowStatus(timezone, window = getDefaultCallingWindow(), date = new Date()) {
+  // An overnight window is open from start to midnight and from midnight to end
+  const windows = window.start < window.end
+    ? [window]
+    : [{ start: '00:00', end: window.end }, { start: window.start, end: '24:00' }];
+
+  // The window applies every day, so it is a calendar with the same hours on each weekday
+  const weeklyHours = WEEKDAYS.reduce((acc, day) => {
+    acc[day] = windows;
+    return acc;
+  }, {});
+
+  const status = getBusinessHoursStatus({ timezone, weekly_hours: weeklyHours, holidays: [] }, date);
+
+  return {
+    allowed: status.open,
+    localTime: status.localTime,
+    nextAllowedAt: status.nextOpenAt
+  };
+}
+
+module.exports = {
+  timezoneFromPhone,
+  resolveLeadTimezone,
+  validateCallingWindow,
+  getDefaultCallingWindow,
+  resolveCallingWindow,
+  getDefaultLeadTimezone,
+  getCallingWindowStatus
+};
@@ -0,0 +1,110 @@
+/**
+ * Global cap on simultaneous live AI calls
+ * Live calls are tracked in a Redis sorted set shared by every web server and worker
+ * process. Members are call SIDs (or "job:<id>" reservations held while a queued call
+ * is being dialled) scored by when they expire, so entries left behind by a crashed
+ * process stop counting after LIVE_CALL_TTL_MS.
+ */
+
+const LIVE_CALLS_KEY = 'live-calls';
+
+// Drop expired entries, then add the member if it is already counted or a slot is free
+const ACQUIRE_SCRIPT = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[1])
+if redis.call('ZSCORE', KEYS[1], ARGV[4]) or redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[3]) then
+  redis.call('ZADD', KEYS[1], ARGV[2], ARGV[4])
+  return 1
+end
+return 0
+`;
+
+/**
+ * Maximum simultaneous live AI calls (MAX_LIVE_CALLS, default 10)
+ * @returns {number} Cap
+ */
+function getMaxLiveCalls() {
+  return parseInt(process.env.MAX_LIVE_CALLS || 10);
+}
+
+/**
+ * When a live call entry added now stops counting
+ * @returns {number} Expiry timestamp (ms)
+ */
+function getExpiry() {
+  return Date.now() + parseInt(process.env.LIVE_CALL_TTL_MS || 3600000);
+}
+
+/**
+ * Take a live call slot if one is free
+ * @param {Object} redis - ioredis client
+ * @param {string} member - Call SID or reservation ID
+ * @param {number} max - Cap (default: MAX_LIVE_CALLS)
+ * @returns {Promise<boolean>} True if the slot was taken
+ */
+async function acquireLiveCallSlot(redis, member, max = getMaxLiveCalls()) {
+  const acquired = await redis.eval(ACQUIRE_SCRIPT, 1, LIVE_CALLS_KEY, Date.now(), getExpiry(), max, member);
+  return acquired === 1;
+}
+
+/**
+ * Count a call that is live regardless of the cap (e.g. a media stream that has started)
+ * @param {Object} redis - ioredis client
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<void>}
+ */
+async function registerLiveCall(redis, callSid) {
+  await redis.zadd(LIVE_CALLS_KEY, getExpiry(), callSid);
+}
+
+/**
+ * Hand a reservation over to the call it was made for
+ * @param {Object} redis - ioredis client
+ * @param {string} reservation - Reservation ID
+ * @param {string} callSid - Twilio call SID
+ * @returns {Promise<void>}
+ */
+async function convertLiveCallSlot(redis, reservation, callSid) {
+  await redis.multi()
+    .zrem(LIVE_CALLS_KEY, reservation)
+    .zadd(LIVE_CALLS_KEY, getExpiry(), callSid)
+    .exec();
+}
+
+/**
+ * Free a live call slot
+ * @param {Object} redis - ioredis client
+ * @param {string} member - Call SID or reservation ID
+ * @returns {Promise<void>}
+ */
+async function releaseLiveCall(redis, member) {
+  await redis.zrem(LIVE_CALLS_KEY, member);
+}
+
+/**
+ * Count live calls across all processes
+ * @param {Object} redis - ioredis client
+ * @returns {Promise<number>} Live calls
+ */
+async function getLiveCallCount(redis) {
+  await redis.zremrangebyscore(LIVE_CALLS_KEY, '-inf', Date.now());
+  return redis.zcard(LIVE_CALLS_KEY);
+}
+
+/**
+ * Check whether another live call fits under the cap
+ * @param {Object} redis - ioredis client
+ * @returns {Promise<boolean>} True if a slot is free
+ */
+async function hasLiveCallCapacity(redis) {
+  return (await getLiveCallCount(redis)) < getMaxLiveCalls();
+}
+
+module.exports = {
+  getMaxLiveCalls,
+  acquireLiveCallSlot,
+  registerLiveCall,
+  convertLiveCallSlot,
+  releaseLiveCall,
+  getLiveCallCount,
+  hasLiveCallCapacity
+};
@@ -4,6 +4,19 @@
  */
 
 const WebSocket = require('ws');
+const { renderTemplate, formatLeadContext } = require('./leadContext');
+const { buildTurnLatency, extractTokenUsage, addTokenUsage } = require('./latencyStats');
+
+// Session settings used when no agent profile (or profile field) is provided
+const DEFAULT_INSTRUCTIONS = 'You are a helpful AI voice assistant. Be concise and conversational. Keep responses brief and natural.';
+const DEFAULT_VOICE = 'alloy';
+const DEFAULT_TEMPERATURE = 0.8;
+const DEFAULT_TURN_DETECTION = {
+  type: 'server_vad',
+  threshold: 0.5,
+  prefix_padding_ms: 300,
+  silence_duration_ms: 500
+};
 
 class OpenAIRealtimeSession {
   constructor(callSid, streamSid, models = null, options = {}) {
@@ -20,11 +33,41 @@ class OpenAIRealtimeSession {
     this.errorCount = 0;
     this.lastErrorTime = null;
     
+    // Agent profile (persona, voice, temperature, turn detection, greeting)
+    this.profile = options.profile || null;
+    this.instructions = (this.profile && this.profile.system_prompt) || DEFAULT_INSTRUCTIONS;
+    this.voice = (this.profile && this.profile.voice) || DEFAULT_VOICE;
+    this.temperature = this.profile && this.profile.temperature != null
+      ? Number(this.profile.temperature)
+      : DEFAULT_TEMPERATURE;
+    this.turnDetection = {
+      ...DEFAULT_TURN_DETECTION,
+      ...((this.profile && this.profile.turn_detection) || {})
+    };
+    
     // Assistant speaks first configuration
     this.speakFirst = options.speakFirst || false;
     this.initialMessage = options.initialMessage || 'Hello! How can I help you today?';
     this.hasSpokenFirst = false;
     
+    // Lead being called: personalize instructions and greeting ({{lead.first_name}} etc.)
+    this.leadId = options.leadId || null;
+    this.leadContext = options.leadContext || null;
+    if (this.leadContext) {
+      this.instructions = renderTemplate(this.instructions, this.leadContext) + '\n' + formatLeadContext(this.leadContext);
+      this.initialMessage = renderTemplate(this.initialMessage, this.leadContext);
+    }
+    
+    // Tool (function calling) registry
+    this.toolRegistry = options.toolRegistry || null;
+    
+    // Barge-in tracking: how much assistant audio Twilio has actually played
+    this.latestMediaTimestamp = 0;
+    this.responseStartTimestamp = null;
+    this.lastAssistantItemId = null;
+    this.activeResponseId = null;
+    this.markQueue = [];
+    
     // Latency tracking
     this.latencyMetrics = {
       speechStartTime: null,
@@ -37,6 +80,10 @@ class OpenAIRealtimeSession {
     };
     this.currentTurnMetrics = {};
     
+    // Token usage summed over every response, and assistant transcript saves still in flight
+    this.tokenUsage = null;
+    this.pendingTranscriptSaves = new Map();
+    
     // Store models for database operations
     this.models = models;
     
@@ -99,29 +146,27 @@ class OpenAIRealtimeSession {
         
         // Configure session for Twilio compatibility
         // Twilio uses mulaw 8kHz, but OpenAI supports g711_ulaw
+        const tools = this.toolRegistry ? this.toolRegistry.getDefinitions() : [];
         this.sendToOpenAI({
           type: 'session.update',
           session: {
             modalities: ['text', 'audio'],
-            instructions: 'You are a helpful AI voice assistant. Be concise and conversational. Keep responses brief and natural.',
-            voice: 'alloy',
+            instructions: this.instructions,
+            voice: this.voice,
             input_audio_format: 'g711_ulaw',  // Changed to match Twilio
             output_audio_format: 'g711_ulaw', // Changed to match Twilio
             input_audio_transcription: {
               model: 'whisper-1'
             },
-            turn_detection: {
-              type: 'server_vad',
-              threshold: 0.5,
-              prefix_padding_ms: 300,
-              silence_duration_ms: 500
-            },
-            temperature: 0.8,
-            max_response_output_tokens: 4096
+            turn_detection: this.turnDetection,
+            temperature: this.temperature,
+            max_response_output_tokens: 4096,
+            tools: tools,
+            tool_choice: tools.length > 0 ? 'auto' : 'none'
           }
         });
         
-        console.log(`[${this.callSid}] Session configured for Twilio (g711_ulaw format)`);
+        console.log(`[${this.callSid}] Session configured for Twilio (g711_ulaw format, profile: ${this.profile ? this.profile.name : 'default'}, voice: ${this.voice}, ${tools.length} tools)`);
         
         // If speakFirst is enabled, directly create an assistant message
         if (this.speakFirst && !this.hasSpokenFirst) {
@@ -147,7 +192,7 @@ class OpenAIRealtimeSession {
             type: 'response.create',
             response: {
               modalities: ['text', 'audio'],
-              voice: 'alloy'
+              voice: this.voice
             }
           });
           
@@ -280,10 +325,110 @@ class OpenAIRealtimeSession {
     }
   }
 
+  /**
+   * Send a mark to Twilio after an audio chunk
+   * Twilio echoes the mark back once the preceding audio has been played
+   */
+  sendMarkToTwilio() {
+    if (!this.twilioWs || this.twilioWs.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    try {
+      this.twilioWs.send(JSON.stringify({
+        event: 'mark',
+        streamSid: this.streamSid,
+        mark: {
+          name: 'responsePart'
+        }
+      }));
+      this.markQueue.push('responsePart');
+    } catch (error) {
+      console.error(`[${this.callSid}] Error sending mark to Twilio:`, error.message);
+    }
+  }
+
+  /**
+   * Handle a mark event echoed back by Twilio (audio chunk finished playing)
+   * @param {string} markName - Name of the mark
+   */
+  handleTwilioMark(markName) {
+    if (markName === 'responsePart' && this.markQueue.length > 0) {
+      this.markQueue.shift();
+      
+      // Everything sent so far has been heard; the next response starts a new playback
+      if (this.markQueue.length === 0) {
+        this.responseStartTimestamp = null;
+      }
+    }
+  }
+
+  /**
+   * Handle the caller talking over the assistant
+   * Clears Twilio's audio buffer, cancels the in-flight response and truncates
+   * the assistant item to the audio the caller actually heard
+   */
+  handleInterruption() {
+    if (this.markQueue.length === 0 || this.responseStartTimestamp === null) {
+      return; // Nothing is being played back
+    }
+
+    const audioEndMs = Math.max(0, this.latestMediaTimestamp - this.responseStartTimestamp);
+    console.log(`[${this.callSid}] ✋ Caller interrupted the assistant after ${audioEndMs}ms of playback`);
+
+    if (this.activeResponseId) {
+      this.sendToOpenAI({
+        type: 'response.cancel'
+      });
+    }
+
+    if (this.lastAssistantItemId) {
+      this.sendToOpenAI({
+        type: 'conversation.item.truncate',
+        item_id: this.lastAssistantItemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs
+      });
+    }
+
+    if (this.twilioWs && this.twilioWs.readyState === WebSocket.OPEN) {
+      try {
+        this.twilioWs.send(JSON.stringify({
+          event: 'clear',
+          streamSid: this.streamSid
+        }));
+      } catch (error) {
+        console.error(`[${this.callSid}] Error sending clear to Twilio:`, error.message);
+      }
+    }
+
+    this.markQueue = [];
+    this.lastAssistantItemId = null;
+    this.responseStartTimestamp = null;
+  }
+
+  /**
+   * Wait until Twilio has played all assistant audio sent so far
+   * @param {number} timeoutMs - Maximum time to wait
+   * @returns {Promise<void>}
+   */
+  async waitForPlayback(timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (this.markQueue.length > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
   /**
    * Handle incoming audio from Twilio (caller's voice)
+   * @param {string} payload - Base64 mulaw audio
+   * @param {string|number} timestamp - Twilio media timestamp (ms since stream start)
    */
-  handleIncomingAudio(payload) {
+  handleIncomingAudio(payload, timestamp) {
+    if (timestamp !== undefined) {
+      this.latestMediaTimestamp = parseInt(timestamp);
+    }
+
     if (!this.isConnected) {
       console.warn(`[${this.callSid}] OpenAI not connected, skipping audio`);
       return;
@@ -320,6 +465,7 @@ class OpenAIRealtimeSession {
         case 'input_audio_buffer.speech_started':
           this.latencyMetrics.speechStartTime = Date.now();
           console.log(`[${this.callSid}] 🎤 User started speaking`);
+          this.handleInterruption();
           break;
 
         case 'input_audio_buffer.speech_stopped':
@@ -358,6 +504,7 @@ class OpenAIRealtimeSession {
 
         case 'response.created':
           this.latencyMetrics.responseCreatedTime = Date.now();
+          this.activeResponseId = message.response.id;
           const responseCreationLatency = this.latencyMetrics.responseRequestTime
             ? this.latencyMetrics.responseCreatedTime - this.latencyMetrics.responseRequestTime
             : 0;
@@ -375,6 +522,14 @@ class OpenAIRealtimeSession {
         case 'response.content_part.added':
           break;
 
+        case 'response.function_call_arguments.delta':
+          // Arguments are streamed; the complete call is handled on response.done
+          break;
+
+        case 'response.function_call_arguments.done':
+          console.log(`[${this.callSid}] 🛠️  Function call requested: ${message.name}(${message.arguments})`);
+          break;
+
         case 'response.audio_transcript.delta':
           // AI's speech transcription in progress
           if (message.delta) {
@@ -391,8 +546,10 @@ class OpenAIRealtimeSession {
             timestamp: new Date().toISOString()
           });
           
-          // Save AI transcript to database
-          await this.saveTranscriptToDatabase('assistant', aiTranscript, message.item_id);
+          // Save AI transcript to database (turn metrics are attached once the response is done)
+          const transcriptSave = this.saveTranscriptToDatabase('assistant', aiTranscript, message.item_id);
+          this.pendingTranscriptSaves.set(message.item_id, transcriptSave);
+          await transcriptSave;
           break;
 
         case 'response.audio.delta':
@@ -415,7 +572,16 @@ class OpenAIRealtimeSession {
               console.log(`[${this.callSid}]    ⏱️  Processing latency (request → first audio): ${processingLatency}ms`);
             }
             
+            // Remember where playback of this response started (in Twilio stream time)
+            if (this.responseStartTimestamp === null) {
+              this.responseStartTimestamp = this.latestMediaTimestamp;
+            }
+            if (message.item_id) {
+              this.lastAssistantItemId = message.item_id;
+            }
+            
             this.sendToTwilio(message.delta);
+            this.sendMarkToTwilio();
           } else {
             console.warn(`[${this.callSid}] ✗ Audio delta received but no data`);
           }
@@ -433,6 +599,7 @@ class OpenAIRealtimeSession {
         case 'response.done':
           this.latencyMetrics.responseDoneTime = Date.now();
           const response = message.response;
+          this.activeResponseId = null;
           
           console.log(`[${this.callSid}] 🎉 Response completed!`);
           
@@ -482,8 +649,15 @@ class OpenAIRealtimeSession {
             console.log(`[${this.callSid}]   🎵 Audio tokens sent to user: ${response.usage.output_token_details?.audio_tokens || 0}`);
           }
           
-          // Reset metrics for next turn
+          // Persist the turn's latency and token usage, then reset metrics for next turn
+          this.recordTurnMetrics(response, buildTurnLatency(this.latencyMetrics), extractTokenUsage(response.usage));
           this.resetLatencyMetrics();
+          
+          // Run any function calls from this response and let the model continue
+          const functionCalls = (response.output || []).filter(item => item.type === 'function_call');
+          if (functionCalls.length > 0) {
+            await this.handleFunctionCalls(functionCalls);
+          }
           break;
 
         case 'error':
@@ -517,6 +691,62 @@ class OpenAIRealtimeSession {
     }
   }
 
+  /**
+   * Execute function calls requested by the model and send the results back
+   * @param {Array} functionCalls - function_call output items from response.done
+   */
+  async handleFunctionCalls(functionCalls) {
+    if (!this.toolRegistry) {
+      console.warn(`[${this.callSid}] ⚠️  Function call received but no tool registry configured`);
+      return;
+    }
+
+    const context = {
+      callSid: this.callSid,
+      leadId: this.leadId,
+      models: this.models,
+      session: this
+    };
+
+    let callEnded = false;
+
+    for (const functionCall of functionCalls) {
+      const result = await this.toolRegistry.execute(functionCall.name, functionCall.arguments, context);
+      if (result && result.callEnded) {
+        callEnded = true;
+      }
+      console.log(`[${this.callSid}] 🛠️  Function ${functionCall.name} result:`, JSON.stringify(result));
+
+      this.conversationHistory.push({
+        role: 'tool',
+        name: functionCall.name,
+        arguments: functionCall.arguments,
+        result: result,
+        timestamp: new Date().toISOString()
+      });
+
+      this.sendToOpenAI({
+        type: 'conversation.item.create',
+        item: {
+          type: 'function_call_output',
+          call_id: functionCall.call_id,
+          output: JSON.stringify(result)
+        }
+      });
+    }
+
+    // A transferred or ended call has nobody left to talk to
+    if (callEnded) {
+      console.log(`[${this.callSid}] 🔇 Call handed over, not asking the model to respond`);
+      return;
+    }
+
+    // Ask the model to respond using the tool results
+    this.sendToOpenAI({
+      type: 'response.create'
+    });
+  }
+
   /**
    * Save transcript to Supabase database
    */
@@ -609,6 +839,45 @@ class OpenAIRealtimeSession {
     }
   }
 
+  /**
+   * Save a finished response's latency breakdown and token usage
+   * Metrics go on the assistant transcript entry for the response; token usage is also
+   * added to the call's running total (responses that only call tools have no transcript).
+   * @param {Object} response - response.done payload
+   * @param {Object} latency - Latency breakdown (see utils/latencyStats.js)
+   * @param {Object|null} usage - Token usage
+   */
+  async recordTurnMetrics(response, latency, usage) {
+    if (usage) {
+      this.tokenUsage = addTokenUsage(this.tokenUsage, usage);
+    }
+
+    if (!this.models) {
+      return;
+    }
+
+    try {
+      const messageItem = (response.output || []).find(item => item.type === 'message');
+      if (messageItem) {
+        // The transcript entry may still be being written
+        await this.pendingTranscriptSaves.get(messageItem.id);
+        this.pendingTranscriptSaves.delete(messageItem.id);
+
+        await this.models.ConversationTranscript.recordTurnMetrics(this.callSid, messageItem.id, {
+          response_id: response.id,
+          latency_metrics: latency,
+          token_usage: usage
+        });
+      }
+
+      if (usage) {
+        await this.models.CallEvent.recordTokenUsage(this.callSid, this.tokenUsage);
+      }
+    } catch (error) {
+      console.warn(`[${this.callSid}] ⚠️  Could not save turn metrics:`, error.message);
+    }
+  }
+
   /**
    * Reset latency metrics for next conversation turn
    */
@@ -0,0 +1,375 @@
+/**
+ * Tool (function calling) registry for OpenAI Realtime sessions
+ * Lets the voice agent call server functions during a live call
+ */
+
+const { resolveTransferNumber, buildConversationSummary, transferCall } = require('./callTransfer');
+const { normalizeDncNumber } = require('./doNotCall');
+
+class ToolRegistry {
+  constructor() {
+    this.tools = new Map();
+  }
+
+  /**
+   * Register a tool
+   * @param {string} name - Function name exposed to the model
+   * @param {Object} tool - Tool definition
+   * @param {string} tool.description - What the tool does and when to use it
+   * @param {Object} tool.parameters - JSON schema for the arguments
+   * @param {Function} tool.handler - async (args, context) => result
+   * @returns {ToolRegistry} The registry (chainable)
+   */
+  register(name, { description, parameters, handler }) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Tool ${name} requires a handler function`);
+    }
+
+    this.tools.set(name, {
+      description,
+      parameters: parameters || { type: 'object', properties: {} },
+      handler
+    });
+    return this;
+  }
+
+  /**
+   * Check whether a tool is registered
+   * @param {string} name - Function name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  /**
+   * Get tool definitions in the format expected by session.update
+   * @returns {Array} Realtime API tool definitions
+   */
+  getDefinitions() {
+    return Array.from(this.tools.entries()).map(([name, tool]) => ({
+      type: 'function',
+      name,
+      description: tool.description,
+      parameters: tool.parameters
+    }));
+  }
+
+  /**
+   * Execute a tool call
+   * Errors are returned to the model instead of thrown so the conversation can continue
+   * @param {string} name - Function name
+   * @param {string|Object} args - Arguments (JSON string from the Realtime API or object)
+   * @param {Object} context - Call context ({ callSid, models, session })
+   * @returns {Promise<Object>} Tool result
+   */
+  async execute(name, args, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return { success: false, error: `Unknown tool: ${name}` };
+    }
+
+    let parsedArgs = args || {};
+    if (typeof args === 'string') {
+      try {
+        parsedArgs = args.trim() ? JSON.parse(args) : {};
+      } catch (error) {
+        return { success: false, error: `Invalid arguments for ${name}: ${error.message}` };
+      }
+    }
+
+    try {
+      return await tool.handler(parsedArgs, context);
+    } catch (error) {
+      console.error(`[${context.callSid}] ❌ Tool ${name} failed:`, error.message);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+/**
+ * Resolve the lead a tool call refers to
+ * Uses explicit lookup arguments first, then the lead linked to the call
+ * @param {Object} models - Database models
+ * @param {Object} args - Tool arguments (lead_id, phone, email)
+ * @param {Object} context - Call context
+ * @returns {Promise<Object|null>} Lead data
+ */
+async function resolveLead(models, args, context) {
+  if (args.lead_id) {
+    return models.Lead.findById(args.lead_id);
+  }
+  if (args.phone) {
+    return models.Lead.findByPhone(args.phone);
+  }
+  if (args.email) {
+    return models.Lead.findByEmail(args.email);
+  }
+  if (context.leadId) {
+    return models.Lead.findById(context.leadId);
+  }
+  if (context.callSid) {
+    return models.Lead.findByCallSid(context.callSid);
+  }
+  return null;
+}
+
+/**
+ * Create a registry with the built-in tools
+ * @param {Object} models - Database models (lead tools are skipped if not available)
+ * @param {Object} options - Registry options
+ * @param {Object} options.twilioClient - Twilio client (transfer tool is skipped if not available)
+ * @param {string} options.publicUrl - Public base URL for TwiML callbacks
+ * @param {string} options.callerId - Caller ID used for the agent leg of transfers
+ * @returns {ToolRegistry} Tool registry
+ */
+function createDefaultToolRegistry(models, options = {}) {
+  const registry = new ToolRegistry();
+  const { twilioClient, publicUrl, callerId } = options;
+
+  if (twilioClient) {
+    registerTransferTool(registry, models, { twilioClient, publicUrl, callerId });
+  }
+
+  if (!models || !models.Lead) {
+    return registry;
+  }
+
+  registry.register('lookup_lead', {
+    description: 'Look up the lead (customer) record for this call. Without arguments it returns the lead linked to the current call.',
+    parameters: {
+      type: 'object',
+      properties: {
+        lead_id: { type: 'string', description: 'Lead ID, if known' },
+        phone: { type: 'string', description: 'Phone number in E.164 format' },
+        email: { type: 'string', description: 'Email address' }
+      }
+    },
+    handler: async (args, context) => {
+      const lead = await resolveLead(models, args, context);
+      if (!lead) {
+        return { success: false, error: 'Lead not found' };
+      }
+
+      return {
+        success: true,
+        lead: {
+          id: lead.id,
+          name: lead.name,
+          email: lead.email,
+          phone: lead.phone,
+          company: lead.company,
+          status: lead.lead_status,
+          priority: lead.lead_priority,
+          notes: lead.notes,
+          metadata: lead.metadata
+        }
+      };
+    }
+  });
+
+  registry.register('update_lead_status', {
+    description: 'Update the status of the lead linked to this call, for example when the caller says they are interested or asks for a callback.',
+    parameters: {
+      type: 'object',
+      properties: {
+        status: {
+          type: 'string',
+          enum: ['contacted', 'interested', 'not_interested', 'callback', 'qualified', 'wrong_number'],
+          description: 'New lead status'
+        },
+        notes: { type: 'string', description: 'Short note explaining the update' }
+      },
+      required: ['status']
+    },
+    handler: async (args, context) => {
+      const lead = await resolveLead(models, {}, context);
+      if (!lead) {
+        return { success: false, error: 'No lead linked to this call' };
+      }
+
+      const updateData = {
+        lead_status: args.status,
+        last_contacted_at: new Date().toISOString()
+      };
+      if (args.notes) {
+        updateData.notes = lead.notes ? `${lead.notes}\n${args.notes}` : args.notes;
+      }
+
+      await models.Lead.update(lead.id, updateData);
+      console.log(`[${context.callSid}] 🛠️  Lead ${lead.id} status updated to ${args.status}`);
+
+      return { success: true, leadId: lead.id, status: args.status };
+    }
+  });
+
+  registry.register('book_appointment', {
+    description: 'Book a follow-up appointment slot for the lead linked to this call. Confirm the date and time with the caller before booking.',
+    parameters: {
+      type: 'object',
+      properties: {
+        start_time: { type: 'string', description: 'Appointment start in ISO 8601 format, including timezone offset' },
+        duration_minutes: { type: 'number', description: 'Appointment length in minutes (default 30)' },
+        notes: { type: 'string', description: 'What the appointment is about' }
+      },
+      required: ['start_time']
+    },
+    handler: async (args, context) => {
+      const lead = await resolveLead(models, {}, context);
+      if (!lead) {
+        return { success: false, error: 'No lead linked to this call' };
+      }
+
+      const startTime = new Date(args.start_time);
+      if (isNaN(startTime.getTime())) {
+        return { success: false, error: 'start_time is not a valid date' };
+      }
+      if (startTime.getTime() < Date.now()) {
+        return { success: false, error: 'start_time is in the past' };
+      }
+
+      const appointment = {
+        start_time: startTime.toISOString(),
+        duration_minutes: args.duration_minutes || 30,
+        notes: args.notes || null,
+        call_sid: context.callSid,
+        booked_at: new Date().toISOString()
+      };
+
+      const metadata = lead.metadata || {};
+      await models.Lead.update(lead.id, {
+        lead_status: 'appointment_booked',
+        metadata: {
+          ...metadata,
+          appointments: [...(metadata.appointments || []), appointment]
+        }
+      });
+      console.log(`[${context.callSid}] 🛠️  Appointment booked for lead ${lead.id} at ${appointment.start_time}`);
+
+      return { success: true, leadId: lead.id, appointment };
+    }
+  });
+
+  if (models.DoNotCall) {
+    registerDoNotCallTool(registry, models);
+  }
+
+  return registry;
+}
+
+/**
+ * Register the add_to_do_not_call tool
+ * @param {ToolRegistry} registry - Registry to add the tool to
+ * @param {Object} models - Database models
+ */
+function registerDoNotCallTool(registry, models) {
+  registry.register('add_to_do_not_call', {
+    description: 'Add the caller to the Do-Not-Call list. Use when the caller asks not to be called again or to be removed from the call list. Confirm to the caller that they will not be called again.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'What the caller said, briefly' }
+      }
+    },
+    handler: async (args, context) => {
+      const lead = await resolveLead(models, {}, context);
+
+      // The caller is the called party on outbound calls and the caller ID on inbound calls
+      let phone = null;
+      const callEvent = context.callSid ? await models.CallEvent.findByCallSid(context.callSid) : null;
+      if (callEvent) {
+        phone = (callEvent.direction || '').startsWith('outbound') ? callEvent.to_number : callEvent.from_number;
+      }
+      phone = normalizeDncNumber(phone || (lead && lead.phone));
+
+      if (!phone) {
+        return { success: false, error: 'Could not determine the caller\'s phone number' };
+      }
+
+      await models.DoNotCall.add({
+        phone_number: phone,
+        reason: args.reason || 'Caller asked not to be called again',
+        source: 'call',
+        lead_id: lead ? lead.id : null,
+        call_sid: context.callSid
+      });
+
+      if (lead) {
+        await models.Lead.update(lead.id, {
+          lead_status: 'do_not_call',
+          last_contacted_at: new Date().toISOString()
+        });
+      }
+
+      console.log(`[${context.callSid}] 🚫 ${phone} added to Do-Not-Call list`);
+
+      return { success: true, added: true };
+    }
+  });
+}
+
+/**
+ * Register the transfer_to_human tool
+ * @param {ToolRegistry} registry - Registry to add the tool to
+ * @param {Object} models - Database models (optional, used to record the transfer)
+ * @param {Object} options - Twilio client, public URL and caller ID
+ */
+function registerTransferTool(registry, models, { twilioClient, publicUrl, callerId }) {
+  registry.register('transfer_to_human', {
+    description: 'Transfer the caller to a human. Use when the caller asks for a person, or the request is outside what you can handle. Tell the caller you are transferring them before calling this.',
+    parameters: {
+      type: 'object',
+      properties: {
+        target: {
+          type: 'string',
+          enum: ['agent', 'queue'],
+          description: 'Transfer to an available agent or to the general support queue (default: agent)'
+        },
+        reason: { type: 'string', description: 'Why the caller is being transferred' },
+        summary: { type: 'string', description: 'One or two sentence summary of the conversation for the human agent' }
+      },
+      required: ['reason']
+    },
+    handler: async (args, context) => {
+      const session = context.session;
+      const to = resolveTransferNumber(args.target);
+      if (!to) {
+        return { success: false, error: 'No human agents are available for transfer right now' };
+      }
+
+      const summary = args.summary
+        ? `Transfer reason: ${args.reason}. ${args.summary}`
+        : buildConversationSummary(session ? session.getConversationHistory() : [], { reason: args.reason });
+
+      // Let the caller hear the end of the current response before redirecting
+      if (session) {
+        await session.waitForPlayback(5000);
+      }
+
+      const result = await transferCall(twilioClient, {
+        callSid: context.callSid,
+        to,
+        summary,
+        mode: process.env.TRANSFER_MODE || 'dial',
+        callerId,
+        publicUrl
+      });
+
+      if (models && models.CallEvent) {
+        try {
+          await models.CallEvent.recordTransfer(context.callSid, result);
+        } catch (error) {
+          console.warn(`[${context.callSid}] ⚠️  Could not record transfer:`, error.message);
+        }
+      }
+
+      // The call has left the AI session; the model must not respond again
+      return { success: true, transferredTo: args.target || 'agent', callEnded: true };
+    }
+  });
+}
+
+module.exports = {
+  ToolRegistry,
+  createDefaultToolRegistry
+};
@@ -0,0 +1,61 @@
+/**
+ * Standalone call worker
+ * Processes the outbound-calls and post-call queues in its own process so the web
+ * server can be scaled (and restarted) independently of dialling.
+ *
+ * Usage: npm run worker
+ * Set RUN_CALL_WORKER=false on the web server so it does not process jobs itself.
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+const { initializeModels } = require('./models');
+const { createCallWorker, createPostCallWorker, closeWorker } = require('./queues/callWorker');
+const { closeQueue } = require('./queues/callQueue');
+
+// Supabase configuration (service role key bypasses RLS for backend operations)
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseClientKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+const supabase = (supabaseUrl && supabaseClientKey) ? createClient(supabaseUrl, supabaseClientKey) : null;
+const models = supabase ? initializeModels(supabase) : null;
+
+if (!models) {
+  console.warn('⚠️  Supabase not configured - calls will not be logged and post-call jobs will not run');
+}
+
+const callWorker = createCallWorker(models, supabase);
+const postCallWorker = models ? createPostCallWorker(models) : null;
+console.log(`📞 Call worker started (pid ${process.pid})`);
+
+let shuttingDown = false;
+
+/**
+ * Drain active jobs and close Redis connections, then exit
+ * @param {string} signal - Signal that triggered the shutdown
+ */
+async function gracefulShutdown(signal) {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+  console.log(`\n📞 ${signal} received, draining call worker...`);
+
+  // Never hang on shutdown (e.g. when Redis is unreachable)
+  setTimeout(() => {
+    console.error('❌ Shutdown timed out, forcing exit');
+    process.exit(1);
+  }, parseInt(process.env.SHUTDOWN_TIMEOUT_MS || 30000)).unref();
+
+  try {
+    await closeWorker(callWorker, postCallWorker);
+    await closeQueue();
+    console.log('👋 Worker shutdown complete');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error during worker shutdown:', error);
+    process.exit(1);
+  }
+}
+
+process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown('SIGINT'));